@@ -1,1052 +1,102 @@
-import { chromium } from "playwright";
-import fs from "fs";
+#!/usr/bin/env node
+import path from "path";
 
-// 1. Change to your root website URL
-const ROOT = "https://your-website.com";
+import { parseArgs, formatHelp, parseCompareArgs, formatCompareHelp, parseAcceptArgs, formatAcceptHelp } from "./lib/cli.js";
+import { resolveConfig, getReportPaths, DEFAULT_CONFIG } from "./lib/config.js";
+import { createAuditor } from "./lib/auditor.js";
+import { readReportFile, compareReports, writeCompareReport } from "./lib/compare.js";
+import { acceptBaselines } from "./lib/visual.js";
 
-// 2. Configuration - Report directories
-const BASE_DIR = 'site-report';
-const SCREENSHOTS_DIR = `${BASE_DIR}/screenshots`;
-const REPORT_CONFIG = {
-  baseDir: BASE_DIR,
-  screenshotsDir: SCREENSHOTS_DIR,
-  mobileScreenshotsDir: `${SCREENSHOTS_DIR}/mobile`,
-  desktopScreenshotsDir: `${SCREENSHOTS_DIR}/desktop`,
-  tabletScreenshotsDir: `${SCREENSHOTS_DIR}/tablet`,
-  urlsReport: `${BASE_DIR}/urls.txt`,
-  jsonReport: `${BASE_DIR}/report.json`,
-  htmlReport: `${BASE_DIR}/index.html`,
-};
-
-// 3. Device configurations
-const DEVICE_CONFIGS = [
-  {
-    name: 'desktop',
-    viewport: { width: 1280, height: 720 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    directory: REPORT_CONFIG.desktopScreenshotsDir
-  },
-  {
-    name: 'mobile',
-    viewport: { width: 375, height: 667 }, // iPhone SE
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
-    directory: REPORT_CONFIG.mobileScreenshotsDir
-  },
-  {
-    name: 'tablet',
-    viewport: { width: 768, height: 1024 }, // iPad
-    userAgent: 'Mozilla/5.0 (iPad; CPU OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
-    directory: REPORT_CONFIG.tabletScreenshotsDir
-  }
-];
-
-const visited = new Set();
-const queue = [ROOT];
-const results = [];
-
-// Document file extensions to check
-const DOCUMENT_EXTENSIONS = [
-  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
-  '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.svg', '.webp',
-  '.mp4', '.avi', '.mov', '.wmv',
-  '.zip', '.rar', '.7z',
-  '.txt', '.rtf'
-];
-
-// Create report directories
-fs.mkdirSync(REPORT_CONFIG.baseDir, { recursive: true });
-fs.mkdirSync(REPORT_CONFIG.screenshotsDir, { recursive: true });
-fs.mkdirSync(REPORT_CONFIG.mobileScreenshotsDir, { recursive: true });
-fs.mkdirSync(REPORT_CONFIG.desktopScreenshotsDir, { recursive: true });
-fs.mkdirSync(REPORT_CONFIG.tabletScreenshotsDir, { recursive: true });
-
-// Track already checked images globally to avoid duplicates
-const checkedImages = new Map();
-
-// Normalize URL to avoid duplicates with different formats
-function normalizeUrl(url) {
+// crawler compare <before.json> <after.json>: diff two reports and exit
+if (process.argv[2] === 'compare') {
   try {
-    const parsedUrl = new URL(url);
-    let normalized = `${parsedUrl.origin}${parsedUrl.pathname}`;
-    normalized = normalized.replace(/\/+$/, '');
-    return normalized;
-  } catch {
-    return url;
+    const cli = parseCompareArgs(process.argv.slice(3));
+    if (cli.help) {
+      console.log(formatCompareHelp());
+      process.exit(0);
+    }
+    const diff = compareReports(readReportFile(cli.before), readReportFile(cli.after), cli.options);
+    const outDir = cli.options.outDir || path.dirname(cli.after);
+    const { jsonFile, htmlFile } = writeCompareReport(diff, outDir, { beforeFile: cli.before, afterFile: cli.after });
+    const { totals } = diff;
+    console.log(`\n Comparison of ${cli.before} and ${cli.after}:`);
+    console.log(`   Pages added: ${totals.pagesAdded}, removed: ${totals.pagesRemoved}, changed: ${totals.changedPages}`);
+    console.log(`   Broken links: ${totals.newBrokenLinks} new, ${totals.fixedBrokenLinks} fixed`);
+    console.log(`   Broken images: ${totals.newBrokenImages} new, ${totals.fixedBrokenImages} fixed`);
+    console.log(`   JS errors: ${totals.newJsErrors} new, ${totals.fixedJsErrors} fixed`);
+    console.log(`   Load-time regressions: ${totals.loadTimeRegressions}`);
+    console.log(`\n Written to ${htmlFile} and ${jsonFile}`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error('Run crawler compare --help for usage.');
+    process.exit(1);
   }
 }
 
-// Normalize image URL (remove query parameters for better deduplication)
-function normalizeImageUrl(url) {
+// crawler accept-baseline: approve the last crawl's screenshots and exit
+if (process.argv[2] === 'accept-baseline') {
   try {
-    const parsedUrl = new URL(url);
-    return `${parsedUrl.origin}${parsedUrl.pathname}`;
-  } catch {
-    return url;
+    const cli = parseAcceptArgs(process.argv.slice(3));
+    if (cli.help) {
+      console.log(formatAcceptHelp());
+      process.exit(0);
+    }
+    const reportPaths = getReportPaths(cli.options.outDir || DEFAULT_CONFIG.outDir);
+    const report = readReportFile(reportPaths.jsonReport);
+    const baselineDir = cli.options.baselineDir || report.visual?.baselineDir || reportPaths.baselinesDir;
+    const accepted = acceptBaselines(report, { screenshotsDir: reportPaths.screenshotsDir, baselineDir });
+    console.log(`\n ${accepted} screenshots accepted as baselines in ${baselineDir}`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error('Run crawler accept-baseline --help for usage.');
+    process.exit(1);
   }
 }
 
-// Check if URL is a document
-function isDocumentUrl(url) {
-  try {
-    const parsedUrl = new URL(url);
-    const pathname = parsedUrl.pathname.toLowerCase();
-    return DOCUMENT_EXTENSIONS.some(ext => pathname.endsWith(ext));
-  } catch {
-    return false;
+// Settings come from the config file and command-line flags (see lib/config.js)
+let config;
+try {
+  const cli = parseArgs(process.argv.slice(2));
+  if (cli.help) {
+    console.log(formatHelp());
+    process.exit(0);
   }
+  config = await resolveConfig(cli);
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  console.error('Run with --help for usage.');
+  process.exit(1);
 }
 
-// Enhanced error handling setup
-function setupErrorHandling(page, pageResult) {
-  page.on("pageerror", (err) => {
-    const message = err.message;
-    const benignErrors = [
-      /Syntax error, unrecognized expression:/,
-      /jQuery\.expr/,
-      /Script error\./,
-      /Unable to preventDefault/,
-      /Cannot read property/,
-      /is not defined/,
-      /null is not an object/,
-      /undefined is not an object/,
-    ];
-    
-    if (benignErrors.some(pattern => pattern.test(message))) {
-      pageResult.benignErrors.push(message);
-    } else {
-      pageResult.jsErrors.push(message);
-    }
-  });
-
-  page.on("console", (msg) => {
-    const text = msg.text();
-    const type = msg.type();
-    
-    if (type === "error") {
-      const benignConsoleErrors = [
-        /Syntax error, unrecognized expression:/,
-        /Failed to load resource/,
-        /Blocked a frame with origin/,
-        /Content Security Policy/,
-        /Loading failed for the/,
-      ];
-      
-      if (benignConsoleErrors.some(pattern => pattern.test(text))) {
-        pageResult.benignErrors.push(text);
-      } else {
-        pageResult.consoleErrors.push(text);
-      }
-    } else if (type === "warning") {
-      pageResult.warnings.push(text);
-    }
-  });
-
-  page.on("response", (response) => {
-    if (response.status() >= 400) {
-      pageResult.networkErrors.push(`${response.status()} - ${response.url()}`);
-    }
-  });
-}
+// Start the crawling process
+const auditor = createAuditor(config);
 
-async function checkDocumentUrl(page, url, pageResult) {
-  console.log(`Checking document: ${url}`);
-  
-  const startTime = Date.now();
+// On Ctrl-C keep what has been collected: save the crawl state for --resume
+// and write a partial report
+process.once('SIGINT', () => {
+  console.log('\n Interrupted, saving crawl state and writing partial report...');
   try {
-    const response = await page.goto(url, { 
-      waitUntil: 'domcontentloaded', 
-      timeout: 15000 
-    });
-    
-    pageResult.loadTime = Date.now() - startTime;
-    pageResult.statusCode = response?.status() || 200;
-    pageResult.isDocument = true;
-    pageResult.documentType = url.split('.').pop()?.toUpperCase() || 'DOCUMENT';
-    
-    if (response?.status() >= 400) {
-      pageResult.documentStatus = 'broken';
-      pageResult.jsErrors.push(`Document returned status: ${response.status()}`);
-    } else {
-      pageResult.documentStatus = 'accessible';
-      pageResult.title = `📄 ${pageResult.documentType} Document: ${url.split('/').pop()}`;
-    }
-    
-    return true;
+    auditor.saveCheckpoint();
+    auditor.generateReport({ partial: true });
+    auditor.printSummary();
+    console.log(`\n Crawl state saved, continue with --resume`);
   } catch (err) {
-    pageResult.loadTime = Date.now() - startTime;
-    pageResult.documentStatus = 'broken';
-    pageResult.jsErrors.push(`Failed to load document: ${err.message}`);
-    return false;
+    console.error(`Could not write partial report: ${err.message}`);
   }
-}
-
-// Function to check if image exists by making a HEAD request
-async function checkImageExists(page, imageUrl) {
-  const normalizedImageUrl = normalizeImageUrl(imageUrl);
-  
-  if (checkedImages.has(normalizedImageUrl)) {
-    const existingCheck = checkedImages.get(normalizedImageUrl);
-    console.log(`Using cached check for: ${imageUrl} -> ${existingCheck.exists ? 'EXISTS' : 'BROKEN'}`);
-    return existingCheck.exists;
-  }
-
-  try {
-    console.log(`Checking image: ${imageUrl}`);
-    const response = await page.evaluate(async (url) => {
-      try {
-        const response = await fetch(url, { method: 'HEAD' });
-        return { status: response.status, ok: response.ok };
-      } catch (error) {
-        return { status: 0, ok: false, error: error.message };
-      }
-    }, imageUrl);
-    
-    const exists = response.ok && response.status === 200;
-    
-    checkedImages.set(normalizedImageUrl, { 
-      exists, 
-      verified: true,
-      originalUrl: imageUrl,
-      status: response.status
-    });
-    
-    return exists;
-  } catch {
-    checkedImages.set(normalizedImageUrl, { 
-      exists: false, 
-      verified: true,
-      originalUrl: imageUrl,
-      status: 0
-    });
-    return false;
+  process.exit(130);
+});
+
+try {
+  await auditor.crawl();
+  auditor.generateReport();
+  auditor.printSummary();
+  // In CI mode a failed quality gate fails the build
+  if (config.ci.enabled && !auditor.checkQualityGates().passed) {
+    process.exitCode = 1;
   }
+} catch (err) {
+  console.error(err);
+  process.exitCode = 1;
 }
-
-// Function to take screenshots for different devices
-async function takeScreenshots(browser, url, normalizedUrl) {
-  const screenshots = {
-    desktop: null,
-    mobile: null,
-    tablet: null
-  };
-
-  const fileName = encodeURIComponent(normalizedUrl.replace(/[^a-zA-Z0-9]/g, '_'));
-
-  for (const device of DEVICE_CONFIGS) {
-    try {
-      const context = await browser.newContext({
-        viewport: device.viewport,
-        userAgent: device.userAgent
-      });
-      const devicePage = await context.newPage();
-      
-      await devicePage.goto(url, { waitUntil: 'networkidle', timeout: 15000 });
-      
-      const devicePath = `${device.directory}/${fileName}.png`;
-      await devicePage.screenshot({
-        path: devicePath,
-        fullPage: true,
-      });
-      
-      screenshots[device.name] = `${device.name}/${fileName}.png`;
-      console.log(`${device.name} screenshot saved (${device.viewport.width}×${device.viewport.height})`);
-      
-      await context.close();
-    } catch (deviceError) {
-      console.log(`Could not take ${device.name} screenshot: ${deviceError.message}`);
-    }
-  }
-
-  return screenshots;
-}
-
-async function crawlAndTest() {
-  const browser = await chromium.launch({ 
-    headless: true,
-    timeout: 60000 
-  });
-
-  while (queue.length > 0) {
-    const url = queue.shift();
-    const normalizedUrl = normalizeUrl(url);
-    
-    if (visited.has(normalizedUrl)) {
-      console.log(`Skipping already checked: ${url}`);
-      continue;
-    }
-    
-    visited.add(normalizedUrl);
-    console.log(`\n Checking: ${url}`);
-
-    const pageResult = {
-      url,
-      title: "",
-      metaDescription: "",
-      jsErrors: [],
-      consoleErrors: [],
-      brokenImages: [],
-	  benignErrors: [],
-	  networkErrors: [],
-	  warnings: [],
-      allImages: [],
-      imagesAnalysis: {
-        total: 0,
-        working: 0,
-        broken: 0,
-        withAlt: 0,
-        withoutAlt: 0,
-        details: []
-      },
-      links: [],
-      statusCode: 200,
-      loadTime: 0,
-      metaTags: {},
-      isDocument: false,
-      documentType: "",
-      documentStatus: "",
-      screenshots: {
-        desktop: null,
-        mobile: null,
-        tablet: null
-      }
-    };
-
-    // Check if this is a document URL
-    if (isDocumentUrl(url)) {
-      const context = await browser.newContext();
-      const page = await context.newPage();
-      await checkDocumentUrl(page, url, pageResult);
-      await context.close();
-      results.push(pageResult);
-      continue;
-    }
-
-    const context = await browser.newContext();
-    const page = await context.newPage();
-
-    // Set default timeouts
-    page.setDefaultTimeout(30000);
-    page.setDefaultNavigationTimeout(30000);
-
-    // Setup enhanced error handling for HTML pages
-    setupErrorHandling(page, pageResult);
-
-    // Open page
-    const startTime = Date.now();
-    try {
-      const response = await page.goto(url, { waitUntil: "networkidle", timeout: 30000 });
-      pageResult.loadTime = Date.now() - startTime;
-      pageResult.statusCode = response?.status() || 200;
-    } catch (err) {
-      pageResult.jsErrors.push("Page failed to load: " + err.message);
-      pageResult.loadTime = Date.now() - startTime;
-      await context.close();
-      results.push(pageResult);
-      continue;
-    }
-
-    // Title
-    pageResult.title = await page.title();
-    if (!pageResult.title) {
-      pageResult.title = "⚠ Missing <title>";
-    }
-
-    // Meta Description and other important meta tags
-    pageResult.metaDescription = await page.$eval('meta[name="description"]', (el) => el?.content || '').catch(() => '');
-    
-    // Check for other important meta tags
-    try {
-      pageResult.metaTags = await page.evaluate(() => {
-        const metaTags = {};
-        const importantMetaTags = [
-          'description',
-          'keywords',
-          'viewport',
-          'robots',
-          'og:title',
-          'og:description',
-          'og:image',
-          'twitter:title',
-          'twitter:description',
-          'twitter:image'
-        ];
-        
-        const metaElements = document.querySelectorAll('meta');
-        metaElements.forEach(meta => {
-          const name = meta.getAttribute('name') || meta.getAttribute('property');
-          if (name && importantMetaTags.includes(name)) {
-            metaTags[name] = meta.getAttribute('content') || '';
-          }
-        });
-        
-        return metaTags;
-      });
-    } catch (error) {
-      console.log(`Could not extract meta tags for ${url}`);
-    }
-
-    // Comprehensive image analysis
-    try {
-      pageResult.imagesAnalysis = await page.evaluate(() => {
-        const images = Array.from(document.querySelectorAll('img'));
-        const analysis = {
-          total: images.length,
-          working: 0,
-          broken: 0,
-          withAlt: 0,
-          withoutAlt: 0,
-          details: []
-        };
-
-        for (const img of images) {
-          const imageInfo = {
-            src: img.src,
-            alt: img.alt || '',
-            naturalWidth: img.naturalWidth,
-            naturalHeight: img.naturalHeight,
-            complete: img.complete,
-            isWorking: false
-          };
-
-          if (img.alt && img.alt.trim() !== '') {
-            analysis.withAlt++;
-          } else {
-            analysis.withoutAlt++;
-          }
-
-          if (img.complete && img.naturalWidth > 0 && img.naturalHeight > 0) {
-            analysis.working++;
-            imageInfo.isWorking = true;
-          } else {
-            analysis.broken++;
-            imageInfo.isWorking = false;
-          }
-
-          analysis.details.push(imageInfo);
-        }
-
-        return analysis;
-      });
-
-      // Additional check: Verify images with HEAD requests
-      console.log(`Found ${pageResult.imagesAnalysis.total} images, verifying...`);
-      
-      let duplicateChecks = 0;
-      let newChecks = 0;
-      
-      for (const imageInfo of pageResult.imagesAnalysis.details) {
-        if (imageInfo.src && !imageInfo.src.startsWith('data:')) {
-          const normalizedImageUrl = normalizeImageUrl(imageInfo.src);
-          
-          if (checkedImages.has(normalizedImageUrl)) {
-            const existingCheck = checkedImages.get(normalizedImageUrl);
-            imageInfo.verifiedExists = existingCheck.exists;
-            imageInfo.cachedCheck = true;
-            duplicateChecks++;
-            
-            if (!existingCheck.exists && imageInfo.isWorking) {
-              imageInfo.isWorking = false;
-              pageResult.imagesAnalysis.working--;
-              pageResult.imagesAnalysis.broken++;
-            }
-          } else {
-            const exists = await checkImageExists(page, imageInfo.src);
-            imageInfo.verifiedExists = exists;
-            imageInfo.cachedCheck = false;
-            newChecks++;
-            
-            if (!exists && imageInfo.isWorking) {
-              imageInfo.isWorking = false;
-              pageResult.imagesAnalysis.working--;
-              pageResult.imagesAnalysis.broken++;
-            }
-          }
-        }
-      }
-      
-      console.log(`Image checks: ${newChecks} new, ${duplicateChecks} cached`);
-
-      pageResult.brokenImages = pageResult.imagesAnalysis.details
-        .filter(img => !img.isWorking)
-        .map(img => img.src);
-
-    } catch (error) {
-      console.log(`Could not analyze images for ${url}: ${error.message}`);
-    }
-
-    // Take screenshots for all devices
-    console.log(`Taking screenshots for different devices...`);
-    pageResult.screenshots = await takeScreenshots(browser, url, normalizedUrl);
-
-    // Extract all links
-    const allLinks = await page.$$eval("a[href]", (as, root) => {
-      return as
-        .map((a) => {
-          try {
-            return new URL(a.href, root).href;
-          } catch {
-            return null;
-          }
-        })
-        .filter(href => href !== null);
-    }, ROOT);
-
-    // Separate internal HTML links from document links
-    const internalLinks = [];
-    const documentLinks = [];
-
-    allLinks.forEach((link) => {
-      const normalizedLink = normalizeUrl(link);
-      
-      if (isDocumentUrl(link)) {
-        documentLinks.push(link);
-        if (
-          link.startsWith(ROOT) &&
-          !visited.has(normalizedLink) &&
-          !queue.some(q => normalizeUrl(q) === normalizedLink)
-        ) {
-          queue.push(link);
-          console.log(`Added document to queue: ${link}`);
-        }
-      } else if (link.startsWith(ROOT)) {
-        if (!visited.has(normalizedLink) && !queue.some(q => normalizeUrl(q) === normalizedLink)) {
-          internalLinks.push(link);
-          queue.push(link);
-          console.log(`Added to queue: ${link}`);
-        }
-      }
-    });
-
-    pageResult.links = internalLinks;
-    pageResult.documentLinks = documentLinks;
-
-    await context.close();
-    results.push(pageResult);
-    
-    // Small delay to be respectful to the server
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
-
-  await browser.close();
-  generateReport();
-}
-
-// GENERATE HTML REPORT
-function generateReport() {
-  // Calculate summary statistics
-  const totalPages = results.length;
-  const htmlPages = results.filter(r => !r.isDocument);
-  const documentPages = results.filter(r => r.isDocument);
-  const pagesWithCriticalErrors = results.filter(r => 
-    r.jsErrors.length > 0 || r.consoleErrors.length > 0
-  ).length;
-  const pagesWithBrokenImages = results.filter(r => r.brokenImages.length > 0).length;
-  const pagesMissingTitles = htmlPages.filter(r => !r.title || r.title === "⚠ Missing <title>").length;
-  const pagesMissingDescriptions = htmlPages.filter(r => !r.metaDescription).length;
-  const brokenDocuments = documentPages.filter(r => r.documentStatus === 'broken').length;
-  const totalCriticalErrors = results.reduce((sum, r) => sum + r.jsErrors.length + r.consoleErrors.length, 0);
-  const totalBenignErrors = results.reduce((sum, r) => sum + r.benignErrors.length, 0);
-  const totalBrokenImages = results.reduce((sum, r) => sum + r.brokenImages.length, 0);
-  
-  // Image statistics
-  const totalImages = htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.total || 0), 0);
-  const totalWorkingImages = htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.working || 0), 0);
-  const totalBrokenImagesDetailed = htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.broken || 0), 0);
-  const imagesWithAlt = htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.withAlt || 0), 0);
-  const imagesWithoutAlt = htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.withoutAlt || 0), 0);
-
-  // Performance statistics
-  const totalUniqueImagesChecked = checkedImages.size;
-
-  let html = `
-  <html>
-  <head>
-    <title>Website Test Report</title>
-    <style>
-      body { font-family: Arial, sans-serif; padding: 20px; line-height: 1.6; }
-      h1 { color: #333; border-bottom: 2px solid #333; padding-bottom: 10px; }
-      h2 { background: #f5f5f5; padding: 12px; border-left: 4px solid #007acc; margin-top: 30px; }
-      h3 { color: #555; margin-top: 20px; }
-      h4 { color: #666; margin: 15px 0 10px 0; }
-      .error { color: #d32f2f; font-weight: bold; }
-      .warn { color: #f57c00; }
-      .ok { color: #388e3c; font-weight: bold; }
-      .info { color: #1976d2; }
-      .missing { color: #ff9800; font-weight: bold; }
-      .document { color: #7b1fa2; }
-      .summary { 
-        background: #f8f9fa; 
-        padding: 20px; 
-        border-radius: 8px; 
-        margin-bottom: 30px;
-        border-left: 4px solid #007acc;
-      }
-      .summary-stats { 
-        display: grid; 
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
-        gap: 15px; 
-        margin-top: 15px;
-      }
-      .stat-card {
-        background: white;
-        padding: 15px;
-        border-radius: 6px;
-        text-align: center;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-      }
-      .stat-number { 
-        font-size: 24px; 
-        font-weight: bold; 
-        margin-bottom: 5px;
-      }
-      .page-section { 
-        background: white; 
-        padding: 20px; 
-        margin: 20px 0; 
-        border-radius: 8px;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-      }
-      .document-section {
-        border-left: 4px solid #7b1fa2;
-      }
-      ul { 
-        background: #f8f9fa; 
-        padding: 15px; 
-        border-radius: 6px; 
-        margin: 10px 0;
-      }
-      li { 
-        margin: 5px 0; 
-        padding: 3px 0; 
-        word-break: break-all;
-      }
-      .load-time { 
-        background: #e3f2fd; 
-        padding: 5px 10px; 
-        border-radius: 4px; 
-        display: inline-block;
-        font-size: 14px;
-      }
-      .meta-tags {
-        background: #f0f4f8;
-        padding: 15px;
-        border-radius: 6px;
-        margin: 10px 0;
-      }
-      .meta-tag {
-        display: flex;
-        margin: 5px 0;
-        padding: 3px 0;
-      }
-      .meta-tag-name {
-        font-weight: bold;
-        min-width: 150px;
-        color: #555;
-      }
-      .meta-tag-value {
-        flex: 1;
-        word-break: break-word;
-      }
-      .document-status {
-        padding: 8px 12px;
-        border-radius: 4px;
-        font-weight: bold;
-        display: inline-block;
-      }
-      .document-accessible {
-        background: #e8f5e8;
-        color: #2e7d32;
-      }
-      .document-broken {
-        background: #ffebee;
-        color: #c62828;
-      }
-      .image-stats {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-        gap: 10px;
-        margin: 10px 0;
-      }
-      .image-stat-card {
-        background: #f8f9fa;
-        padding: 10px;
-        border-radius: 6px;
-        text-align: center;
-      }
-      .image-details {
-        max-height: 300px;
-        overflow-y: auto;
-        border: 1px solid #ddd;
-        border-radius: 6px;
-        padding: 10px;
-        background: #fafafa;
-      }
-      .image-item {
-        padding: 8px;
-        margin: 5px 0;
-        border-left: 4px solid #388e3c;
-        background: white;
-        border-radius: 4px;
-      }
-      .image-item.broken {
-        border-left-color: #d32f2f;
-        background: #ffebee;
-      }
-      .image-item .src {
-        font-weight: bold;
-        word-break: break-all;
-      }
-      .image-item .alt {
-        color: #666;
-        font-style: italic;
-      }
-      .image-item .dimensions {
-        color: #888;
-        font-size: 0.9em;
-      }
-      .image-item .cache-info {
-        color: #007acc;
-        font-size: 0.8em;
-        font-style: italic;
-      }
-      .screenshot-gallery {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-        gap: 15px;
-        margin: 15px 0;
-      }
-      .screenshot-item {
-        border: 1px solid #ddd;
-        border-radius: 8px;
-        padding: 10px;
-        background: #fafafa;
-        text-align: center;
-      }
-      .screenshot-item img {
-        max-width: 100%;
-        height: auto;
-        border: 1px solid #ccc;
-        border-radius: 4px;
-      }
-      .screenshot-label {
-        font-weight: bold;
-        margin: 8px 0 4px 0;
-        color: #555;
-      }
-      .device-badge {
-        display: inline-block;
-        padding: 2px 8px;
-        border-radius: 12px;
-        font-size: 0.8em;
-        font-weight: bold;
-        margin-left: 8px;
-      }
-      .desktop-badge {
-        background: #e3f2fd;
-        color: #1976d2;
-      }
-      .mobile-badge {
-        background: #f3e5f5;
-        color: #7b1fa2;
-      }
-      .tablet-badge {
-        background: #e8f5e8;
-        color: #388e3c;
-      }
-    </style>
-  </head>
-  <body>
-    <h1>📊 Full Website Automated Test Report</h1>
-    
-    <div class="summary">
-      <h2>📈 Executive Summary</h2>
-      <div class="summary-stats">
-        <div class="stat-card">
-          <div class="stat-number">${totalPages}</div>
-          <div>Total URLs Checked</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number">${htmlPages.length}</div>
-          <div>HTML Pages</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number">${documentPages.length}</div>
-          <div>Documents</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number" style="color: ${pagesWithCriticalErrors > 0 ? '#d32f2f' : '#388e3c'}">${pagesWithCriticalErrors}</div>
-          <div>Pages with Errors</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number" style="color: ${brokenDocuments > 0 ? '#d32f2f' : '#388e3c'}">${brokenDocuments}</div>
-          <div>Broken Documents</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number">${totalImages}</div>
-          <div>Total Images</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number" style="color: ${totalBrokenImagesDetailed > 0 ? '#d32f2f' : '#388e3c'}">${totalBrokenImagesDetailed}</div>
-          <div>Broken Images</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number" style="color: ${imagesWithoutAlt > 0 ? '#f57c00' : '#388e3c'}">${imagesWithoutAlt}</div>
-          <div>Images without Alt</div>
-        </div>
-        <div class="stat-card">
-          <div class="stat-number" style="color: #007acc">${totalUniqueImagesChecked}</div>
-          <div>Unique Images Checked</div>
-        </div>
-      </div>
-    </div>
-
-    ${results.map((r) => {
-      if (r.isDocument) {
-        return `
-          <div class="page-section document-section">
-            <h2 class="document">📄 ${r.documentType} Document: ${r.url}</h2>
-            <p><strong>Status:</strong> 
-              <span class="document-status ${r.documentStatus === 'accessible' ? 'document-accessible' : 'document-broken'}">
-                ${r.documentStatus === 'accessible' ? '✅ ACCESSIBLE' : '❌ BROKEN'}
-              </span>
-            </p>
-            <p><strong>Load Time:</strong> <span class="load-time">${r.loadTime}ms</span></p>
-            <p><strong>HTTP Status:</strong> ${r.statusCode}</p>
-            
-            ${r.jsErrors.length > 0 ? `
-              <h3>🚨 Document Issues</h3>
-              <ul>${r.jsErrors.map((e) => `<li class="error">${e}</li>`).join("")}</ul>
-            ` : ''}
-          </div>
-        `;
-      }
-
-      const hasMetaDescription = r.metaDescription && r.metaDescription.trim().length > 0;
-      const descriptionLength = r.metaDescription ? r.metaDescription.length : 0;
-      const descriptionStatus = !hasMetaDescription ? 'missing' : 
-                              descriptionLength < 50 ? 'too-short' : 
-                              descriptionLength > 160 ? 'too-long' : 'good';
-      
-      const imageAnalysis = r.imagesAnalysis || {};
-      
-      return `
-        <div class="page-section">
-          <h2>${r.url}</h2>
-          <p><strong>Title:</strong> ${r.title} ${!r.title || r.title === "⚠ Missing <title>" ? '<span class="missing">(MISSING)</span>' : ''}</p>
-          <p><strong>Load Time:</strong> <span class="load-time">${r.loadTime}ms</span></p>
-
-          <h3>Screenshots</h3>
-          <div class="screenshot-gallery">
-            ${Object.entries(r.screenshots).map(([device, screenshot]) => 
-              screenshot ? `
-                <div class="screenshot-item">
-                  <div class="screenshot-label">
-                    ${device.charAt(0).toUpperCase() + device.slice(1)} 
-                    <span class="device-badge ${device}-badge">
-                      ${device === 'desktop' ? '1280×720' : device === 'mobile' ? '375×667' : '768×1024'}
-                    </span>
-                  </div>
-                  <a href="screenshots/${screenshot}" target="_blank">
-                    <img src="screenshots/${screenshot}" alt="${device} view of ${r.url}" loading="lazy">
-                  </a>
-                  <div>Click to view full size</div>
-                </div>
-              ` : ''
-            ).join('')}
-          </div>
-
-          <h3>Image Analysis (${imageAnalysis.total || 0} images)</h3>
-		  ${imageAnalysis.total > 0 ? `
-              <div class="image-stats">
-                <div class="image-stat-card">
-                  <div class="stat-number" style="color: #388e3c">${imageAnalysis.working || 0}</div>
-                  <div>Working</div>
-                </div>
-                <div class="image-stat-card">
-                  <div class="stat-number" style="color: ${imageAnalysis.broken > 0 ? '#d32f2f' : '#388e3c'}">${imageAnalysis.broken || 0}</div>
-                  <div>Broken</div>
-                </div>
-                <div class="image-stat-card">
-                  <div class="stat-number" style="color: #388e3c">${imageAnalysis.withAlt || 0}</div>
-                  <div>With Alt Text</div>
-                </div>
-                <div class="image-stat-card">
-                  <div class="stat-number" style="color: ${imageAnalysis.withoutAlt > 0 ? '#f57c00' : '#388e3c'}">${imageAnalysis.withoutAlt || 0}</div>
-                  <div>Without Alt Text</div>
-                </div>
-              </div>
-
-              ${imageAnalysis.details && imageAnalysis.details.length > 0 ? `
-                <h4>Image Details:</h4>
-                <div class="image-details">
-                  ${imageAnalysis.details.map(img => `
-                    <div class="image-item ${img.isWorking ? '' : 'broken'}">
-                      <div class="src">${img.src}</div>
-                      ${img.alt ? `<div class="alt">Alt: "${img.alt}"</div>` : '<div class="alt missing">No alt text</div>'}
-                      <div class="dimensions">Dimensions: ${img.naturalWidth}×${img.naturalHeight} | Status: ${img.isWorking ? '✅ Working' : '❌ Broken'}</div>
-                      ${img.cachedCheck ? `<div class="cache-info">✓ Previously checked</div>` : ''}
-                    </div>
-                  `).join('')}
-                </div>
-              ` : ''}
-            ` : '<p class="ok">No images found on this page ✔</p>'}
-
-            <h3>Meta Description</h3>
-            <div class="meta-tags">
-              <div class="meta-tag">
-                <div class="meta-tag-name">Status:</div>
-                <div class="meta-tag-value">
-                  ${
-                    !hasMetaDescription 
-                      ? '<span class="missing">❌ MISSING - Meta description is required for SEO</span>'
-                      : descriptionStatus === 'too-short'
-                      ? `<span class="warn">⚠️ TOO SHORT (${descriptionLength} chars) - Recommended: 50-160 characters</span>`
-                      : descriptionStatus === 'too-long'
-                      ? `<span class="warn">⚠️ TOO LONG (${descriptionLength} chars) - Recommended: 50-160 characters</span>`
-                      : `<span class="ok">✅ GOOD (${descriptionLength} characters)</span>`
-                  }
-                </div>
-              </div>
-              <div class="meta-tag">
-                <div class="meta-tag-name">Content:</div>
-                <div class="meta-tag-value">${hasMetaDescription ? r.metaDescription : '<em>No meta description found</em>'}</div>
-              </div>
-            </div>
-
-            ${Object.keys(r.metaTags || {}).length > 0 ? `
-            <h3>Other Important Meta Tags</h3>
-            <div class="meta-tags">
-              ${Object.entries(r.metaTags).map(([name, value]) => `
-                <div class="meta-tag">
-                  <div class="meta-tag-name">${name}:</div>
-                  <div class="meta-tag-value">${value || '<em>empty</em>'}</div>
-                </div>
-              `).join('')}
-            </div>
-            ` : ''}
-
-            ${r.documentLinks && r.documentLinks.length > 0 ? `
-            <h3>Document Links Found (${r.documentLinks.length})</h3>
-            <ul>${r.documentLinks.map((l) => `<li class="info">${l}</li>`).join("")}</ul>
-            ` : ''}
-
-            <h3>Critical JavaScript Errors</h3>
-            ${
-              r.jsErrors.length
-                ? `<ul>${r.jsErrors.map((e) => `<li class="error">${e}</li>`).join("")}</ul>`
-                : '<p class="ok">No critical JS errors ✔</p>'
-            }
-
-            <h3>Critical Console Errors</h3>
-            ${
-              r.consoleErrors.length
-                ? `<ul>${r.consoleErrors.map((e) => `<li class="error">${e}</li>`).join("")}</ul>`
-                : '<p class="ok">No critical console errors ✔</p>'
-            }
-
-            <h3>Benign Errors (Usually Safe to Ignore)</h3>
-            ${
-              r.benignErrors && r.benignErrors.length
-                ? `<ul>${r.benignErrors.map((e) => `<li class="warn">${e}</li>`).join("")}</ul>`
-                : '<p class="ok">No benign errors ✔</p>'
-            }
-
-            <h3>Network Issues</h3>
-            ${
-              r.networkErrors && r.networkErrors.length
-                ? `<ul>${r.networkErrors.map((e) => `<li class="warn">${e}</li>`).join("")}</ul>`
-                : '<p class="ok">No network errors ✔</p>'
-            }
-			
-			<h3>Console Warnings</h3>
-            ${
-              r.warnings && r.warnings.length
-                ? `<ul>${r.warnings.map((w) => `<li class="warn">${w}</li>`).join("")}</ul>`
-                : '<p class="ok">No warnings ✔</p>'
-            }
-
-            <h3>Internal Links Found (${r.links.length})</h3>
-            ${
-              r.links.length
-                ? `<ul>${r.links.map((l) => `<li class="info">${l}</li>`).join("")}</ul>`
-                : '<p>No internal links found</p>'
-            }
-        </div>
-        `;
-      })
-      .join("")}
-  </body>
-  </html>
-  `;
-
-  const totalUrls  = [];
-
-  results.forEach((page) => {
-    const url = page.url?.trim();
-    if (!url) return;
-    totalUrls .push(url);
-  });
-
-  // Save only clean URLs
-  const uniqueUrls = Array.from(new Set(totalUrls));
-  fs.writeFileSync(REPORT_CONFIG.urlsReport, uniqueUrls.join('\n') + '\n', 'utf8');
-
-  fs.writeFileSync(REPORT_CONFIG.htmlReport, html);
-  
-  // Also generate a JSON report
-  fs.writeFileSync(
-    REPORT_CONFIG.jsonReport, 
-    JSON.stringify({
-      summary: {
-        totalPages,
-        htmlPages: htmlPages.length,
-        documentPages: documentPages.length,
-        pagesWithCriticalErrors,
-        brokenDocuments,
-        pagesMissingTitles,
-        pagesMissingDescriptions,
-        pagesWithBrokenImages,
-        totalCriticalErrors,
-        totalBenignErrors,
-        totalBrokenImages,
-        images: {
-          total: totalImages,
-          working: totalWorkingImages,
-          broken: totalBrokenImagesDetailed,
-          withAlt: imagesWithAlt,
-          withoutAlt: imagesWithoutAlt,
-          uniqueImagesChecked: totalUniqueImagesChecked
-        }
-      },
-      pages: results
-    }, null, 2)
-  );
-  
-  console.log(`\n Report generated: ${REPORT_CONFIG.htmlReport}`);
-  console.log(`JSON data: ${REPORT_CONFIG.jsonReport}`);
-  console.log(`Screenshots: ${REPORT_CONFIG.screenshotsDir}`);
-  console.log(`   ├── Desktop: ${REPORT_CONFIG.desktopScreenshotsDir}`);
-  console.log(`   ├── Mobile: ${REPORT_CONFIG.mobileScreenshotsDir}`);
-  console.log(`   └── Tablet: ${REPORT_CONFIG.tabletScreenshotsDir}`);
-  console.log(`\n Summary:`);
-  console.log(`   Total URLs checked: ${totalPages}`);
-  console.log(`   HTML pages: ${htmlPages.length}`);
-  console.log(`   Documents: ${documentPages.length}`);
-  console.log(`   Pages with critical errors: ${pagesWithCriticalErrors}`);
-  console.log(`   Broken documents: ${brokenDocuments}`);
-  console.log(`   Pages missing titles: ${pagesMissingTitles}`);
-  console.log(`   Pages missing descriptions: ${pagesMissingDescriptions}`);
-  console.log(`   Total critical errors: ${totalCriticalErrors}`);
-  console.log(`   Total broken images: ${totalBrokenImages}`);
-  console.log(`\n Image Analysis:`);
-  console.log(`   Total images: ${totalImages}`);
-  console.log(`   Working images: ${totalWorkingImages}`);
-  console.log(`   Broken images: ${totalBrokenImagesDetailed}`);
-  console.log(`   Images with alt text: ${imagesWithAlt}`);
-  console.log(`   Images without alt text: ${imagesWithoutAlt}`);
-  console.log(`   Unique images checked: ${totalUniqueImagesChecked}`);
-  console.log(`   Performance: Avoided ${totalImages - totalUniqueImagesChecked} duplicate image checks`);
-}
-
-// Start the crawling process
-crawlAndTest().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export const WCAG_LEVELS = ['A', 'AA'];
+
+// axe-core rule tags for each WCAG 2.1 conformance level
+const LEVEL_TAGS = {
+  A: ['wcag2a', 'wcag21a'],
+  AA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa']
+};
+
+// How much a violated rule counts against the score, by impact
+const IMPACT_WEIGHTS = { critical: 10, serious: 7, moderate: 3, minor: 1 };
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Elements kept per violation, to keep report.json readable
+const MAX_NODES = 10;
+
+let axeSource = null;
+
+// The bundled axe-core script, loaded on first use
+function getAxeSource() {
+  if (!axeSource) {
+    axeSource = require('axe-core').source;
+  }
+  return axeSource;
+}
+
+// Runs in the page once axe-core is loaded
+async function runAxe({ tags, disabledRules, maxNodes }) {
+  const rules = {};
+  disabledRules.forEach(id => {
+    rules[id] = { enabled: false };
+  });
+
+  const results = await window.axe.run(document, {
+    runOnly: { type: 'tag', values: tags },
+    rules,
+    resultTypes: ['violations']
+  });
+
+  return {
+    passes: results.passes.length,
+    violations: results.violations.map(violation => ({
+      id: violation.id,
+      impact: violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      tags: violation.tags.filter(tag => tag.startsWith('wcag')),
+      nodeCount: violation.nodes.length,
+      nodes: violation.nodes.slice(0, maxNodes).map(node => ({
+        selector: node.target.join(' '),
+        html: node.html.length > 200 ? `${node.html.slice(0, 200)}…` : node.html,
+        summary: node.failureSummary || ''
+      }))
+    }))
+  };
+}
+
+// 0–100: passed rules against violated rules weighted by impact, so one
+// critical violation costs as much as ten passing rules
+export function accessibilityScore({ passes, violations }) {
+  const failed = violations.reduce((sum, violation) => sum + (IMPACT_WEIGHTS[violation.impact] || 1), 0);
+  return passes + failed === 0 ? 100 : Math.round((100 * passes) / (passes + failed));
+}
+
+// Inject axe-core into a loaded page and check it against the WCAG level:
+// { level, passes, violations, score }
+export async function auditAccessibility(page, { level, disabledRules }) {
+  await page.evaluate(getAxeSource());
+  const result = await page.evaluate(runAxe, { tags: LEVEL_TAGS[level], disabledRules, maxNodes: MAX_NODES });
+  return { level, ...result, score: accessibilityScore(result) };
+}
+
+// Per-page accessibility problems, one per violated rule, used by collectPageIssues
+export function accessibilityProblems(accessibility) {
+  if (!accessibility) return [];
+  return accessibility.violations.map(violation => ({
+    type: 'accessibility-violation',
+    severity: ['critical', 'serious'].includes(violation.impact) ? 'error' : 'warning',
+    message: `${violation.help} (${violation.id}, ${violation.impact}, ${violation.nodeCount} elements)`,
+    resource: violation.nodes[0]?.selector
+  }));
+}
+
+// Accessibility section of the report: violations grouped by rule, most
+// severe and widespread first, with the average page score
+export function analyzeAccessibility(results, { level, disabledRules }) {
+  const pages = results.filter(result => result.accessibility);
+  const rules = new Map();
+
+  pages.forEach(page => {
+    page.accessibility.violations.forEach(violation => {
+      if (!rules.has(violation.id)) {
+        rules.set(violation.id, {
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          tags: violation.tags,
+          pages: [],
+          nodeCount: 0
+        });
+      }
+      const rule = rules.get(violation.id);
+      rule.pages.push({ url: page.url, nodeCount: violation.nodeCount, selectors: violation.nodes.map(node => node.selector) });
+      rule.nodeCount += violation.nodeCount;
+    });
+  });
+
+  const impactRank = impact => (IMPACT_ORDER.includes(impact) ? IMPACT_ORDER.indexOf(impact) : IMPACT_ORDER.length);
+  const byImpact = {};
+  IMPACT_ORDER.forEach(impact => {
+    byImpact[impact] = [...rules.values()].filter(rule => rule.impact === impact).length;
+  });
+
+  return {
+    level,
+    disabledRules,
+    pagesAudited: pages.length,
+    score: pages.length ? Math.round(pages.reduce((sum, page) => sum + page.accessibility.score, 0) / pages.length) : null,
+    byImpact,
+    rules: [...rules.values()].sort((a, b) => impactRank(a.impact) - impactRank(b.impact) || b.pages.length - a.pages.length)
+  };
+}
@@ -0,0 +1,1128 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import { chromium } from "playwright";
+
+import { normalizeConfig, getReportPaths, getDeviceConfigs } from "./config.js";
+import { createUrlNormalizer, resolveAlias, stripFragment, normalizeImageUrl, isDocumentUrl } from "./url.js";
+import { setupErrorHandling, checkDocumentUrl, takeScreenshots, emptyScreenshots } from "./page-checks.js";
+import { collectPageIssues, MISSING_TITLE } from "./issues.js";
+import { analyzeSeoTags } from "./seo-tags.js";
+import { extractContent, contentMetrics, analyzeContent } from "./content.js";
+import { extractStructuredData, parseStructuredData, analyzeStructuredData } from "./structured-data.js";
+import { checkSocialImage, analyzeSocial } from "./social.js";
+import { auditAccessibility, analyzeAccessibility } from "./accessibility.js";
+import { analyzePerformance } from "./performance.js";
+import { compileMasks, masksFor, compareScreenshots, analyzeVisual } from "./visual.js";
+import { buildReport, writeReport, printSummary } from "./report.js";
+import { writeExports } from "./exports.js";
+import { evaluateQualityGates, formatQualityGates, writeQualityGateReports } from "./ci.js";
+import { RateLimiter, HostLimiter, hostOf } from "./throttle.js";
+import { compilePattern, matchesPattern } from "./patterns.js";
+import { writeState, readState, removeState } from "./checkpoint.js";
+import { fetchRobots, summarizeRobots } from "./robots.js";
+import { redirectChainFromResponse, traceRedirects, analyzeRedirects } from "./redirects.js";
+import { extractLinks, buildInlinks, analyzeLinkContext } from "./links.js";
+import { buildLinkGraph, analyzeLinkGraph, writeLinkGraphFiles } from "./graph.js";
+import { extractIndexingSignals, parseLinkHeader, indexabilityVerdict, analyzeIndexability } from "./indexability.js";
+import { checkExternalLinks, summarizeExternalLinks, externalLinkProblems } from "./external-links.js";
+import { fetchSitemaps, compareSitemap, buildSitemapEntries, writeSitemapFiles } from "./sitemap.js";
+
+function createPageResult(url, devices) {
+  return {
+    url,
+    title: "",
+    metaDescription: "",
+    h1s: [],
+    headings: [],
+    content: null,
+    structuredData: null,
+    social: null,
+    accessibility: null,
+    performance: null,
+    visual: null,
+    jsErrors: [],
+    consoleErrors: [],
+    brokenImages: [],
+    benignErrors: [],
+    networkErrors: [],
+    warnings: [],
+    allImages: [],
+    imagesAnalysis: {
+      total: 0,
+      working: 0,
+      broken: 0,
+      withAlt: 0,
+      withoutAlt: 0,
+      details: []
+    },
+    links: [],
+    statusCode: 200,
+    loadTime: 0,
+    metaTags: {},
+    isDocument: false,
+    documentType: "",
+    documentStatus: "",
+    robotsDisallowed: null,
+    robotsBlockedLinks: [],
+    externalLinks: [],
+    linkDetails: [],
+    depth: null,
+    redirectChain: [],
+    redirectLoop: false,
+    inSitemap: false,
+    finalUrl: null,
+    lastModified: null,
+    xRobotsTag: null,
+    linkHeader: null,
+    metaRobots: null,
+    canonical: null,
+    canonicals: [],
+    hreflang: [],
+    indexability: null,
+    screenshots: emptyScreenshots(devices)
+  };
+}
+
+// Order results as a one-at-a-time breadth-first crawl would have produced
+// them, by replaying the recorded links from the start URLs (root and seeds).
+function sortByDiscovery(results, outlinks, starts, normalize) {
+  const pending = [...new Set(starts.map(normalize))];
+  const order = new Map(pending.map((url, index) => [url, index]));
+
+  for (let i = 0; i < pending.length; i++) {
+    for (const link of outlinks.get(pending[i]) || []) {
+      if (!order.has(link)) {
+        order.set(link, pending.length);
+        pending.push(link);
+      }
+    }
+  }
+
+  return results
+    .map((result, index) => ({ result, index, position: order.get(normalize(result.url)) ?? Infinity }))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map(entry => entry.result);
+}
+
+// Shortest click depth of every page reachable from the root by links
+function computeClickDepths(outlinks, root, normalize) {
+  const depths = new Map([[normalize(root), 0]]);
+  const pending = [normalize(root)];
+
+  for (let i = 0; i < pending.length; i++) {
+    const depth = depths.get(pending[i]);
+    for (const link of outlinks.get(pending[i]) || []) {
+      if (!depths.has(link)) {
+        depths.set(link, depth + 1);
+        pending.push(link);
+      }
+    }
+  }
+  return depths;
+}
+
+/*
+ * Crawls a site and audits every page. All crawl state lives on the instance,
+ * so several auditors can run in the same process.
+ *
+ * Events (also accepted as onPage / onIssue / onComplete options):
+ *   page     (pageResult)  after each URL has been checked
+ *   issue    (issue)       for each problem found, see collectPageIssues()
+ *   complete (report)      when the crawl has finished
+ */
+export class Auditor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const { onPage, onIssue, onComplete, logger, ...settings } = options;
+
+    this.config = normalizeConfig(settings);
+    this.logger = logger || console;
+    this.reportPaths = getReportPaths(this.config.outDir);
+    this.deviceConfigs = getDeviceConfigs(this.config, this.reportPaths);
+    this.documentExtensions = this.config.documentExtensions.map(ext => ext.toLowerCase());
+    this.normalize = createUrlNormalizer(this.config.urlNormalization);
+
+    this.visited = new Set();
+    this.queue = [this.config.root];
+    this.queued = new Set([this.normalize(this.config.root)]);
+    this.results = [];
+    // Crawlable links found on each page, in page order (used to order results)
+    this.outlinks = new Map();
+    // URLs currently being checked (normalized URL -> URL)
+    this.inFlight = new Map();
+    // Parsed robots.txt for the root host, fetched when the crawl starts
+    this.robots = null;
+    // Sitemap files and entries, fetched when the crawl starts
+    this.sitemap = null;
+    this.sitemapUrls = new Set();
+    // URLs queued from sitemaps, in sitemap order
+    this.seeds = [];
+    // Click depth of each URL seen (null = not reached from the root by links)
+    this.depths = new Map([[this.normalize(this.config.root), 0]]);
+    // Every form a URL was linked as (normalized URL -> Map of URL -> page it was found on)
+    this.variants = new Map();
+    this.recordVariant(this.config.root, this.normalize(this.config.root), null);
+    // URLs not crawled, with the reason (normalized URL -> { url, reason, foundOn })
+    this.skipped = new Map();
+    // URLs queued so far for each patternLimits entry
+    this.patternCounts = new Map();
+    this.filters = {
+      include: this.config.include.map(compilePattern),
+      exclude: this.config.exclude.map(compilePattern),
+      limits: this.config.patternLimits.map(limit => ({ ...limit, regexp: compilePattern(limit.pattern) }))
+    };
+    // Approved screenshots and masks for visual regression checks
+    this.baselineDir = this.config.visual.baselineDir || this.reportPaths.baselinesDir;
+    this.visualMasks = compileMasks(this.config.visual.masks);
+    // Track already checked images to avoid duplicates
+    this.checkedImages = new Map();
+    this.socialImages = new Map();
+    // External link checks (URL -> result)
+    this.externalChecks = new Map();
+    // Checks of canonical and hreflang targets the crawl did not reach
+    // (normalized URL -> result)
+    this.indexingTargetChecks = new Map();
+    this.report = null;
+    this.linkGraph = null;
+
+    if (onPage) this.on('page', onPage);
+    if (onIssue) this.on('issue', onIssue);
+    if (onComplete) this.on('complete', onComplete);
+  }
+
+  // Crawl from the root URL and return the report object ({ summary, pages })
+  async crawl() {
+    const { config, logger } = this;
+
+    // Create report directories
+    fs.mkdirSync(this.reportPaths.baseDir, { recursive: true });
+    fs.mkdirSync(this.reportPaths.screenshotsDir, { recursive: true });
+    this.deviceConfigs.forEach(device => fs.mkdirSync(device.directory, { recursive: true }));
+
+    if (config.resume) {
+      this.loadCheckpoint();
+    }
+
+    if (config.robots.mode !== 'ignore') {
+      await this.loadRobots();
+    }
+    if (config.sitemap.enabled) {
+      await this.loadSitemaps();
+    }
+
+    const browser = await chromium.launch({
+      headless: config.headless,
+      timeout: config.timeouts.launch
+    });
+
+    try {
+      await this.runWorkers(browser);
+    } finally {
+      await browser.close();
+    }
+
+    // Only the page limit leaves URLs in the queue
+    for (const url of this.queue.splice(0)) {
+      this.skipped.set(this.normalize(url), { url, reason: `page limit of ${config.maxPages} reached`, foundOn: null });
+    }
+
+    if (config.externalLinks.enabled) {
+      await this.validateExternalLinks();
+    }
+    await this.validateIndexingTargets();
+
+    this.results = sortByDiscovery(this.results, this.outlinks, [config.root, ...this.seeds], this.normalize);
+    this.report = this.createReport();
+    // The crawl finished, so there is nothing left to resume
+    removeState(this.reportPaths.stateFile);
+    this.emit('complete', this.report);
+    return this.report;
+  }
+
+  async loadRobots() {
+    const { config, logger } = this;
+    this.robots = await fetchRobots(config.root, {
+      userAgent: config.robots.userAgent,
+      timeout: config.timeouts.navigation,
+      logger
+    });
+
+    if (!this.robots.found) {
+      logger.log(`No robots.txt found (status ${this.robots.status}), all URLs allowed`);
+      return;
+    }
+    logger.log(`robots.txt: ${this.robots.rules.length} rules for "${config.robots.userAgent}" (${config.robots.mode} mode)`);
+
+    if (config.robots.mode !== 'obey') return;
+
+    if (this.robots.crawlDelay) {
+      logger.log(`Honouring Crawl-delay of ${this.robots.crawlDelay}s`);
+    }
+    const rootCheck = this.robots.check(config.root);
+    if (!rootCheck.allowed) {
+      logger.log(`Root URL is disallowed by robots.txt (${rootCheck.rule}), nothing to crawl`);
+      this.queue = this.queue.filter(url => this.robots.check(url).allowed);
+      this.skipped.set(this.normalize(config.root), { url: config.root, reason: `disallowed by robots.txt (${rootCheck.rule})`, foundOn: null });
+    }
+  }
+
+  // Fetch sitemaps (from robots.txt, /sitemap.xml and the config) and queue
+  // their URLs, so pages nothing links to are audited too
+  async loadSitemaps() {
+    const { config, logger } = this;
+    const startUrls = [
+      ...(this.robots?.sitemaps || []),
+      new URL('/sitemap.xml', config.root).href,
+      ...config.sitemap.urls
+    ];
+
+    this.sitemap = await fetchSitemaps(startUrls, {
+      userAgent: config.robots.userAgent,
+      timeout: config.timeouts.navigation,
+      limit: config.sitemap.limit,
+      logger
+    });
+
+    let added = 0;
+    const seeds = new Set(this.seeds);
+    for (const { loc } of this.sitemap.entries) {
+      if (!this.isInternal(loc)) continue;
+
+      const normalizedUrl = this.normalize(loc);
+      this.sitemapUrls.add(normalizedUrl);
+      if (this.enqueue(loc, normalizedUrl, { seed: true, source: 'sitemap' })) {
+        added++;
+      }
+      if (!seeds.has(normalizedUrl) && (this.queued.has(normalizedUrl) || this.visited.has(normalizedUrl))) {
+        seeds.add(normalizedUrl);
+        this.seeds.push(normalizedUrl);
+      }
+    }
+    logger.log(`Sitemaps: ${this.sitemap.entries.length} URLs in ${this.sitemap.sitemaps.filter(s => s.type).length} sitemaps, ${added} added to the queue`);
+  }
+
+  // Check every external URL linked from the crawled pages once
+  async validateExternalLinks() {
+    const { config, logger } = this;
+    const urls = [...new Set(this.results.flatMap(result => (result.externalLinks || []).map(link => link.url)))]
+      .filter(url => !this.externalChecks.has(url));
+    if (urls.length === 0) return;
+
+    logger.log(`\n Checking ${urls.length} external links...`);
+    await checkExternalLinks(urls, {
+      ...config.externalLinks,
+      userAgent: this.deviceConfigs[0]?.userAgent,
+      logger,
+      onResult: (result) => {
+        this.externalChecks.set(result.url, result);
+        if (!result.broken) return;
+        const checks = new Map([[result.url, result]]);
+        this.results.forEach(page => externalLinkProblems(page, checks)
+          .forEach(problem => this.emit('issue', { ...problem, url: page.url })));
+      }
+    });
+  }
+
+  // Fetch the canonical and hreflang targets that were not crawled (other
+  // domains, excluded or over a limit), so analyzeIndexability can still
+  // flag the ones that fail or redirect. URLs robots.txt disallows are left
+  // alone when its rules are obeyed.
+  async validateIndexingTargets() {
+    const { config, logger } = this;
+    const crawled = new Set(this.results.map(result => this.normalize(result.url)));
+    const targets = new Map();
+    this.results.forEach(result => {
+      [result.canonical, ...(result.hreflang || []).map(alternate => alternate.url)]
+        .filter(url => url && /^https?:/.test(url))
+        .forEach(url => targets.set(this.normalize(url), url));
+    });
+    const urls = [...targets]
+      .filter(([normalizedUrl]) => !crawled.has(normalizedUrl) && !this.indexingTargetChecks.has(normalizedUrl))
+      .filter(([, url]) => config.robots.mode !== 'obey' || !this.robots || this.robots.check(url).allowed)
+      .map(([, url]) => url);
+    if (urls.length === 0) return;
+
+    logger.log(`\n Checking ${urls.length} canonical and hreflang targets that were not crawled...`);
+    await checkExternalLinks(urls, {
+      ...config.externalLinks,
+      userAgent: this.deviceConfigs[0]?.userAgent,
+      logger,
+      onResult: (result) => this.indexingTargetChecks.set(this.normalize(result.url), result)
+    });
+  }
+
+  // Queue a URL found at the given click depth unless it has been checked or
+  // queued before, or the crawl rules skip it. Sitemap seeds have no click
+  // depth and are not held to maxDepth.
+  enqueue(url, normalizedUrl = this.normalize(url), { depth = null, seed = false, source = null } = {}) {
+    this.recordVariant(url, normalizedUrl, source);
+
+    const knownDepth = this.depths.get(normalizedUrl);
+    if (depth !== null && (knownDepth === undefined || knownDepth === null || depth < knownDepth)) {
+      this.depths.set(normalizedUrl, depth);
+    } else if (knownDepth === undefined) {
+      this.depths.set(normalizedUrl, null);
+    }
+
+    if (this.visited.has(normalizedUrl) || this.queued.has(normalizedUrl)) {
+      return false;
+    }
+
+    const reason = this.skipReason(url, { depth, seed });
+    if (reason) {
+      if (!this.skipped.has(normalizedUrl)) {
+        this.skipped.set(normalizedUrl, { url, reason, foundOn: source });
+      }
+      return false;
+    }
+
+    this.skipped.delete(normalizedUrl);
+    this.filters.limits
+      .filter(limit => matchesPattern(limit.regexp, url))
+      .forEach(limit => this.patternCounts.set(limit.pattern, (this.patternCounts.get(limit.pattern) || 0) + 1));
+    this.queue.push(url);
+    this.queued.add(normalizedUrl);
+    return true;
+  }
+
+  // Why a URL should not be crawled (null when it should)
+  skipReason(url, { depth, seed }) {
+    const { config, filters } = this;
+
+    if (config.robots.mode === 'obey' && this.robots) {
+      const robotsCheck = this.robots.check(url);
+      if (!robotsCheck.allowed) return `disallowed by robots.txt (${robotsCheck.rule})`;
+    }
+
+    const excluded = config.exclude.find((pattern, index) => matchesPattern(filters.exclude[index], url));
+    if (excluded !== undefined) return `excluded by pattern ${excluded}`;
+
+    if (filters.include.length > 0 && !filters.include.some(regexp => matchesPattern(regexp, url))) {
+      return 'not matched by any include pattern';
+    }
+
+    if (config.maxDepth !== null && !seed && (depth === null || depth > config.maxDepth)) {
+      return depth === null
+        ? `only linked from pages outside the depth limit of ${config.maxDepth}`
+        : `click depth ${depth} exceeds max depth ${config.maxDepth}`;
+    }
+
+    const fullLimit = filters.limits.find(limit =>
+      matchesPattern(limit.regexp, url) && (this.patternCounts.get(limit.pattern) || 0) >= limit.max
+    );
+    if (fullLimit) return `limit of ${fullLimit.max} URLs for ${fullLimit.pattern} reached`;
+
+    return null;
+  }
+
+  // Whether a URL belongs to the crawled site, counting origin aliases
+  isInternal(url) {
+    return resolveAlias(url, this.config.urlNormalization.aliases).startsWith(this.config.root);
+  }
+
+  recordVariant(url, normalizedUrl, source) {
+    if (!this.variants.has(normalizedUrl)) {
+      this.variants.set(normalizedUrl, new Map());
+    }
+    const forms = this.variants.get(normalizedUrl);
+    const linkedAs = stripFragment(url);
+    if (!forms.has(linkedAs)) forms.set(linkedAs, source);
+  }
+
+  // Crawled pages linked under more than one URL: duplicate content risks
+  collectUrlVariants(results) {
+    return results
+      .map(result => ({ url: result.url, forms: this.variants.get(this.normalize(result.url)) }))
+      .filter(({ forms }) => forms && forms.size > 1)
+      .map(({ url, forms }) => ({
+        url,
+        variants: [...forms].map(([variant, foundOn]) => ({ url: variant, foundOn }))
+      }));
+  }
+
+  // Assemble the report object from the results collected so far
+  createReport({ partial = false } = {}) {
+    const { config } = this;
+    const results = sortByDiscovery(this.results, this.outlinks, [config.root, ...this.seeds], this.normalize);
+    const depths = computeClickDepths(this.outlinks, config.root, this.normalize);
+    const inlinks = buildInlinks(results, this.normalize);
+    results.forEach(result => {
+      result.depth = depths.get(this.normalize(result.url)) ?? null;
+      result.inlinks = inlinks.get(this.normalize(result.url)) || [];
+    });
+
+    this.linkGraph = buildLinkGraph(results, { normalize: this.normalize });
+    this.linkGraph.nodes.forEach((node, i) => {
+      results[i].inlinkCount = node.inlinks;
+      results[i].outlinkCount = node.outlinks;
+      results[i].pageRank = node.pageRank;
+    });
+
+    return buildReport(results, {
+      urlNormalization: config.urlNormalization,
+      skipped: [...this.skipped.values()],
+      urlVariants: this.collectUrlVariants(results),
+      seoTags: analyzeSeoTags(results, config.seo),
+      content: analyzeContent(results, config.content),
+      structuredData: config.structuredData.enabled ? analyzeStructuredData(results, config.structuredData) : null,
+      social: config.social.enabled ? analyzeSocial(results, this.normalize, config.social) : null,
+      accessibility: config.accessibility.enabled ? analyzeAccessibility(results, config.accessibility) : null,
+      performance: config.performance.enabled ? analyzePerformance(results, config.performance.budgets) : null,
+      visual: config.visual.enabled ? analyzeVisual(results, {
+        outDir: this.reportPaths.baseDir,
+        screenshotsDir: this.reportPaths.screenshotsDir,
+        baselineDir: this.baselineDir,
+        diffDir: this.reportPaths.visualDiffsDir,
+        threshold: config.visual.threshold,
+        tolerance: config.visual.tolerance
+      }) : null,
+      indexability: analyzeIndexability(results, this.normalize, this.indexingTargetChecks),
+      linkContext: analyzeLinkContext(results),
+      linkGraph: analyzeLinkGraph(this.linkGraph, { root: config.root, normalize: this.normalize, deepPageDepth: config.linkGraph.deepPageDepth, exported: config.linkGraph.export }),
+      redirects: analyzeRedirects(results, { maxHops: config.redirects.maxHops, normalize: this.normalize }),
+      externalLinks: config.externalLinks.enabled ? summarizeExternalLinks(this.externalChecks, results) : null,
+      uniqueImagesChecked: this.checkedImages.size,
+      partial,
+      robots: this.robots && summarizeRobots(this.robots, config.robots.mode, config.root, results),
+      sitemap: this.sitemap && compareSitemap(this.sitemap, results, this.outlinks, config.root, this.normalize, url => this.isInternal(url))
+    });
+  }
+
+  // Everything needed to continue the crawl later. Pages still being checked
+  // go back to the front of the queue.
+  getState() {
+    const inFlight = this.inFlight;
+    return {
+      root: this.config.root,
+      queue: [...inFlight.values(), ...this.queue],
+      visited: [...this.visited].filter(url => !inFlight.has(url)),
+      results: this.results,
+      outlinks: [...this.outlinks],
+      seeds: this.seeds,
+      depths: [...this.depths],
+      skipped: [...this.skipped],
+      patternCounts: [...this.patternCounts],
+      variants: [...this.variants].map(([normalizedUrl, forms]) => [normalizedUrl, [...forms]]),
+      checkedImages: [...this.checkedImages],
+      socialImages: [...this.socialImages],
+      externalChecks: [...this.externalChecks]
+    };
+  }
+
+  restoreState(state) {
+    if (state.root !== this.config.root) {
+      throw new Error(`Saved crawl state is for ${state.root}, not ${this.config.root}`);
+    }
+
+    this.queue = state.queue;
+    this.visited = new Set(state.visited);
+    this.queued = new Set([...state.visited, ...state.queue.map(this.normalize)]);
+    this.results = state.results;
+    this.outlinks = new Map(state.outlinks);
+    this.seeds = state.seeds || [];
+    this.depths = new Map(state.depths || []);
+    this.skipped = new Map(state.skipped || []);
+    this.patternCounts = new Map(state.patternCounts || []);
+    this.variants = new Map((state.variants || []).map(([normalizedUrl, forms]) => [normalizedUrl, new Map(forms)]));
+    this.checkedImages = new Map(state.checkedImages);
+    this.socialImages = new Map(state.socialImages || []);
+    this.externalChecks = new Map(state.externalChecks || []);
+    this.inFlight = new Map();
+  }
+
+  saveCheckpoint() {
+    fs.mkdirSync(this.reportPaths.baseDir, { recursive: true });
+    writeState(this.reportPaths.stateFile, this.getState());
+  }
+
+  // Restore the saved crawl state, if any. Returns true when a crawl was resumed.
+  loadCheckpoint() {
+    const state = readState(this.reportPaths.stateFile);
+    if (!state) {
+      this.logger.log(`No saved crawl state in ${this.reportPaths.stateFile}, starting a new crawl`);
+      return false;
+    }
+
+    this.restoreState(state);
+    this.logger.log(`Resuming crawl saved at ${state.savedAt}: ${this.results.length} pages done, ${this.queue.length} queued`);
+    return true;
+  }
+
+  // Check queued URLs with a bounded pool of workers until the queue is drained.
+  // Workers share the queue and the visited set; each host gets at most
+  // perHostConcurrency workers and requestsPerSecond new pages.
+  runWorkers(browser) {
+    const { config, logger } = this;
+    const hostLimiter = new HostLimiter(config.perHostConcurrency);
+    const rateLimiter = new RateLimiter(config.requestsPerSecond);
+    if (this.robots?.crawlDelay && config.robots.mode === 'obey') {
+      rateLimiter.setHostInterval(hostOf(config.root), this.robots.crawlDelay * 1000);
+    }
+    let active = 0;
+    let limitLogged = false;
+
+    return new Promise((resolve) => {
+      const dispatch = () => {
+        while (active < config.concurrency) {
+          if (config.maxPages > 0 && this.visited.size >= config.maxPages) {
+            if (!limitLogged && this.queue.length > 0) {
+              logger.log(`\n Reached page limit (${config.maxPages}), stopping crawl`);
+              limitLogged = true;
+            }
+            break;
+          }
+
+          const index = this.queue.findIndex(url => hostLimiter.canAcquire(hostOf(url)));
+          if (index === -1) break;
+
+          const [url] = this.queue.splice(index, 1);
+          const normalizedUrl = this.normalize(url);
+          if (this.visited.has(normalizedUrl)) {
+            logger.log(`Skipping already checked: ${url}`);
+            continue;
+          }
+          this.visited.add(normalizedUrl);
+          this.inFlight.set(normalizedUrl, url);
+
+          const host = hostOf(url);
+          hostLimiter.acquire(host);
+          active++;
+
+          this.runTask(browser, url, normalizedUrl, rateLimiter).catch((err) => {
+            logger.log(`Worker failed on ${url}: ${err.message}`);
+          }).finally(() => {
+            hostLimiter.release(host);
+            active--;
+            dispatch();
+          });
+        }
+
+        if (active === 0) {
+          resolve();
+        }
+      };
+
+      dispatch();
+    });
+  }
+
+  async runTask(browser, url, normalizedUrl, rateLimiter) {
+    await rateLimiter.wait(hostOf(url));
+    this.logger.log(`\n Checking: ${url}`);
+
+    const pageResult = createPageResult(url, this.deviceConfigs);
+    pageResult.inSitemap = this.sitemapUrls.has(normalizedUrl);
+    pageResult.depth = this.depths.get(normalizedUrl) ?? null;
+    if (this.robots) {
+      const robotsCheck = this.robots.check(url);
+      if (!robotsCheck.allowed) pageResult.robotsDisallowed = robotsCheck.rule;
+    }
+    try {
+      await this.checkUrl(browser, pageResult, normalizedUrl);
+    } catch (err) {
+      pageResult.jsErrors.push(`Audit failed: ${err.message}`);
+    }
+    pageResult.indexability = indexabilityVerdict(pageResult, this.normalize);
+    this.inFlight.delete(normalizedUrl);
+    this.addResult(pageResult);
+
+    const every = this.config.checkpointEvery;
+    if (every > 0 && this.results.length % every === 0) {
+      this.saveCheckpoint();
+    }
+  }
+
+  // Write index.html, report.json and urls.txt. Pass { partial: true } to
+  // write a report from whatever has been collected before the crawl finished.
+  generateReport({ partial = false } = {}) {
+    if (partial || !this.report) {
+      this.report = this.createReport({ partial });
+    }
+    const issues = this.report.pages.flatMap(page => this.pageIssues(page));
+    writeReport(this.report, this.reportPaths, this.deviceConfigs, { issues });
+    if (this.config.linkGraph.export) {
+      writeLinkGraphFiles(this.linkGraph, this.reportPaths);
+    }
+    const { csv, xlsx } = this.config.exports;
+    if (csv || xlsx) {
+      writeExports(this.report, this.reportPaths, { csv, xlsx, issues });
+    }
+
+    // A sitemap from an unfinished crawl would be missing pages
+    if (this.config.sitemapOutput.enabled && !partial) {
+      this.generateSitemap();
+    }
+    return this.report;
+  }
+
+  // Write sitemap.xml (split into an index when needed) for the indexable pages
+  generateSitemap() {
+    const { config, logger } = this;
+    const options = config.sitemapOutput;
+    const entries = buildSitemapEntries(this.report.pages, {
+      rules: options.rules,
+      lastmod: options.lastmod,
+      normalize: this.normalize
+    });
+    const files = writeSitemapFiles(entries, this.reportPaths.baseDir, {
+      baseUrl: options.baseUrl || config.root,
+      maxUrls: options.maxUrlsPerFile
+    });
+
+    const skipped = this.report.pages.length - entries.length;
+    logger.log(`Sitemap: ${entries.length} URLs written to ${this.reportPaths.baseDir}/${files[0]}${files.length > 1 ? ` (index of ${files.length - 1} sitemaps)` : ''}, ${skipped} URLs not indexable`);
+    return files;
+  }
+
+  printSummary() {
+    printSummary(this.report, this.reportPaths, this.deviceConfigs, this.logger);
+  }
+
+  // Check the report against the CI thresholds, print a pass/fail line per
+  // rule and write junit.xml and results.sarif. Returns { passed, rules }.
+  checkQualityGates() {
+    const { config, logger } = this;
+    const gates = evaluateQualityGates(this.report, config.ci.thresholds);
+    writeQualityGateReports(gates, this.reportPaths, { root: config.root });
+    logger.log(`\n Quality gates:`);
+    logger.log(formatQualityGates(gates));
+    logger.log(` JUnit: ${this.reportPaths.junitReport}, SARIF: ${this.reportPaths.sarifReport}`);
+    return gates;
+  }
+
+  // Issues of one page result, with this audit's thresholds
+  pageIssues(pageResult) {
+    return collectPageIssues(pageResult, {
+      normalize: this.normalize,
+      maxRedirectHops: this.config.redirects.maxHops,
+      externalChecks: this.externalChecks,
+      seoThresholds: this.config.seo,
+      contentThresholds: this.config.content,
+      socialRules: this.config.social.enabled ? this.config.social : null,
+      performanceBudgets: this.config.performance.budgets
+    });
+  }
+
+  addResult(pageResult) {
+    this.results.push(pageResult);
+    this.emit('page', pageResult);
+    this.pageIssues(pageResult).forEach(issue => this.emit('issue', issue));
+  }
+
+  async checkUrl(browser, pageResult, normalizedUrl) {
+    const context = await browser.newContext();
+    try {
+      await this.checkPage(browser, await context.newPage(), pageResult, normalizedUrl);
+    } finally {
+      await context.close();
+    }
+  }
+
+  async checkPage(browser, page, pageResult, normalizedUrl) {
+    const { config, logger } = this;
+    const url = pageResult.url;
+
+    // Check if this is a document URL
+    if (isDocumentUrl(url, this.documentExtensions)) {
+      await checkDocumentUrl(page, url, pageResult, { timeout: config.timeouts.document, logger });
+      return;
+    }
+
+    // Set default timeouts
+    page.setDefaultTimeout(config.timeouts.navigation);
+    page.setDefaultNavigationTimeout(config.timeouts.navigation);
+
+    // Setup enhanced error handling for HTML pages
+    setupErrorHandling(page, pageResult);
+
+    // Open page
+    const startTime = Date.now();
+    try {
+      const response = await page.goto(url, { waitUntil: "networkidle", timeout: config.timeouts.navigation });
+      pageResult.loadTime = Date.now() - startTime;
+      pageResult.statusCode = response?.status() || 200;
+      pageResult.finalUrl = page.url();
+      pageResult.redirectChain = await redirectChainFromResponse(response);
+      pageResult.lastModified = response?.headers()['last-modified'] || null;
+      pageResult.xRobotsTag = response?.headers()['x-robots-tag'] || null;
+      pageResult.linkHeader = response?.headers()['link'] || null;
+    } catch (err) {
+      pageResult.jsErrors.push("Page failed to load: " + err.message);
+      pageResult.loadTime = Date.now() - startTime;
+      if (err.message.includes('ERR_TOO_MANY_REDIRECTS')) {
+        await this.traceFailedRedirects(page, pageResult);
+      }
+      return;
+    }
+
+    // Title
+    pageResult.title = await page.title();
+    if (!pageResult.title) {
+      pageResult.title = MISSING_TITLE;
+    }
+
+    // Canonical, hreflang and robots signals from the HTML and the Link header
+    try {
+      const signals = await page.evaluate(extractIndexingSignals);
+      const header = parseLinkHeader(pageResult.linkHeader, pageResult.finalUrl || url);
+      pageResult.canonicals = [...header.canonicals, ...signals.canonicals];
+      pageResult.canonical = pageResult.canonicals[0] || null;
+      pageResult.hreflang = [...header.hreflang, ...signals.hreflang];
+      pageResult.metaRobots = signals.metaRobots || null;
+    } catch (error) {
+      logger.log(`Could not extract canonical and hreflang links for ${url}`);
+    }
+
+    // Meta Description and other important meta tags
+    pageResult.metaDescription = await page.$eval('meta[name="description"]', (el) => el?.content || '').catch(() => '');
+
+    // Heading outline, word count, text-to-HTML ratio and content fingerprint
+    try {
+      const content = await page.evaluate(extractContent);
+      pageResult.headings = content.headings;
+      pageResult.h1s = content.headings.filter(heading => heading.level === 1).map(heading => heading.text);
+      pageResult.content = contentMetrics(content);
+    } catch (error) {
+      logger.log(`Could not extract headings and content for ${url}`);
+    }
+
+    // JSON-LD, microdata and RDFa, validated against the bundled schema rules
+    if (config.structuredData.enabled) {
+      try {
+        pageResult.structuredData = parseStructuredData(await page.evaluate(extractStructuredData));
+      } catch (error) {
+        logger.log(`Could not extract structured data for ${url}`);
+      }
+    }
+
+    // Check for other important meta tags
+    try {
+      pageResult.metaTags = await page.evaluate(() => {
+        const metaTags = {};
+        const importantMetaTags = [
+          'description',
+          'keywords',
+          'viewport',
+          'robots',
+          'og:title',
+          'og:description',
+          'og:image',
+          'og:type',
+          'og:url',
+          'og:site_name',
+          'twitter:card',
+          'twitter:site',
+          'twitter:title',
+          'twitter:description',
+          'twitter:image'
+        ];
+
+        const metaElements = document.querySelectorAll('meta');
+        metaElements.forEach(meta => {
+          const name = meta.getAttribute('name') || meta.getAttribute('property');
+          if (name && importantMetaTags.includes(name)) {
+            metaTags[name] = meta.getAttribute('content') || '';
+          }
+        });
+
+        return metaTags;
+      });
+    } catch (error) {
+      logger.log(`Could not extract meta tags for ${url}`);
+    }
+
+    if (config.social.enabled) {
+      await this.checkShareImage(page, pageResult);
+    }
+
+    await this.analyzeImages(page, pageResult);
+
+    // WCAG violations found by the bundled axe-core
+    if (config.accessibility.enabled) {
+      try {
+        pageResult.accessibility = await auditAccessibility(page, config.accessibility);
+        logger.log(`Accessibility: ${pageResult.accessibility.violations.length} rules violated, score ${pageResult.accessibility.score}`);
+      } catch (error) {
+        logger.log(`Could not run the accessibility audit for ${url}: ${error.message}`);
+      }
+    }
+
+    // Take screenshots (and measure performance) for all devices
+    logger.log(`Taking screenshots for different devices...`);
+    const { screenshots, performance } = await takeScreenshots(browser, url, normalizedUrl, {
+      devices: this.deviceConfigs,
+      timeout: config.timeouts.screenshot,
+      measurePerformance: config.performance.enabled,
+      // Painted even without --visual, so accept-baseline never approves
+      // screenshots with the masked areas showing
+      maskSelectors: device => masksFor(this.visualMasks, url, device).filter(mask => mask.selector).map(mask => mask.selector),
+      logger
+    });
+    pageResult.screenshots = screenshots;
+    if (Object.keys(performance).length > 0) {
+      pageResult.performance = performance;
+    }
+
+    if (config.visual.enabled) {
+      pageResult.visual = compareScreenshots(screenshots, url, {
+        screenshotsDir: this.reportPaths.screenshotsDir,
+        baselineDir: this.baselineDir,
+        diffDir: this.reportPaths.visualDiffsDir,
+        masks: this.visualMasks,
+        threshold: config.visual.threshold,
+        tolerance: config.visual.tolerance
+      });
+      const changed = Object.entries(pageResult.visual).filter(([, entry]) => entry.status === 'changed');
+      if (changed.length > 0) {
+        logger.log(`Visual changes: ${changed.map(([device, entry]) => `${device} ${entry.mismatch}%`).join(', ')}`);
+      }
+    }
+
+    await this.collectLinks(page, pageResult, normalizedUrl);
+    this.enqueueIndexingTargets(pageResult);
+  }
+
+  // The browser gives up on redirect loops without reporting the hops, so
+  // follow them again one at a time
+  async traceFailedRedirects(page, pageResult) {
+    const trace = await traceRedirects(page.context().request, pageResult.url, { timeout: this.config.timeouts.navigation });
+    pageResult.redirectChain = trace.hops;
+    pageResult.redirectLoop = trace.loop;
+    pageResult.finalUrl = trace.finalUrl;
+    pageResult.statusCode = trace.status;
+    this.logger.log(`Redirect ${trace.loop ? 'loop' : 'chain'} traced for ${pageResult.url}: ${trace.hops.length} hops`);
+  }
+
+  // Fetch og:image once per image URL to check it loads and measure it
+  async checkShareImage(page, pageResult) {
+    const ogImage = pageResult.metaTags?.['og:image'];
+    if (!ogImage) return;
+
+    let imageUrl;
+    try {
+      imageUrl = new URL(ogImage, pageResult.finalUrl || pageResult.url).href;
+    } catch {
+      pageResult.social = { image: { url: ogImage, status: 0, contentType: null, width: null, height: null, error: 'Invalid URL' } };
+      return;
+    }
+
+    const key = normalizeImageUrl(imageUrl);
+    if (!this.socialImages.has(key)) {
+      const check = await checkSocialImage(page.context().request, imageUrl, { timeout: this.config.timeouts.document });
+      this.socialImages.set(key, check);
+      this.logger.log(`og:image ${check.error || check.status >= 400 ? 'broken' : `${check.width}×${check.height}`}: ${imageUrl}`);
+    }
+    pageResult.social = { image: this.socialImages.get(key) };
+  }
+
+  // Comprehensive image analysis
+  async analyzeImages(page, pageResult) {
+    const { logger } = this;
+
+    try {
+      pageResult.imagesAnalysis = await page.evaluate(() => {
+        const images = Array.from(document.querySelectorAll('img'));
+        const analysis = {
+          total: images.length,
+          working: 0,
+          broken: 0,
+          withAlt: 0,
+          withoutAlt: 0,
+          details: []
+        };
+
+        for (const img of images) {
+          const imageInfo = {
+            src: img.src,
+            alt: img.alt || '',
+            naturalWidth: img.naturalWidth,
+            naturalHeight: img.naturalHeight,
+            complete: img.complete,
+            isWorking: false
+          };
+
+          if (img.alt && img.alt.trim() !== '') {
+            analysis.withAlt++;
+          } else {
+            analysis.withoutAlt++;
+          }
+
+          if (img.complete && img.naturalWidth > 0 && img.naturalHeight > 0) {
+            analysis.working++;
+            imageInfo.isWorking = true;
+          } else {
+            analysis.broken++;
+            imageInfo.isWorking = false;
+          }
+
+          analysis.details.push(imageInfo);
+        }
+
+        return analysis;
+      });
+
+      // Additional check: Verify images with HEAD requests
+      logger.log(`Found ${pageResult.imagesAnalysis.total} images, verifying...`);
+
+      let duplicateChecks = 0;
+      let newChecks = 0;
+
+      for (const imageInfo of pageResult.imagesAnalysis.details) {
+        if (imageInfo.src && !imageInfo.src.startsWith('data:')) {
+          const normalizedImageUrl = normalizeImageUrl(imageInfo.src);
+
+          if (this.checkedImages.has(normalizedImageUrl)) {
+            const existingCheck = this.checkedImages.get(normalizedImageUrl);
+            imageInfo.verifiedExists = existingCheck.exists;
+            imageInfo.cachedCheck = true;
+            duplicateChecks++;
+
+            if (!existingCheck.exists && imageInfo.isWorking) {
+              imageInfo.isWorking = false;
+              pageResult.imagesAnalysis.working--;
+              pageResult.imagesAnalysis.broken++;
+            }
+          } else {
+            const exists = await this.checkImageExists(page, imageInfo.src);
+            imageInfo.verifiedExists = exists;
+            imageInfo.cachedCheck = false;
+            newChecks++;
+
+            if (!exists && imageInfo.isWorking) {
+              imageInfo.isWorking = false;
+              pageResult.imagesAnalysis.working--;
+              pageResult.imagesAnalysis.broken++;
+            }
+          }
+        }
+      }
+
+      logger.log(`Image checks: ${newChecks} new, ${duplicateChecks} cached`);
+
+      pageResult.brokenImages = pageResult.imagesAnalysis.details
+        .filter(img => !img.isWorking)
+        .map(img => img.src);
+
+    } catch (error) {
+      logger.log(`Could not analyze images for ${pageResult.url}: ${error.message}`);
+    }
+  }
+
+  // Function to check if image exists by making a HEAD request
+  async checkImageExists(page, imageUrl) {
+    const { logger } = this;
+    const normalizedImageUrl = normalizeImageUrl(imageUrl);
+
+    if (this.checkedImages.has(normalizedImageUrl)) {
+      const existingCheck = this.checkedImages.get(normalizedImageUrl);
+      logger.log(`Using cached check for: ${imageUrl} -> ${existingCheck.exists ? 'EXISTS' : 'BROKEN'}`);
+      return existingCheck.exists;
+    }
+
+    try {
+      logger.log(`Checking image: ${imageUrl}`);
+      const response = await page.evaluate(async (url) => {
+        try {
+          const response = await fetch(url, { method: 'HEAD' });
+          return { status: response.status, ok: response.ok };
+        } catch (error) {
+          return { status: 0, ok: false, error: error.message };
+        }
+      }, imageUrl);
+
+      const exists = response.ok && response.status === 200;
+
+      this.checkedImages.set(normalizedImageUrl, {
+        exists,
+        verified: true,
+        originalUrl: imageUrl,
+        status: response.status
+      });
+
+      return exists;
+    } catch {
+      this.checkedImages.set(normalizedImageUrl, {
+        exists: false,
+        verified: true,
+        originalUrl: imageUrl,
+        status: 0
+      });
+      return false;
+    }
+  }
+
+  // Extract all links and queue internal pages and documents
+  async collectLinks(page, pageResult, normalizedUrl) {
+    const { logger } = this;
+    const root = this.config.root;
+
+    const allLinks = await page.evaluate(extractLinks, root);
+
+    // Separate internal HTML links from document and external links
+    const internalLinks = [];
+    const documentLinks = [];
+    const externalLinks = [];
+    const linkDetails = [];
+    const crawlable = [];
+    const robotsBlocked = [];
+
+    allLinks.forEach(({ href: link, ...context }) => {
+      const { text } = context;
+      linkDetails.push({ url: link, internal: this.isInternal(link), ...context });
+
+      if (/^https?:/.test(link) && !this.isInternal(link)) {
+        const url = stripFragment(link);
+        if (!externalLinks.some(external => external.url === url && external.text === text)) {
+          externalLinks.push({ url, text });
+        }
+      }
+
+      const normalizedLink = this.normalize(link);
+      const isDocument = isDocumentUrl(link, this.documentExtensions);
+
+      if (isDocument) {
+        documentLinks.push(link);
+      } else if (this.isInternal(link) && !internalLinks.includes(link)) {
+        internalLinks.push(link);
+      }
+
+      if (!this.isInternal(link)) return;
+      crawlable.push(normalizedLink);
+
+      const robotsCheck = this.robots ? this.robots.check(link) : { allowed: true };
+      if (!robotsCheck.allowed && !robotsBlocked.some(blocked => blocked.url === link)) {
+        robotsBlocked.push({ url: link, rule: robotsCheck.rule });
+      }
+
+      const depth = pageResult.depth === null ? null : pageResult.depth + 1;
+      if (this.enqueue(link, normalizedLink, { depth, source: pageResult.url })) {
+        logger.log(isDocument ? `Added document to queue: ${link}` : `Added to queue: ${link}`);
+      }
+    });
+
+    pageResult.links = internalLinks;
+    pageResult.documentLinks = documentLinks;
+    pageResult.externalLinks = externalLinks;
+    pageResult.linkDetails = linkDetails;
+    pageResult.robotsBlockedLinks = robotsBlocked;
+    this.outlinks.set(normalizedUrl, crawlable);
+  }
+
+  // Canonical and hreflang targets are crawled like links, so their status,
+  // redirects and robots directives can be judged even when nothing links
+  // to them. They do not count as links in the link graph.
+  enqueueIndexingTargets(pageResult) {
+    const depth = pageResult.depth === null ? null : pageResult.depth + 1;
+    [...pageResult.canonicals, ...pageResult.hreflang.map(alternate => alternate.url)]
+      .filter(url => this.isInternal(url))
+      .forEach(url => {
+        if (this.enqueue(url, this.normalize(url), { depth, source: pageResult.url })) {
+          this.logger.log(`Added canonical or hreflang target to queue: ${url}`);
+        }
+      });
+  }
+}
+
+export function createAuditor(options) {
+  return new Auditor(options);
+}
@@ -0,0 +1,32 @@
+import fs from "fs";
+
+// Bump when the saved state shape changes
+export const STATE_VERSION = 1;
+
+// Write the crawl state atomically so a crash mid-write never corrupts it
+export function writeState(file, state) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...state }));
+  fs.renameSync(tmpFile, file);
+}
+
+export function readState(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read crawl state ${file}: ${err.message}`);
+  }
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Crawl state ${file} was written by an incompatible version (state version ${state.version})`);
+  }
+  return state;
+}
+
+export function removeState(file) {
+  fs.rmSync(file, { force: true });
+}
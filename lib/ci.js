@@ -0,0 +1,225 @@
+import fs from "fs";
+
+import { MISSING_TITLE } from "./seo-tags.js";
+import { formatMetric } from "./performance.js";
+import { escapeXml } from "./sitemap.js";
+
+// Thresholds used in CI mode when none are configured
+export const DEFAULT_CI_THRESHOLDS = {
+  maxBrokenLinks: 0,
+  maxCriticalErrors: 0,
+  maxMissingTitles: 0,
+  maxLcp: 2500 // ms
+};
+
+const count = failures => ({ value: failures.length, failures });
+
+// Worst value of a lab metric across pages and devices, and every page
+// and device over the limit
+function metricRule(metric) {
+  return (report, limit) => {
+    if (!report.performance) return null;
+    let worst = null;
+    const failures = [];
+    report.pages.filter(page => page.performance).forEach(page => {
+      Object.entries(page.performance).forEach(([device, metrics]) => {
+        const value = metrics[metric];
+        if (value === null || value === undefined) return;
+        worst = worst === null ? value : Math.max(worst, value);
+        if (value > limit) {
+          failures.push({ url: page.url, message: `${formatMetric(metric, value)} on ${device}` });
+        }
+      });
+    });
+    return { value: worst ?? 0, failures };
+  };
+}
+
+// Quality gates, keyed by threshold name. "max" rules fail when the value
+// is above the limit, "min" rules when it is below. evaluate() returns
+// { value, failures: [{ url, message }] }, or null when the report lacks
+// the data (e.g. performance was not measured).
+export const QUALITY_RULES = {
+  maxBrokenLinks: {
+    label: 'Broken links',
+    evaluate: report => count([
+      ...report.pages
+        .filter(page => page.statusCode === 0 || page.statusCode >= 400 || page.documentStatus === 'broken')
+        .map(page => ({ url: page.url, message: `Returned status ${page.statusCode}` })),
+      ...(report.externalLinks?.broken || [])
+        .map(link => ({ url: link.url, message: `External link ${link.error || `returned status ${link.status}`}, linked from ${link.sources.map(s => s.page).join(', ')}` }))
+    ])
+  },
+  maxBrokenImages: {
+    label: 'Broken images',
+    evaluate: report => count(report.pages.flatMap(page =>
+      page.brokenImages.map(src => ({ url: page.url, message: `Broken image: ${src}` }))))
+  },
+  maxCriticalErrors: {
+    label: 'JavaScript and console errors',
+    evaluate: report => count(report.pages.flatMap(page =>
+      [...page.jsErrors, ...page.consoleErrors].map(message => ({ url: page.url, message }))))
+  },
+  maxMissingTitles: {
+    label: 'Pages missing titles',
+    evaluate: report => count(report.pages
+      .filter(page => !page.isDocument && (!page.title || page.title === MISSING_TITLE))
+      .map(page => ({ url: page.url, message: 'Page has no <title>' })))
+  },
+  maxMissingDescriptions: {
+    label: 'Pages missing meta descriptions',
+    evaluate: report => count(report.pages
+      .filter(page => !page.isDocument && !page.metaDescription)
+      .map(page => ({ url: page.url, message: 'Page has no meta description' })))
+  },
+  maxDuplicateTitles: {
+    label: 'Duplicate titles',
+    evaluate: report => report.seoTags && count(report.seoTags.duplicates.title
+      .map(group => ({ url: group.urls[0], message: `"${group.value}" is used by ${group.urls.length} pages: ${group.urls.join(', ')}` })))
+  },
+  maxNonIndexablePages: {
+    label: 'Pages not indexable',
+    evaluate: report => report.indexability && count(report.indexability.nonIndexable
+      .map(page => ({ url: page.url, message: page.detail || page.reason })))
+  },
+  maxAccessibilityViolations: {
+    label: 'WCAG rules violated',
+    evaluate: report => report.accessibility && count(report.accessibility.rules
+      .map(rule => ({ url: rule.pages[0].url, message: `${rule.help} (${rule.id}, ${rule.impact}) on ${rule.pages.length} pages` })))
+  },
+  minAccessibilityScore: {
+    label: 'Accessibility score',
+    evaluate: (report, limit) => report.accessibility && report.accessibility.score !== null && {
+      value: report.accessibility.score,
+      failures: report.pages
+        .filter(page => page.accessibility && page.accessibility.score < limit)
+        .map(page => ({ url: page.url, message: `Accessibility score ${page.accessibility.score}` }))
+    }
+  },
+  maxLcp: { label: 'Largest Contentful Paint', metric: 'lcp', evaluate: metricRule('lcp') },
+  maxCls: { label: 'Cumulative Layout Shift', metric: 'cls', evaluate: metricRule('cls') },
+  maxTbt: { label: 'Total Blocking Time', metric: 'tbt', evaluate: metricRule('tbt') },
+  maxVisualChanges: {
+    label: 'Screenshots changed from baseline',
+    evaluate: report => report.visual && count(report.visual.changed
+      .map(change => ({ url: change.url, message: `${change.device} screenshot differs by ${change.mismatch}%` })))
+  }
+};
+
+export function validateThresholds(thresholds) {
+  for (const [key, limit] of Object.entries(thresholds)) {
+    if (!QUALITY_RULES[key]) {
+      throw new Error(`Unknown CI threshold: ${key} (available: ${Object.keys(QUALITY_RULES).join(', ')})`);
+    }
+    if (limit !== null && (typeof limit !== 'number' || limit < 0)) {
+      throw new Error(`ci.thresholds.${key} must be null or a non-negative number, got: ${limit}`);
+    }
+  }
+}
+
+// Check a report against the thresholds (null switches a rule off):
+// { passed, rules: [{ id, label, limit, value, status, failures }] }
+// where status is 'pass', 'fail' or 'skipped' (no data for the rule)
+export function evaluateQualityGates(report, thresholds) {
+  const rules = Object.entries(thresholds)
+    .filter(([, limit]) => limit !== null)
+    .map(([id, limit]) => {
+      const rule = QUALITY_RULES[id];
+      const result = rule.evaluate(report, limit);
+      if (!result) {
+        return { id, label: rule.label, limit, value: null, status: 'skipped', failures: [] };
+      }
+      const passed = id.startsWith('min') ? result.value >= limit : result.value <= limit;
+      return { id, label: rule.label, limit, value: result.value, status: passed ? 'pass' : 'fail', failures: passed ? [] : result.failures };
+    });
+  return { passed: rules.every(rule => rule.status !== 'fail'), rules };
+}
+
+function formatValue(id, value) {
+  const metric = QUALITY_RULES[id].metric;
+  return metric ? formatMetric(metric, value) : String(value);
+}
+
+// Compact pass/fail lines for the console
+export function formatQualityGates(gates) {
+  const marks = { pass: '✔ PASS', fail: '✖ FAIL', skipped: '- SKIP' };
+  const lines = gates.rules.map(rule => {
+    const bound = `${rule.id.startsWith('min') ? 'min' : 'max'} ${formatValue(rule.id, rule.limit)}`;
+    const value = rule.status === 'skipped' ? 'no data' : formatValue(rule.id, rule.value);
+    return `   ${marks[rule.status]}  ${rule.label}: ${value} (${bound})`;
+  });
+  const failed = gates.rules.filter(rule => rule.status === 'fail').length;
+  return [
+    ...lines,
+    '',
+    gates.passed ? ' Quality gates passed' : ` Quality gates failed: ${failed} of ${gates.rules.length} rules`
+  ].join('\n');
+}
+
+// JUnit XML: one test case per rule, failing pages in the failure body
+export function renderJUnitXml(gates, { name = 'SEO audit', root = '' } = {}) {
+  const failures = gates.rules.filter(rule => rule.status === 'fail').length;
+  const skipped = gates.rules.filter(rule => rule.status === 'skipped').length;
+  const cases = gates.rules.map(rule => {
+    const open = `  <testcase classname="${escapeXml(name)}" name="${escapeXml(rule.label)} (${rule.id} ${formatValue(rule.id, rule.limit)})">`;
+    if (rule.status === 'skipped') {
+      return `${open}\n    <skipped message="No data in the report"/>\n  </testcase>`;
+    }
+    if (rule.status === 'pass') {
+      return `${open}</testcase>`;
+    }
+    const message = `${rule.label} is ${formatValue(rule.id, rule.value)}, limit ${formatValue(rule.id, rule.limit)}`;
+    const body = rule.failures.map(failure => `${failure.url}: ${failure.message}`).join('\n');
+    return `${open}\n    <failure message="${escapeXml(message)}" type="${rule.id}">${escapeXml(body)}</failure>\n  </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuite name="${escapeXml(name)}${root ? ` ${escapeXml(root)}` : ''}" tests="${gates.rules.length}" failures="${failures}" skipped="${skipped}" errors="0">`,
+    ...cases,
+    '</testsuite>',
+    ''
+  ].join('\n');
+}
+
+// SARIF 2.1.0 log with one result per failing page, located at its URL
+export function renderSarif(gates) {
+  const failed = gates.rules.filter(rule => rule.status === 'fail');
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'website-crawler-seo-auditor',
+          informationUri: 'https://github.com/riyazpanarwala/website-crawler-seo-auditor',
+          rules: gates.rules.map(rule => ({
+            id: rule.id,
+            name: rule.id,
+            shortDescription: { text: `${rule.label} (${rule.id.startsWith('min') ? 'at least' : 'at most'} ${formatValue(rule.id, rule.limit)})` }
+          }))
+        }
+      },
+      results: failed.flatMap(rule => {
+        const summary = `${rule.label} is ${formatValue(rule.id, rule.value)}, limit ${formatValue(rule.id, rule.limit)}`;
+        if (rule.failures.length === 0) {
+          return [{ ruleId: rule.id, level: 'error', message: { text: summary } }];
+        }
+        return rule.failures.map(failure => ({
+          ruleId: rule.id,
+          level: 'error',
+          message: { text: `${failure.message} (${summary})` },
+          locations: [{ physicalLocation: { artifactLocation: { uri: failure.url } } }]
+        }));
+      })
+    }]
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+// Write junit.xml and results.sarif to the report directory
+export function writeQualityGateReports(gates, reportPaths, { root } = {}) {
+  fs.mkdirSync(reportPaths.baseDir, { recursive: true });
+  fs.writeFileSync(reportPaths.junitReport, renderJUnitXml(gates, { root }));
+  fs.writeFileSync(reportPaths.sarifReport, renderSarif(gates));
+}
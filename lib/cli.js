@@ -0,0 +1,215 @@
+// Command-line flags. `key` is the config path the value is written to.
+const FLAGS = [
+  { flag: '--out', alias: '-o', key: 'outDir', type: 'string', help: 'Report output directory (default: site-report)' },
+  { flag: '--config', alias: '-c', key: null, type: 'string', help: 'Config file (.json or .js); defaults to audit.config.{js,mjs,json} if present' },
+  { flag: '--max-pages', key: 'maxPages', type: 'integer', help: 'Stop after this many URLs (0 = no limit)' },
+  { flag: '--max-depth', key: 'maxDepth', type: 'integer', help: 'Maximum click depth from the root URL' },
+  { flag: '--include', key: 'include', type: 'list', help: 'Only crawl URLs matching these patterns, comma separated' },
+  { flag: '--exclude', key: 'exclude', type: 'list', help: 'Never crawl URLs matching these patterns, comma separated' },
+  { flag: '--query', key: 'urlNormalization.query', type: 'string', help: 'Query strings: keep (default) or strip them when comparing URLs' },
+  { flag: '--strip-params', key: 'urlNormalization.stripParams', type: 'list', help: 'Query parameters ignored when comparing URLs, comma separated (* wildcard)' },
+  { flag: '--lowercase-paths', key: 'urlNormalization.lowercasePath', type: 'boolean', help: 'Treat URL paths as case-insensitive' },
+  { flag: '--devices', key: 'devices', type: 'list', help: 'Screenshot devices, comma separated (default: desktop,mobile,tablet)' },
+  { flag: '--document-extensions', key: 'documentExtensions', type: 'list', help: 'File extensions treated as documents, comma separated' },
+  { flag: '--concurrency', key: 'concurrency', type: 'integer', help: 'Pages checked in parallel (default: 4)' },
+  { flag: '--per-host-concurrency', key: 'perHostConcurrency', type: 'integer', help: 'Parallel pages per host, 0 = no limit (default: 4)' },
+  { flag: '--requests-per-second', alias: '--rps', key: 'requestsPerSecond', type: 'number', help: 'Page requests per second per host, 0 = no limit (default: 2)' },
+  { flag: '--generate-sitemap', key: 'sitemapOutput.enabled', type: 'boolean', help: 'Write sitemap.xml for the indexable pages found' },
+  { flag: '--sitemap-base-url', key: 'sitemapOutput.baseUrl', type: 'string', help: 'URL the generated sitemap files will be served from (default: root URL)' },
+  { flag: '--min-words', key: 'content.minWords', type: 'integer', help: 'Report pages with fewer words of content as thin (default: 200)' },
+  { flag: '--social', key: 'social.enabled', type: 'boolean', help: 'Validate Open Graph and Twitter card tags (default; --no-social to skip)' },
+  { flag: '--performance', key: 'performance.enabled', type: 'boolean', help: 'Measure Core Web Vitals and page weight per device (default; --no-performance to skip)' },
+  { flag: '--visual', key: 'visual.enabled', type: 'boolean', help: 'Pixel-diff screenshots against the accepted baselines' },
+  { flag: '--baseline-dir', key: 'visual.baselineDir', type: 'string', help: 'Directory of baseline screenshots (default: <out>/baselines)' },
+  { flag: '--visual-tolerance', key: 'visual.tolerance', type: 'number', help: '% of changed pixels allowed per screenshot (default: 0.1)' },
+  { flag: '--accessibility', key: 'accessibility.enabled', type: 'boolean', help: 'Run the axe-core accessibility audit (default; --no-accessibility to skip)' },
+  { flag: '--wcag-level', key: 'accessibility.level', type: 'string', help: 'WCAG 2.1 level to check: A or AA (default: AA)' },
+  { flag: '--disable-axe-rules', key: 'accessibility.disabledRules', type: 'list', help: 'axe-core rule ids to skip, comma separated' },
+  { flag: '--structured-data', key: 'structuredData.enabled', type: 'boolean', help: 'Validate JSON-LD, microdata and RDFa (default; --no-structured-data to skip)' },
+  { flag: '--deep-page-depth', key: 'linkGraph.deepPageDepth', type: 'integer', help: 'Report pages more clicks than this from the root (default: 3)' },
+  { flag: '--export-graph', key: 'linkGraph.export', type: 'boolean', help: 'Write the link graph as GraphML, GEXF and CSV (default; --no-export-graph to skip)' },
+  { flag: '--external-links', key: 'externalLinks.enabled', type: 'boolean', help: 'Check links to other sites (default; --no-external-links to skip)' },
+  { flag: '--external-timeout', key: 'externalLinks.timeout', type: 'integer', help: 'External link check timeout in ms (default: 10000)' },
+  { flag: '--external-retries', key: 'externalLinks.retries', type: 'integer', help: 'Retries for failing external links (default: 2)' },
+  { flag: '--max-redirect-hops', key: 'redirects.maxHops', type: 'integer', help: 'Report redirect chains longer than this (default: 1)' },
+  { flag: '--robots', key: 'robots.mode', type: 'string', help: 'robots.txt handling: obey, audit (report without enforcing) or ignore (default: obey)' },
+  { flag: '--robots-user-agent', key: 'robots.userAgent', type: 'string', help: 'User agent matched against robots.txt (default: SEOAuditor)' },
+  { flag: '--sitemap', key: 'sitemap.enabled', type: 'boolean', help: 'Seed the crawl from sitemaps (default; --no-sitemap to skip)' },
+  { flag: '--sitemap-urls', key: 'sitemap.urls', type: 'list', help: 'Extra sitemap URLs, comma separated' },
+  { flag: '--csv', key: 'exports.csv', type: 'boolean', help: 'Write CSV exports of pages and issues (default; --no-csv to skip)' },
+  { flag: '--xlsx', key: 'exports.xlsx', type: 'boolean', help: 'Also write the exports as a multi-sheet report.xlsx' },
+  { flag: '--ci', key: 'ci.enabled', type: 'boolean', help: 'Check quality gates, write junit.xml and results.sarif, exit 1 when one fails' },
+  { flag: '--thresholds', key: 'ci.thresholdsFile', type: 'string', help: 'Quality gate thresholds file (.json or .js) for --ci' },
+  { flag: '--resume', key: 'resume', type: 'boolean', help: 'Continue an interrupted crawl from the state saved in the output directory' },
+  { flag: '--checkpoint-every', key: 'checkpointEvery', type: 'integer', help: 'Save crawl state every N pages, 0 = never (default: 10)' },
+  { flag: '--launch-timeout', key: 'timeouts.launch', type: 'integer', help: 'Browser launch timeout in ms' },
+  { flag: '--navigation-timeout', key: 'timeouts.navigation', type: 'integer', help: 'Page navigation timeout in ms' },
+  { flag: '--document-timeout', key: 'timeouts.document', type: 'integer', help: 'Document check timeout in ms' },
+  { flag: '--screenshot-timeout', key: 'timeouts.screenshot', type: 'integer', help: 'Screenshot page load timeout in ms' },
+  { flag: '--headless', key: 'headless', type: 'boolean', help: 'Run the browser headless (default; --no-headless to show it)' },
+  { flag: '--help', alias: '-h', key: null, type: 'boolean', help: 'Show this help' },
+];
+
+// Flags of `crawler compare <before.json> <after.json>`
+const COMPARE_FLAGS = [
+  { flag: '--out', alias: '-o', key: 'outDir', type: 'string', help: 'Directory for compare.json and compare.html (default: directory of the after report)' },
+  { flag: '--load-time-threshold', key: 'loadTimeThreshold', type: 'number', help: 'Report pages more than this % slower (default: 20)' },
+  { flag: '--min-load-time-increase', key: 'minLoadTimeIncrease', type: 'integer', help: 'Ignore load-time increases smaller than this many ms (default: 200)' },
+  { flag: '--help', alias: '-h', key: null, type: 'boolean', help: 'Show this help' },
+];
+
+// Flags of `crawler accept-baseline`
+const ACCEPT_FLAGS = [
+  { flag: '--out', alias: '-o', key: 'outDir', type: 'string', help: 'Report directory whose screenshots are accepted (default: site-report)' },
+  { flag: '--baseline-dir', key: 'baselineDir', type: 'string', help: 'Directory of baseline screenshots (default: the one the report used)' },
+  { flag: '--help', alias: '-h', key: null, type: 'boolean', help: 'Show this help' },
+];
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) throw new Error(`${spec.flag} expects an integer, got: ${raw}`);
+      return value;
+    }
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || Number.isNaN(value)) throw new Error(`${spec.flag} expects a number, got: ${raw}`);
+      return value;
+    }
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+// Parse argv against a flag table into { positionals, options, configFile, help }
+function parseFlags(argv, flags) {
+  const result = { positionals: [], options: {}, configFile: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      result.positionals.push(arg);
+      continue;
+    }
+
+    let [name, inlineValue] = arg.split(/=(.*)/s, 2);
+    let negated = false;
+    if (name.startsWith('--no-')) {
+      name = `--${name.slice(5)}`;
+      negated = true;
+    }
+
+    const spec = flags.find(f => f.flag === name || f.alias === name);
+    if (!spec) throw new Error(`Unknown option: ${arg}`);
+
+    let value;
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) throw new Error(`${spec.flag} does not take a value`);
+      value = !negated;
+    } else {
+      if (negated) throw new Error(`Unknown option: ${arg}`);
+      const raw = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (raw === undefined) throw new Error(`${spec.flag} expects a value`);
+      value = parseValue(spec, raw);
+    }
+
+    if (spec.flag === '--help') result.help = value;
+    else if (spec.flag === '--config') result.configFile = value;
+    else setPath(result.options, spec.key, value);
+  }
+  return result;
+}
+
+// Parse argv into { positionals, options, configFile, help }
+export function parseArgs(argv) {
+  const result = parseFlags(argv, FLAGS);
+  if (result.positionals.length > 0) {
+    result.options.root = result.positionals[0];
+  }
+
+  return result;
+}
+
+// Parse the arguments of the compare command into { before, after, options, help }
+export function parseCompareArgs(argv) {
+  const { positionals, options, help } = parseFlags(argv, COMPARE_FLAGS);
+  if (!help && positionals.length !== 2) {
+    throw new Error('compare expects two report.json files: crawler compare <before.json> <after.json>');
+  }
+  return { before: positionals[0], after: positionals[1], options, help };
+}
+
+// Parse the arguments of the accept-baseline command into { options, help }
+export function parseAcceptArgs(argv) {
+  const { positionals, options, help } = parseFlags(argv, ACCEPT_FLAGS);
+  if (positionals.length > 0) {
+    throw new Error(`Unexpected argument: ${positionals[0]} (use --out to choose the report directory)`);
+  }
+  return { options, help };
+}
+
+function formatFlags(flags) {
+  return flags.map(spec => {
+    const names = [spec.alias, spec.flag].filter(Boolean).join(', ');
+    const value = spec.type === 'boolean' ? '' : ' <value>';
+    return `  ${(names + value).padEnd(40)} ${spec.help}`;
+  });
+}
+
+export function formatHelp() {
+  const lines = formatFlags(FLAGS);
+
+  return [
+    'Usage: crawler <url> [options]',
+    '',
+    'Crawls a website and writes an SEO / quality audit report.',
+    'Settings are read from the config file first; command-line flags win.',
+    '',
+    'Options:',
+    ...lines,
+    '',
+    'Compare two reports with: crawler compare <before.json> <after.json> (see crawler compare --help)',
+    'Approve the screenshots of the last crawl with: crawler accept-baseline (see crawler accept-baseline --help)',
+    '',
+  ].join('\n');
+}
+
+export function formatCompareHelp() {
+  return [
+    'Usage: crawler compare <before.json> <after.json> [options]',
+    '',
+    'Compares two report.json files and writes compare.json and compare.html:',
+    'new and fixed problems, pages added or removed, changed pages and load-time regressions.',
+    '',
+    'Options:',
+    ...formatFlags(COMPARE_FLAGS),
+    '',
+  ].join('\n');
+}
+
+export function formatAcceptHelp() {
+  return [
+    'Usage: crawler accept-baseline [options]',
+    '',
+    'Copies the screenshots of the last crawl into the baseline directory, so',
+    'later crawls with --visual are compared against them.',
+    '',
+    'Options:',
+    ...formatFlags(ACCEPT_FLAGS),
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,237 @@
+import fs from "fs";
+import path from "path";
+
+import { createUrlNormalizer } from "./url.js";
+import { escapeHtml } from "./report.js";
+
+export const DEFAULT_COMPARE_OPTIONS = {
+  loadTimeThreshold: 20, // % slower before a page counts as a regression
+  minLoadTimeIncrease: 200 // ms, so fast pages do not flag on noise
+};
+
+// Fields compared page by page
+const TRACKED_FIELDS = ['statusCode', 'title', 'metaDescription', 'canonical'];
+
+export function readReportFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Report not found: ${file}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+function pagesByUrl(report, normalize) {
+  return new Map((report.pages || []).map(page => [normalize(page.url), page]));
+}
+
+// Items in `after` but not in `before` (new) and the other way round (fixed),
+// matched by key
+function diffItems(before, after, key) {
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    new: after.filter(item => !beforeKeys.has(key(item))),
+    fixed: before.filter(item => !afterKeys.has(key(item)))
+  };
+}
+
+function brokenImages(pages) {
+  return [...pages.values()].flatMap(page =>
+    (page.brokenImages || []).map(src => ({ page: page.url, url: src })));
+}
+
+function jsErrors(pages) {
+  return [...pages.values()].flatMap(page => [
+    ...(page.jsErrors || []).map(message => ({ page: page.url, kind: 'js', message })),
+    ...(page.consoleErrors || []).map(message => ({ page: page.url, kind: 'console', message }))
+  ]);
+}
+
+// Crawled URLs that failed, and external links found broken
+function brokenLinks(report, pages) {
+  const internal = [...pages.values()]
+    .filter(page => page.statusCode === 0 || page.statusCode >= 400)
+    .map(page => ({ url: page.url, status: page.statusCode, external: false }));
+  const external = (report.externalLinks?.broken || [])
+    .map(link => ({ url: link.url, status: link.status, external: true }));
+  return [...internal, ...external];
+}
+
+// Differences between two report.json objects: pages added and removed,
+// new and fixed problems, changed page fields and load-time regressions.
+// URLs are matched with the normalization policy of the newer report.
+export function compareReports(before, after, options = {}) {
+  const { loadTimeThreshold, minLoadTimeIncrease } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  if (typeof loadTimeThreshold !== 'number' || loadTimeThreshold < 0) {
+    throw new Error(`loadTimeThreshold must be a non-negative number, got: ${loadTimeThreshold}`);
+  }
+  if (!Number.isInteger(minLoadTimeIncrease) || minLoadTimeIncrease < 0) {
+    throw new Error(`minLoadTimeIncrease must be a non-negative integer, got: ${minLoadTimeIncrease}`);
+  }
+  const normalize = createUrlNormalizer(after.urlNormalization || before.urlNormalization);
+  const beforePages = pagesByUrl(before, normalize);
+  const afterPages = pagesByUrl(after, normalize);
+  const common = [...afterPages.keys()].filter(key => beforePages.has(key));
+
+  const changes = [];
+  common.forEach(key => {
+    const old = beforePages.get(key);
+    const current = afterPages.get(key);
+    TRACKED_FIELDS
+      .filter(field => (old[field] ?? null) !== (current[field] ?? null))
+      .forEach(field => changes.push({ url: current.url, field, before: old[field] ?? null, after: current[field] ?? null }));
+  });
+
+  const loadTimeRegressions = common
+    .map(key => ({ old: beforePages.get(key), current: afterPages.get(key) }))
+    .filter(({ old, current }) => old.loadTime > 0 && current.loadTime > 0)
+    .map(({ old, current }) => ({
+      url: current.url,
+      before: old.loadTime,
+      after: current.loadTime,
+      change: Math.round(((current.loadTime - old.loadTime) / old.loadTime) * 100)
+    }))
+    .filter(page => page.change > loadTimeThreshold && page.after - page.before >= minLoadTimeIncrease)
+    .sort((a, b) => b.change - a.change);
+
+  const brokenLinkKey = link => `${link.external}|${normalize(link.url)}`;
+  const diff = {
+    generatedAt: new Date().toISOString(),
+    options: { loadTimeThreshold, minLoadTimeIncrease },
+    pages: {
+      before: beforePages.size,
+      after: afterPages.size,
+      added: [...afterPages.keys()].filter(key => !beforePages.has(key)).map(key => afterPages.get(key).url),
+      removed: [...beforePages.keys()].filter(key => !afterPages.has(key)).map(key => beforePages.get(key).url)
+    },
+    brokenLinks: diffItems(brokenLinks(before, beforePages), brokenLinks(after, afterPages), brokenLinkKey),
+    brokenImages: diffItems(brokenImages(beforePages), brokenImages(afterPages), image => `${normalize(image.page)}|${image.url}`),
+    jsErrors: diffItems(jsErrors(beforePages), jsErrors(afterPages), error => `${normalize(error.page)}|${error.kind}|${error.message}`),
+    changes,
+    loadTimeRegressions
+  };
+
+  diff.totals = {
+    pagesAdded: diff.pages.added.length,
+    pagesRemoved: diff.pages.removed.length,
+    newBrokenLinks: diff.brokenLinks.new.length,
+    fixedBrokenLinks: diff.brokenLinks.fixed.length,
+    newBrokenImages: diff.brokenImages.new.length,
+    fixedBrokenImages: diff.brokenImages.fixed.length,
+    newJsErrors: diff.jsErrors.new.length,
+    fixedJsErrors: diff.jsErrors.fixed.length,
+    changedPages: new Set(changes.map(change => change.url)).size,
+    loadTimeRegressions: loadTimeRegressions.length
+  };
+  return diff;
+}
+
+const FIELD_LABELS = {
+  statusCode: 'Status code',
+  title: 'Title',
+  metaDescription: 'Meta description',
+  canonical: 'Canonical'
+};
+
+function renderNewAndFixed(title, items, renderItem) {
+  return `
+    <h2>${title}</h2>
+    <h3>New (${items.new.length})</h3>
+    ${items.new.length ? `<ul>${items.new.map((item) => `<li class="error">${renderItem(item)}</li>`).join("")}</ul>` : '<p class="ok">None ✔</p>'}
+    <h3>Fixed (${items.fixed.length})</h3>
+    ${items.fixed.length ? `<ul>${items.fixed.map((item) => `<li class="ok">${renderItem(item)}</li>`).join("")}</ul>` : '<p class="info">None</p>'}
+  `;
+}
+
+export function renderCompareHtml(diff, { beforeFile = 'before', afterFile = 'after' } = {}) {
+  const { totals } = diff;
+  const value = (v) => (v === null || v === '' ? '<em>none</em>' : escapeHtml(v));
+  const stat = (count, label, bad) => `
+    <div class="stat-card">
+      <div class="stat-number" style="color: ${count === 0 ? '#388e3c' : bad ? '#d32f2f' : '#007acc'}">${count}</div>
+      <div>${label}</div>
+    </div>`;
+
+  return `
+  <html>
+  <head>
+    <title>Report Comparison</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 20px; line-height: 1.6; }
+      h1 { color: #333; border-bottom: 2px solid #333; padding-bottom: 10px; }
+      h2 { background: #f5f5f5; padding: 12px; border-left: 4px solid #007acc; margin-top: 30px; }
+      h3 { color: #555; margin-top: 20px; }
+      .error { color: #d32f2f; }
+      .warn { color: #f57c00; }
+      .ok { color: #388e3c; }
+      .info { color: #1976d2; }
+      .summary-stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; }
+      .stat-card { background: white; padding: 15px; border-radius: 6px; text-align: center; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+      .stat-number { font-size: 24px; font-weight: bold; }
+      .data-table { border-collapse: collapse; margin: 10px 0; }
+      .data-table th, .data-table td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; vertical-align: top; }
+      .data-table th { background: #f0f4f8; }
+      del { color: #d32f2f; }
+      ins { color: #388e3c; text-decoration: none; }
+    </style>
+  </head>
+  <body>
+    <h1>🔁 Report Comparison</h1>
+    <p><strong>Before:</strong> ${escapeHtml(beforeFile)} (${diff.pages.before} URLs) &nbsp; <strong>After:</strong> ${escapeHtml(afterFile)} (${diff.pages.after} URLs)</p>
+
+    <div class="summary-stats">
+      ${stat(totals.newBrokenLinks, 'New Broken Links', true)}
+      ${stat(totals.fixedBrokenLinks, 'Fixed Broken Links', false)}
+      ${stat(totals.newBrokenImages, 'New Broken Images', true)}
+      ${stat(totals.fixedBrokenImages, 'Fixed Broken Images', false)}
+      ${stat(totals.newJsErrors, 'New JS Errors', true)}
+      ${stat(totals.fixedJsErrors, 'Fixed JS Errors', false)}
+      ${stat(totals.pagesAdded, 'Pages Added', false)}
+      ${stat(totals.pagesRemoved, 'Pages Removed', false)}
+      ${stat(totals.changedPages, 'Pages Changed', false)}
+      ${stat(totals.loadTimeRegressions, 'Load-Time Regressions', true)}
+    </div>
+
+    ${renderNewAndFixed('🔗 Broken Links', diff.brokenLinks, (l) => `${escapeHtml(l.url)} <em>(${l.external ? 'external, ' : ''}status ${l.status})</em>`)}
+    ${renderNewAndFixed('🖼️ Broken Images', diff.brokenImages, (i) => `${escapeHtml(i.url)} <em>(on ${escapeHtml(i.page)})</em>`)}
+    ${renderNewAndFixed('🚨 JavaScript and Console Errors', diff.jsErrors, (e) => `${escapeHtml(e.page)} — ${escapeHtml(e.message)}`)}
+
+    <h2>📄 Pages</h2>
+    <h3>Added (${diff.pages.added.length})</h3>
+    ${diff.pages.added.length ? `<ul>${diff.pages.added.map((u) => `<li class="info">${escapeHtml(u)}</li>`).join("")}</ul>` : '<p class="info">None</p>'}
+    <h3>Removed (${diff.pages.removed.length})</h3>
+    ${diff.pages.removed.length ? `<ul>${diff.pages.removed.map((u) => `<li class="warn">${escapeHtml(u)}</li>`).join("")}</ul>` : '<p class="info">None</p>'}
+
+    <h2>✏️ Changed Pages (${totals.changedPages})</h2>
+    ${
+      diff.changes.length
+        ? `<table class="data-table">
+            <tr><th>Page</th><th>Field</th><th>Before</th><th>After</th></tr>
+            ${diff.changes.map((c) => `<tr><td>${escapeHtml(c.url)}</td><td>${FIELD_LABELS[c.field]}</td><td><del>${value(c.before)}</del></td><td><ins>${value(c.after)}</ins></td></tr>`).join("")}
+          </table>`
+        : '<p class="ok">No titles, descriptions, canonicals or status codes changed</p>'
+    }
+
+    <h2>🐢 Load-Time Regressions (more than ${diff.options.loadTimeThreshold}% and ${diff.options.minLoadTimeIncrease}ms slower)</h2>
+    ${
+      diff.loadTimeRegressions.length
+        ? `<ul>${diff.loadTimeRegressions.map((r) => `<li class="warn">${escapeHtml(r.url)} — ${r.before}ms → ${r.after}ms <em>(+${r.change}%)</em></li>`).join("")}</ul>`
+        : '<p class="ok">No pages got slower ✔</p>'
+    }
+  </body>
+  </html>
+  `;
+}
+
+// Write compare.json and compare.html to outDir; returns their paths
+export function writeCompareReport(diff, outDir, { beforeFile, afterFile } = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const jsonFile = path.join(outDir, 'compare.json');
+  const htmlFile = path.join(outDir, 'compare.html');
+  fs.writeFileSync(jsonFile, JSON.stringify({ before: beforeFile, after: afterFile, ...diff }, null, 2));
+  fs.writeFileSync(htmlFile, renderCompareHtml(diff, { beforeFile, afterFile }));
+  return { jsonFile, htmlFile };
+}
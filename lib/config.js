@@ -0,0 +1,376 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { ROBOTS_MODES } from "./robots.js";
+import { validateSitemapRules, SITEMAP_URL_LIMIT } from "./sitemap.js";
+import { compilePattern } from "./patterns.js";
+import { DEFAULT_URL_NORMALIZATION, QUERY_MODES } from "./url.js";
+import { DEFAULT_SEO_THRESHOLDS } from "./seo-tags.js";
+import { DEFAULT_CONTENT_THRESHOLDS } from "./content.js";
+import { DEFAULT_SOCIAL_RULES } from "./social.js";
+import { WCAG_LEVELS } from "./accessibility.js";
+import { DEFAULT_PERFORMANCE_BUDGETS, PERFORMANCE_METRICS } from "./performance.js";
+import { DEFAULT_VISUAL_OPTIONS, validateMasks } from "./visual.js";
+import { DEFAULT_CI_THRESHOLDS, validateThresholds } from "./ci.js";
+
+// Config files picked up from the working directory when --config is not given
+export const CONFIG_FILES = ['audit.config.js', 'audit.config.mjs', 'audit.config.json'];
+
+// Device configurations (screenshot directories are derived from outDir)
+export const DEFAULT_DEVICE_CONFIGS = [
+  {
+    name: 'desktop',
+    viewport: { width: 1280, height: 720 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+  },
+  {
+    name: 'mobile',
+    viewport: { width: 375, height: 667 }, // iPhone SE
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
+  },
+  {
+    name: 'tablet',
+    viewport: { width: 768, height: 1024 }, // iPad
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
+  }
+];
+
+// Document file extensions to check
+export const DEFAULT_DOCUMENT_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+  '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.svg', '.webp',
+  '.mp4', '.avi', '.mov', '.wmv',
+  '.zip', '.rar', '.7z',
+  '.txt', '.rtf'
+];
+
+export const DEFAULT_CONFIG = {
+  root: null,
+  outDir: 'site-report',
+  maxPages: 0, // 0 = no limit
+  maxDepth: null, // maximum click depth from the root, null = no limit
+  include: [], // URL patterns to crawl (empty = everything under root)
+  exclude: [], // URL patterns never to crawl
+  patternLimits: [], // [{ pattern: '/blog/tag/*', max: 20 }]
+  urlNormalization: DEFAULT_URL_NORMALIZATION, // which URLs count as the same page
+  devices: DEFAULT_DEVICE_CONFIGS.map(device => device.name),
+  deviceConfigs: DEFAULT_DEVICE_CONFIGS,
+  documentExtensions: DEFAULT_DOCUMENT_EXTENSIONS,
+  headless: true,
+  concurrency: 4, // pages checked in parallel
+  perHostConcurrency: 4, // 0 = no per-host limit
+  requestsPerSecond: 2, // per host, 0 = no limit
+  resume: false, // continue from the saved crawl state in outDir
+  checkpointEvery: 10, // save crawl state every N pages, 0 = never
+  sitemap: {
+    enabled: true, // seed the crawl from sitemaps and compare them with the crawl
+    urls: [], // extra sitemap URLs besides robots.txt and /sitemap.xml
+    limit: 50 // maximum number of sitemap files to fetch
+  },
+  sitemapOutput: {
+    enabled: false, // write sitemap.xml for the indexable pages found
+    baseUrl: null, // where the sitemap files will be served, defaults to root
+    lastmod: true, // add <lastmod> from Last-Modified headers
+    maxUrlsPerFile: SITEMAP_URL_LIMIT, // split into a sitemap index past this
+    rules: [] // [{ pattern: '/blog/*', changefreq: 'weekly', priority: 0.8 }], first match wins
+  },
+  seo: DEFAULT_SEO_THRESHOLDS, // title/description length (characters) and width (px) limits
+  content: DEFAULT_CONTENT_THRESHOLDS, // thin content word count and near-duplicate distance
+  social: {
+    enabled: true, // validate Open Graph and Twitter card tags and fetch og:image
+    ...DEFAULT_SOCIAL_RULES // og:image minimum size (px) and expected aspect ratio
+  },
+  performance: {
+    enabled: true, // measure lab metrics on every device while taking screenshots
+    budgets: DEFAULT_PERFORMANCE_BUDGETS // ms, except cls, domSize (elements), requests and transferSize (bytes)
+  },
+  visual: {
+    enabled: false, // pixel-diff screenshots against the accepted baselines
+    baselineDir: null, // defaults to <outDir>/baselines
+    ...DEFAULT_VISUAL_OPTIONS, // per-pixel colour threshold (0-1) and % of changed pixels tolerated
+    masks: [] // [{ selector: '.ad-slot' }, { x: 0, y: 0, width: 1280, height: 80, devices: ['desktop'], pattern: '/blog/*' }]
+  },
+  accessibility: {
+    enabled: true, // run axe-core on every HTML page
+    level: 'AA', // WCAG 2.1 level: A or AA
+    disabledRules: [] // axe rule ids to skip, e.g. ['color-contrast']
+  },
+  structuredData: {
+    enabled: true, // extract and validate JSON-LD, microdata and RDFa
+    templates: [] // [{ name: 'Blog post', pattern: '/blog/*' }], first match wins
+  },
+  linkGraph: {
+    deepPageDepth: 3, // report pages more clicks than this from the root
+    export: true // write GraphML, GEXF and CSV files of the internal link graph
+  },
+  externalLinks: {
+    enabled: true, // check links to other sites once the crawl is done
+    concurrency: 4, // external URLs checked in parallel (one per domain)
+    requestsPerSecond: 1, // per domain
+    timeout: 10000,
+    retries: 2 // extra attempts after timeouts, connection errors, 429 and 5xx
+  },
+  redirects: {
+    maxHops: 1 // report redirect chains with more hops than this
+  },
+  robots: {
+    mode: 'obey', // obey | audit (report only) | ignore
+    userAgent: 'SEOAuditor' // user agent matched against robots.txt groups
+  },
+  exports: {
+    csv: true, // pages.csv and one CSV per issue type in <outDir>/csv
+    xlsx: false // the same tables as sheets of report.xlsx
+  },
+  ci: {
+    enabled: false, // check the report against thresholds, write JUnit and SARIF, exit 1 on failure
+    thresholdsFile: null, // JSON or JS file of thresholds, applied over `thresholds`
+    thresholds: DEFAULT_CI_THRESHOLDS // null switches a rule off
+  },
+  timeouts: {
+    launch: 60000,
+    navigation: 30000,
+    document: 15000,
+    screenshot: 15000
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge plain objects; arrays and scalars from `override` replace those in `base`
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+// Load a JSON or JS (default export) config file
+export async function loadConfigFile(file) {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  if (fullPath.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in config file ${file}: ${err.message}`);
+    }
+  }
+
+  const module = await import(pathToFileURL(fullPath).href);
+  const config = module.default ?? module.config;
+  return typeof config === 'function' ? await config() : config;
+}
+
+function findDefaultConfigFile() {
+  return CONFIG_FILES.find(file => fs.existsSync(path.resolve(file))) || null;
+}
+
+function validateConfig(config) {
+  if (!config.root) {
+    throw new Error('No root URL given. Pass it as the first argument or set "root" in the config file.');
+  }
+  try {
+    new URL(config.root);
+  } catch {
+    throw new Error(`Invalid root URL: ${config.root}`);
+  }
+
+  if (!Number.isInteger(config.maxPages) || config.maxPages < 0) {
+    throw new Error(`maxPages must be a non-negative integer, got: ${config.maxPages}`);
+  }
+  if (config.maxDepth !== null && (!Number.isInteger(config.maxDepth) || config.maxDepth < 0)) {
+    throw new Error(`maxDepth must be null or a non-negative integer, got: ${config.maxDepth}`);
+  }
+  [...config.include, ...config.exclude].forEach(compilePattern);
+  config.patternLimits.forEach((limit, index) => {
+    compilePattern(limit.pattern);
+    if (!Number.isInteger(limit.max) || limit.max < 0) {
+      throw new Error(`patternLimits[${index}].max must be a non-negative integer, got: ${limit.max}`);
+    }
+  });
+  const { query, keepParams, stripParams, aliases } = config.urlNormalization;
+  if (!QUERY_MODES.includes(query)) {
+    throw new Error(`urlNormalization.query must be one of ${QUERY_MODES.join(', ')}, got: ${query}`);
+  }
+  if (!Array.isArray(keepParams) || !Array.isArray(stripParams)) {
+    throw new Error('urlNormalization.keepParams and urlNormalization.stripParams must be lists of parameter names');
+  }
+  for (const [alias, target] of Object.entries(aliases)) {
+    try {
+      new URL(alias);
+      new URL(target);
+    } catch {
+      throw new Error(`urlNormalization.aliases must map origins to origins, got: ${alias} -> ${target}`);
+    }
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(`concurrency must be a positive integer, got: ${config.concurrency}`);
+  }
+  if (!Number.isInteger(config.perHostConcurrency) || config.perHostConcurrency < 0) {
+    throw new Error(`perHostConcurrency must be a non-negative integer, got: ${config.perHostConcurrency}`);
+  }
+  if (!Number.isInteger(config.checkpointEvery) || config.checkpointEvery < 0) {
+    throw new Error(`checkpointEvery must be a non-negative integer, got: ${config.checkpointEvery}`);
+  }
+  if (typeof config.requestsPerSecond !== 'number' || config.requestsPerSecond < 0) {
+    throw new Error(`requestsPerSecond must be a non-negative number, got: ${config.requestsPerSecond}`);
+  }
+
+  for (const [key, value] of Object.entries(config.seo)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`seo.${key} must be a non-negative integer, got: ${value}`);
+    }
+  }
+  const { minWords, nearDuplicateDistance } = config.content;
+  if (!Number.isInteger(minWords) || minWords < 0) {
+    throw new Error(`content.minWords must be a non-negative integer, got: ${minWords}`);
+  }
+  if (!Number.isInteger(nearDuplicateDistance) || nearDuplicateDistance < 0 || nearDuplicateDistance > 64) {
+    throw new Error(`content.nearDuplicateDistance must be an integer from 0 to 64, got: ${nearDuplicateDistance}`);
+  }
+  const { minImageWidth, minImageHeight, aspectRatio, aspectRatioTolerance } = config.social;
+  if (!Number.isInteger(minImageWidth) || minImageWidth < 0 || !Number.isInteger(minImageHeight) || minImageHeight < 0) {
+    throw new Error(`social.minImageWidth and social.minImageHeight must be non-negative integers, got: ${minImageWidth}, ${minImageHeight}`);
+  }
+  if (typeof aspectRatio !== 'number' || aspectRatio <= 0 || typeof aspectRatioTolerance !== 'number' || aspectRatioTolerance < 0) {
+    throw new Error(`social.aspectRatio must be a positive number and social.aspectRatioTolerance a non-negative number, got: ${aspectRatio}, ${aspectRatioTolerance}`);
+  }
+  for (const [metric, budget] of Object.entries(config.performance.budgets)) {
+    if (!PERFORMANCE_METRICS.includes(metric)) {
+      throw new Error(`Unknown performance budget: ${metric} (available: ${PERFORMANCE_METRICS.join(', ')})`);
+    }
+    if (budget !== null && (typeof budget !== 'number' || budget < 0)) {
+      throw new Error(`performance.budgets.${metric} must be null or a non-negative number, got: ${budget}`);
+    }
+  }
+  const { baselineDir, threshold, tolerance, masks } = config.visual;
+  if (baselineDir !== null && (typeof baselineDir !== 'string' || baselineDir === '')) {
+    throw new Error(`visual.baselineDir must be null or a directory, got: ${baselineDir}`);
+  }
+  if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+    throw new Error(`visual.threshold must be a number from 0 to 1, got: ${threshold}`);
+  }
+  if (typeof tolerance !== 'number' || tolerance < 0 || tolerance > 100) {
+    throw new Error(`visual.tolerance must be a percentage from 0 to 100, got: ${tolerance}`);
+  }
+  validateMasks(masks);
+  if (!WCAG_LEVELS.includes(config.accessibility.level)) {
+    throw new Error(`accessibility.level must be one of ${WCAG_LEVELS.join(', ')}, got: ${config.accessibility.level}`);
+  }
+  if (!Array.isArray(config.accessibility.disabledRules)) {
+    throw new Error('accessibility.disabledRules must be a list of axe rule ids');
+  }
+  config.structuredData.templates.forEach((template, index) => {
+    if (typeof template.name !== 'string' || template.name === '') {
+      throw new Error(`structuredData.templates[${index}].name must be a non-empty string`);
+    }
+    compilePattern(template.pattern);
+  });
+  if (!Number.isInteger(config.linkGraph.deepPageDepth) || config.linkGraph.deepPageDepth < 0) {
+    throw new Error(`linkGraph.deepPageDepth must be a non-negative integer, got: ${config.linkGraph.deepPageDepth}`);
+  }
+  const { concurrency, requestsPerSecond, timeout, retries } = config.externalLinks;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`externalLinks.concurrency must be a positive integer, got: ${concurrency}`);
+  }
+  if (typeof requestsPerSecond !== 'number' || requestsPerSecond < 0) {
+    throw new Error(`externalLinks.requestsPerSecond must be a non-negative number, got: ${requestsPerSecond}`);
+  }
+  if (!Number.isInteger(timeout) || timeout < 1) {
+    throw new Error(`externalLinks.timeout must be a positive integer, got: ${timeout}`);
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`externalLinks.retries must be a non-negative integer, got: ${retries}`);
+  }
+  if (!Number.isInteger(config.redirects.maxHops) || config.redirects.maxHops < 1) {
+    throw new Error(`redirects.maxHops must be a positive integer, got: ${config.redirects.maxHops}`);
+  }
+
+  if (!ROBOTS_MODES.includes(config.robots.mode)) {
+    throw new Error(`robots.mode must be one of ${ROBOTS_MODES.join(', ')}, got: ${config.robots.mode}`);
+  }
+
+  const { maxUrlsPerFile, rules } = config.sitemapOutput;
+  if (!Number.isInteger(maxUrlsPerFile) || maxUrlsPerFile < 1 || maxUrlsPerFile > SITEMAP_URL_LIMIT) {
+    throw new Error(`sitemapOutput.maxUrlsPerFile must be an integer between 1 and ${SITEMAP_URL_LIMIT}, got: ${maxUrlsPerFile}`);
+  }
+  validateSitemapRules(rules);
+
+  if (!isPlainObject(config.ci.thresholds)) {
+    throw new Error('ci.thresholds must be an object of rule names and limits');
+  }
+  validateThresholds(config.ci.thresholds);
+
+  const known = config.deviceConfigs.map(device => device.name);
+  const unknown = config.devices.filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown device(s): ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+}
+
+// Apply defaults to user options and validate the result
+export function normalizeConfig(options = {}) {
+  const config = mergeConfig(DEFAULT_CONFIG, options);
+  validateConfig(config);
+  return config;
+}
+
+// Resolve the final config: defaults < config file < CLI flags
+export async function resolveConfig({ configFile = null, options = {} } = {}) {
+  const file = configFile || findDefaultConfigFile();
+  const fileConfig = file ? await loadConfigFile(file) : {};
+
+  let merged = mergeConfig(fileConfig, options);
+  const thresholdsFile = merged.ci?.thresholdsFile;
+  if (thresholdsFile) {
+    if (!fs.existsSync(path.resolve(thresholdsFile))) {
+      throw new Error(`Thresholds file not found: ${thresholdsFile}`);
+    }
+    merged = mergeConfig(merged, { ci: { thresholds: await loadConfigFile(thresholdsFile) } });
+  }
+
+  const config = normalizeConfig(merged);
+  config.configFile = file;
+  return config;
+}
+
+// Report output paths for a given output directory
+export function getReportPaths(outDir) {
+  const screenshotsDir = `${outDir}/screenshots`;
+  return {
+    baseDir: outDir,
+    screenshotsDir,
+    baselinesDir: `${outDir}/baselines`,
+    visualDiffsDir: `${outDir}/visual-diffs`,
+    urlsReport: `${outDir}/urls.txt`,
+    jsonReport: `${outDir}/report.json`,
+    htmlReport: `${outDir}/index.html`,
+    stateFile: `${outDir}/crawl-state.json`,
+    graphml: `${outDir}/link-graph.graphml`,
+    gexf: `${outDir}/link-graph.gexf`,
+    edgesCsv: `${outDir}/link-edges.csv`,
+    nodesCsv: `${outDir}/link-nodes.csv`,
+    csvDir: `${outDir}/csv`,
+    xlsxReport: `${outDir}/report.xlsx`,
+    junitReport: `${outDir}/junit.xml`,
+    sarifReport: `${outDir}/results.sarif`,
+  };
+}
+
+// Devices selected for this run, each with its screenshot directory
+export function getDeviceConfigs(config, reportPaths) {
+  return config.devices.map(name => {
+    const device = config.deviceConfigs.find(d => d.name === name);
+    return { ...device, directory: `${reportPaths.screenshotsDir}/${device.name}` };
+  });
+}
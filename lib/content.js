@@ -0,0 +1,176 @@
+import crypto from "crypto";
+
+export const DEFAULT_CONTENT_THRESHOLDS = {
+  minWords: 200, // pages with fewer words of main content are thin
+  nearDuplicateDistance: 3 // simhash bits two pages may differ by and still be near duplicates
+};
+
+// Words per shingle when fingerprinting body text
+const SHINGLE_SIZE = 3;
+const SIMHASH_BITS = 64;
+
+// Runs in the page: the H1–H6 outline, the main content text (without
+// navigation, header, footer and asides) and the sizes of text and HTML
+export function extractContent() {
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const boilerplate = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]';
+  const skipped = 'script, style, noscript, template, svg';
+  const container = document.querySelector('main, [role="main"]') || document.body;
+
+  const parts = [];
+  if (container) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const parent = node.parentElement;
+      if (!parent || parent.closest(skipped)) continue;
+      if (container === document.body && parent.closest(boilerplate)) continue;
+      parts.push(node.nodeValue);
+    }
+  }
+
+  return {
+    headings: [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].map(el => ({
+      level: Number(el.tagName[1]),
+      text: clean(el.innerText || el.textContent)
+    })),
+    text: clean(parts.join(' ')),
+    textLength: clean(document.body?.innerText).length,
+    htmlLength: document.documentElement.outerHTML.length
+  };
+}
+
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || [];
+}
+
+function hash64(value) {
+  return crypto.createHash('md5').update(value).digest().readBigUInt64BE(0);
+}
+
+// 64-bit simhash of the word shingles of a text, as 16 hex digits
+export function simhash(text) {
+  const tokens = words(text);
+  const shingles = tokens.length < SHINGLE_SIZE
+    ? [tokens.join(' ')]
+    : tokens.slice(0, tokens.length - SHINGLE_SIZE + 1).map((_, i) => tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  shingles.forEach(shingle => {
+    const hash = hash64(shingle);
+    for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  });
+
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint |= 1n << BigInt(bit);
+  });
+  return fingerprint.toString(16).padStart(SIMHASH_BITS / 4, '0');
+}
+
+// Number of bits two simhashes differ in
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Content metrics stored on the page result, from extractContent() output
+export function contentMetrics({ text, textLength, htmlLength }) {
+  const wordCount = words(text).length;
+  return {
+    wordCount,
+    textLength,
+    htmlLength,
+    textRatio: htmlLength ? Math.round((textLength / htmlLength) * 1000) / 10 : 0,
+    simhash: wordCount ? simhash(text) : null
+  };
+}
+
+// Heading outline problems of a page: { type, severity, message }
+export function headingProblems(headings) {
+  const problems = [];
+  const h1s = headings.filter(heading => heading.level === 1);
+
+  if (h1s.length === 0) {
+    problems.push({ type: 'missing-h1', severity: 'warning', message: 'Page has no <h1>' });
+  } else if (h1s.length > 1) {
+    problems.push({ type: 'multiple-h1', severity: 'warning', message: `Page has ${h1s.length} <h1> elements` });
+  }
+  if (h1s.some(heading => !heading.text)) {
+    problems.push({ type: 'empty-h1', severity: 'warning', message: 'Page has an empty <h1>' });
+  }
+
+  let previous = 0;
+  headings.forEach(heading => {
+    if (heading.level > previous + 1) {
+      const from = previous ? `<h${previous}>` : 'the start of the page';
+      problems.push({ type: 'skipped-heading-level', severity: 'warning', message: `<h${heading.level}> "${heading.text}" follows ${from}` });
+    }
+    previous = heading.level;
+  });
+  return problems;
+}
+
+// Thin content problem of a page, if any
+export function contentProblems(result, thresholds) {
+  if (!result.content || result.content.wordCount >= thresholds.minWords) return [];
+  return [{ type: 'thin-content', severity: 'warning', message: `Page has ${result.content.wordCount} words of content (minimum ${thresholds.minWords})` }];
+}
+
+// Content section of the report: heading problems, thin pages and groups of
+// pages whose main content is (nearly) the same
+export function analyzeContent(results, thresholds) {
+  const pages = results.filter(result => !result.isDocument && result.statusCode === 200 && result.content);
+
+  const headingIssues = pages.flatMap(page =>
+    headingProblems(page.headings || []).map(problem => ({ url: page.url, type: problem.type, message: problem.message })));
+
+  const thinPages = pages
+    .filter(page => page.content.wordCount < thresholds.minWords)
+    .map(page => ({ url: page.url, wordCount: page.content.wordCount }));
+
+  // Pages within nearDuplicateDistance of each other end up in one group
+  const fingerprinted = pages.filter(page => page.content.simhash);
+  const parent = fingerprinted.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const distances = new Map();
+  for (let i = 0; i < fingerprinted.length; i++) {
+    for (let j = i + 1; j < fingerprinted.length; j++) {
+      const distance = hammingDistance(fingerprinted[i].content.simhash, fingerprinted[j].content.simhash);
+      if (distance > thresholds.nearDuplicateDistance) continue;
+      parent[find(j)] = find(i);
+      distances.set(`${i},${j}`, distance);
+    }
+  }
+
+  const groups = new Map();
+  fingerprinted.forEach((page, i) => {
+    const key = find(i);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  const nearDuplicates = [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const pairs = [...distances].filter(([key]) => members.includes(Number(key.split(',')[0])));
+      return {
+        urls: members.map(i => fingerprinted[i].url),
+        // 100% when every pair has the same fingerprint
+        similarity: Math.round((1 - Math.max(...pairs.map(([, distance]) => distance)) / SIMHASH_BITS) * 100)
+      };
+    })
+    .sort((a, b) => b.urls.length - a.urls.length);
+
+  return {
+    thresholds,
+    headingProblems: headingIssues,
+    thinPages,
+    nearDuplicates
+  };
+}
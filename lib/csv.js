@@ -0,0 +1,19 @@
+// Text from crawled pages that a spreadsheet would run as a formula
+// ("=HYPERLINK(...)") gets a leading quote, so it is shown as text
+export function neutralizeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  const text = neutralizeFormula(Array.isArray(value) ? value.join(' ') : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text for rows of objects; `columns` fixes the header and column order
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,126 @@
+import fs from "fs";
+import path from "path";
+
+import { toCsv } from "./csv.js";
+import { toXlsx } from "./xlsx.js";
+import { MISSING_TITLE } from "./seo-tags.js";
+
+// Spreadsheet exports of the report. Column lists are part of the output
+// format: add new columns at the end and never rename or reorder them, so
+// imports into other tools keep working.
+export const EXPORT_SCHEMAS = {
+  pages: {
+    file: 'pages.csv',
+    sheet: 'Pages',
+    columns: ['url', 'type', 'statusCode', 'finalUrl', 'title', 'titleLength', 'metaDescription', 'descriptionLength',
+      'h1Count', 'wordCount', 'loadTime', 'depth', 'indexable', 'images', 'brokenImages', 'imagesWithoutAlt',
+      'jsErrors', 'consoleErrors', 'networkErrors', 'issues']
+  },
+  brokenImages: {
+    file: 'broken-images.csv',
+    sheet: 'Broken images',
+    columns: ['page', 'imageUrl']
+  },
+  missingAlt: {
+    file: 'missing-alt.csv',
+    sheet: 'Missing alt',
+    columns: ['page', 'imageUrl']
+  },
+  jsErrors: {
+    file: 'js-errors.csv',
+    sheet: 'JS errors',
+    columns: ['page', 'kind', 'message']
+  },
+  networkErrors: {
+    file: 'network-errors.csv',
+    sheet: 'Network errors',
+    columns: ['page', 'status', 'resource']
+  },
+  brokenDocuments: {
+    file: 'broken-documents.csv',
+    sheet: 'Broken documents',
+    columns: ['url', 'documentType', 'statusCode', 'error']
+  },
+  issues: {
+    file: 'issues.csv',
+    sheet: 'All issues',
+    columns: ['page', 'type', 'severity', 'message', 'resource']
+  }
+};
+
+function pageRow(page, issueCount) {
+  const hasTitle = page.title && page.title !== MISSING_TITLE;
+  return {
+    url: page.url,
+    type: page.isDocument ? page.documentType : 'html',
+    statusCode: page.statusCode,
+    finalUrl: page.finalUrl,
+    title: hasTitle ? page.title : '',
+    titleLength: page.isDocument ? null : (hasTitle ? page.title.length : 0),
+    metaDescription: page.metaDescription,
+    descriptionLength: page.isDocument ? null : (page.metaDescription || '').length,
+    h1Count: page.isDocument ? null : (page.h1s || []).length,
+    wordCount: page.content ? page.content.wordCount : null,
+    loadTime: page.loadTime,
+    depth: page.depth,
+    indexable: page.indexability ? String(page.indexability.indexable) : null,
+    images: page.imagesAnalysis?.total || 0,
+    brokenImages: page.brokenImages.length,
+    imagesWithoutAlt: page.imagesAnalysis?.withoutAlt || 0,
+    jsErrors: page.jsErrors.length,
+    consoleErrors: page.consoleErrors.length,
+    networkErrors: page.networkErrors.length,
+    issues: issueCount
+  };
+}
+
+// Rows of every export, keyed like EXPORT_SCHEMAS. `issues` are the
+// collectPageIssues() issues of all pages.
+export function buildExportRows(report, issues = []) {
+  const pages = report.pages;
+  const issueCounts = new Map();
+  issues.forEach(issue => issueCounts.set(issue.url, (issueCounts.get(issue.url) || 0) + 1));
+
+  return {
+    pages: pages.map(page => pageRow(page, issueCounts.get(page.url) || 0)),
+    brokenImages: pages.flatMap(page => page.brokenImages.map(src => ({ page: page.url, imageUrl: src }))),
+    missingAlt: pages.flatMap(page => (page.imagesAnalysis?.details || [])
+      .filter(img => !img.alt || img.alt.trim() === '')
+      .map(img => ({ page: page.url, imageUrl: img.src }))),
+    jsErrors: pages.flatMap(page => [
+      ...page.jsErrors.map(message => ({ page: page.url, kind: 'js', message })),
+      ...page.consoleErrors.map(message => ({ page: page.url, kind: 'console', message }))
+    ]),
+    // Network errors are recorded as "404 - https://..."
+    networkErrors: pages.flatMap(page => page.networkErrors.map(error => {
+      const [, status, resource] = error.match(/^(\d+) - (.*)$/s) || [null, null, error];
+      return { page: page.url, status: status === null ? null : Number(status), resource };
+    })),
+    brokenDocuments: pages
+      .filter(page => page.isDocument && page.documentStatus === 'broken')
+      .map(page => ({ url: page.url, documentType: page.documentType, statusCode: page.statusCode, error: page.jsErrors[0] || '' })),
+    issues: issues.map(issue => ({ page: issue.url, type: issue.type, severity: issue.severity, message: issue.message, resource: issue.resource }))
+  };
+}
+
+// Write one CSV per export to reportPaths.csvDir and, with xlsx, all of
+// them as sheets of one workbook. Returns the files written.
+export function writeExports(report, reportPaths, { csv = true, xlsx = false, issues = [] } = {}) {
+  const rows = buildExportRows(report, issues);
+  const files = [];
+
+  if (csv) {
+    fs.mkdirSync(reportPaths.csvDir, { recursive: true });
+    Object.entries(EXPORT_SCHEMAS).forEach(([key, schema]) => {
+      const file = path.join(reportPaths.csvDir, schema.file);
+      fs.writeFileSync(file, toCsv(rows[key], schema.columns));
+      files.push(file);
+    });
+  }
+  if (xlsx) {
+    const sheets = Object.entries(EXPORT_SCHEMAS).map(([key, schema]) => ({ name: schema.sheet, rows: rows[key], columns: schema.columns }));
+    fs.writeFileSync(reportPaths.xlsxReport, toXlsx(sheets));
+    files.push(reportPaths.xlsxReport);
+  }
+  return files;
+}
@@ -0,0 +1,149 @@
+import { request } from "playwright";
+
+import { traceRedirects } from "./redirects.js";
+import { RateLimiter, HostLimiter, hostOf, sleep } from "./throttle.js";
+
+function classifyError(message) {
+  if (/ENOTFOUND|EAI_AGAIN|getaddrinfo/i.test(message)) return 'dns';
+  if (/CERT|SSL|TLS|self[- ]signed/i.test(message)) return 'tls';
+  if (/timeout/i.test(message)) return 'timeout';
+  return 'connection';
+}
+
+// Worth another attempt: the server or the network may recover
+function isRetryable(result) {
+  return ['timeout', 'connection'].includes(result.errorType) || result.status === 429 || result.status >= 500;
+}
+
+// One request (following redirects) with the given method
+async function tryMethod(context, url, method, { timeout, rateLimiter }) {
+  await rateLimiter.wait(hostOf(url));
+  const trace = await traceRedirects(context, url, { method, timeout });
+  const networkError = trace.status === 0;
+  return {
+    url,
+    method,
+    status: trace.status,
+    finalUrl: trace.finalUrl,
+    redirectChain: trace.hops,
+    error: trace.error,
+    errorType: trace.error ? (networkError ? classifyError(trace.error) : 'redirect') : null
+  };
+}
+
+// Check one external URL: HEAD first, then GET for servers that reject or
+// mishandle HEAD. DNS and TLS failures are final; timeouts, connection
+// errors, 429 and 5xx are retried.
+export async function checkExternalLink(context, url, { timeout, retries, rateLimiter }) {
+  let result;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    result = await tryMethod(context, url, 'HEAD', { timeout, rateLimiter });
+    if ((result.status >= 400 || result.status === 0) && !['dns', 'tls'].includes(result.errorType)) {
+      result = await tryMethod(context, url, 'GET', { timeout, rateLimiter });
+    }
+    result.attempts = attempt + 1;
+    if (!isRetryable(result) || attempt === retries) break;
+    await sleep(1000 * (attempt + 1));
+  }
+
+  result.broken = result.status === 0 || result.status >= 400 || result.errorType === 'redirect';
+  return result;
+}
+
+// Check each URL once, at most one request at a time per domain, spaced by
+// requestsPerSecond. onResult is called as each check finishes.
+export async function checkExternalLinks(urls, { concurrency, requestsPerSecond, timeout, retries, userAgent, logger = console, onResult }) {
+  const context = await request.newContext({ userAgent });
+  const hostLimiter = new HostLimiter(1);
+  const rateLimiter = new RateLimiter(requestsPerSecond);
+  const pending = [...urls];
+  let active = 0;
+
+  try {
+    await new Promise((resolve) => {
+      const dispatch = () => {
+        while (active < concurrency) {
+          const index = pending.findIndex(url => hostLimiter.canAcquire(hostOf(url)));
+          if (index === -1) break;
+
+          const [url] = pending.splice(index, 1);
+          const host = hostOf(url);
+          hostLimiter.acquire(host);
+          active++;
+
+          checkExternalLink(context, url, { timeout, retries, rateLimiter })
+            .then((result) => {
+              logger.log(`External link ${result.broken ? 'broken' : 'ok'}: ${url} (${result.error || result.status})`);
+              onResult(result);
+            })
+            .catch((err) => {
+              logger.log(`Could not check external link ${url}: ${err.message}`);
+            })
+            .finally(() => {
+              hostLimiter.release(host);
+              active--;
+              dispatch();
+            });
+        }
+
+        if (active === 0 && pending.length === 0) {
+          resolve();
+        }
+      };
+
+      dispatch();
+    });
+  } finally {
+    await context.dispose();
+  }
+}
+
+// Broken external links on one page, used by collectPageIssues. `checks`
+// maps external URLs to their check results.
+export function externalLinkProblems(result, checks) {
+  return [...new Set((result.externalLinks || []).map(link => link.url))]
+    .map(url => checks.get(url))
+    .filter(check => check && check.broken)
+    .map(check => ({
+      type: 'broken-external-link',
+      severity: 'error',
+      message: `Broken external link: ${check.url} (${check.error || `status ${check.status}`})`,
+      resource: check.url
+    }));
+}
+
+// External links section of the report: broken and redirected links with
+// every page and anchor text linking to them
+export function summarizeExternalLinks(checks, results) {
+  const sources = new Map();
+  results.forEach(result => {
+    (result.externalLinks || []).forEach(link => {
+      if (!sources.has(link.url)) sources.set(link.url, []);
+      sources.get(link.url).push({ page: result.url, text: link.text });
+    });
+  });
+
+  const checked = [...checks.values()];
+  return {
+    found: sources.size,
+    checked: checked.length,
+    broken: checked
+      .filter(check => check.broken)
+      .map(check => ({
+        url: check.url,
+        status: check.status,
+        error: check.error,
+        errorType: check.errorType,
+        sources: sources.get(check.url) || []
+      })),
+    redirected: checked
+      .filter(check => !check.broken && check.redirectChain.length > 0)
+      .map(check => ({
+        url: check.url,
+        finalUrl: check.finalUrl,
+        status: check.status,
+        hops: check.redirectChain,
+        sources: sources.get(check.url) || []
+      }))
+  };
+}
@@ -0,0 +1,179 @@
+import fs from "fs";
+
+import { escapeXml } from "./sitemap.js";
+import { toCsv } from "./csv.js";
+
+const DAMPING = 0.85;
+
+// Internal PageRank over unique links between crawled pages. Pages without
+// outlinks share their score with every page.
+function computePageRank(nodes, edges, { iterations = 50, tolerance = 1e-8 } = {}) {
+  const count = nodes.length;
+  if (count === 0) return [];
+
+  const outgoing = nodes.map(() => []);
+  edges.filter(edge => !edge.nofollow).forEach(edge => outgoing[edge.source].push(edge.target));
+
+  let ranks = new Array(count).fill(1 / count);
+  for (let i = 0; i < iterations; i++) {
+    const dangling = ranks.reduce((sum, rank, index) => (outgoing[index].length === 0 ? sum + rank : sum), 0);
+    const next = new Array(count).fill((1 - DAMPING) / count + (DAMPING * dangling) / count);
+    outgoing.forEach((targets, index) => {
+      targets.forEach(target => {
+        next[target] += (DAMPING * ranks[index]) / targets.length;
+      });
+    });
+
+    const change = next.reduce((sum, rank, index) => sum + Math.abs(rank - ranks[index]), 0);
+    ranks = next;
+    if (change < tolerance) break;
+  }
+  return ranks;
+}
+
+// Internal link graph of the crawled pages. Edges join crawled pages only;
+// a link to an uncrawled URL still counts towards the page's outlinks.
+// Nodes carry depth, inlinks, outlinks and pageRank.
+export function buildLinkGraph(results, { normalize }) {
+  const index = new Map(results.map((result, i) => [normalize(result.url), i]));
+  const edgeMap = new Map();
+  const outTargets = results.map(() => new Set());
+
+  results.forEach((result, source) => {
+    const key = normalize(result.url);
+    (result.linkDetails || [])
+      .filter(link => link.internal)
+      .forEach(link => {
+        const targetKey = normalize(link.url);
+        if (targetKey === key) return;
+        outTargets[source].add(targetKey);
+
+        const target = index.get(targetKey);
+        if (target === undefined) return;
+        const id = `${source} ${target}`;
+        if (!edgeMap.has(id)) {
+          edgeMap.set(id, { source, target, weight: 0, nofollow: true });
+        }
+        const edge = edgeMap.get(id);
+        edge.weight++;
+        // One followed link is enough for the edge to pass PageRank
+        edge.nofollow = edge.nofollow && link.rel.includes('nofollow');
+      });
+  });
+
+  const edges = [...edgeMap.values()];
+  const inSources = results.map(() => new Set());
+  edges.forEach(edge => inSources[edge.target].add(edge.source));
+  const ranks = computePageRank(results, edges);
+
+  const nodes = results.map((result, i) => ({
+    url: result.url,
+    statusCode: result.statusCode,
+    isDocument: result.isDocument,
+    depth: result.depth,
+    inlinks: inSources[i].size,
+    outlinks: outTargets[i].size,
+    pageRank: ranks[i]
+  }));
+
+  return { nodes, edges };
+}
+
+// Orphans, dead ends and deep pages found in the link graph
+export function analyzeLinkGraph(graph, { root, normalize, deepPageDepth, exported = false }) {
+  const rootKey = normalize(root);
+  const htmlPages = graph.nodes.filter(node => !node.isDocument && node.statusCode === 200);
+
+  return {
+    pages: graph.nodes.length,
+    links: graph.edges.length,
+    deepPageDepth,
+    exported,
+    // Crawled (e.g. from the sitemap) but not linked from any crawled page
+    orphans: graph.nodes.filter(node => node.inlinks === 0 && normalize(node.url) !== rootKey).map(node => node.url),
+    deadEnds: htmlPages.filter(node => node.outlinks === 0).map(node => node.url),
+    deepPages: graph.nodes
+      .filter(node => node.depth !== null && node.depth > deepPageDepth)
+      .map(node => ({ url: node.url, depth: node.depth })),
+    topPages: [...graph.nodes]
+      .sort((a, b) => b.pageRank - a.pageRank)
+      .slice(0, 10)
+      .map(node => ({ url: node.url, pageRank: node.pageRank, inlinks: node.inlinks }))
+  };
+}
+
+const NODE_ATTRIBUTES = [
+  { key: 'depth', type: 'int' },
+  { key: 'inlinks', type: 'int' },
+  { key: 'outlinks', type: 'int' },
+  { key: 'pageRank', type: 'double' },
+  { key: 'statusCode', type: 'int' }
+];
+
+export function renderGraphml(graph) {
+  const data = (node) => NODE_ATTRIBUTES
+    .filter(({ key }) => node[key] !== null && node[key] !== undefined)
+    .map(({ key }) => `      <data key="${key}">${node[key]}</data>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+    ...NODE_ATTRIBUTES.map(({ key, type }) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`),
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+    '  <key id="nofollow" for="edge" attr.name="nofollow" attr.type="boolean"/>',
+    '  <graph id="links" edgedefault="directed">',
+    ...graph.nodes.map((node, i) => [
+      `    <node id="n${i}">`,
+      `      <data key="url">${escapeXml(node.url)}</data>`,
+      ...data(node),
+      '    </node>'
+    ].join('\n')),
+    ...graph.edges.map((edge, i) => [
+      `    <edge id="e${i}" source="n${edge.source}" target="n${edge.target}">`,
+      `      <data key="weight">${edge.weight}</data>`,
+      `      <data key="nofollow">${edge.nofollow}</data>`,
+      '    </edge>'
+    ].join('\n')),
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+}
+
+export function renderGexf(graph) {
+  const attvalues = (node) => NODE_ATTRIBUTES
+    .map(({ key }, i) => (node[key] !== null && node[key] !== undefined ? `<attvalue for="${i}" value="${node[key]}"/>` : null))
+    .filter(Boolean)
+    .join('');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...NODE_ATTRIBUTES.map(({ key, type }, i) => `      <attribute id="${i}" title="${key}" type="${type === 'int' ? 'integer' : type}"/>`),
+    '    </attributes>',
+    '    <nodes>',
+    ...graph.nodes.map((node, i) => `      <node id="n${i}" label="${escapeXml(node.url)}"><attvalues>${attvalues(node)}</attvalues></node>`),
+    '    </nodes>',
+    '    <edges>',
+    ...graph.edges.map((edge, i) => `      <edge id="e${i}" source="n${edge.source}" target="n${edge.target}" weight="${edge.weight}"/>`),
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    ''
+  ].join('\n');
+}
+
+// Write the graph as GraphML, GEXF and CSV (edges and nodes) for Gephi & co.
+export function writeLinkGraphFiles(graph, reportPaths) {
+  fs.writeFileSync(reportPaths.graphml, renderGraphml(graph));
+  fs.writeFileSync(reportPaths.gexf, renderGexf(graph));
+  fs.writeFileSync(reportPaths.edgesCsv, toCsv(
+    graph.edges.map(edge => ({ ...edge, source: graph.nodes[edge.source].url, target: graph.nodes[edge.target].url })),
+    ['source', 'target', 'weight', 'nofollow']
+  ));
+  fs.writeFileSync(reportPaths.nodesCsv, toCsv(graph.nodes, ['url', 'statusCode', 'depth', 'inlinks', 'outlinks', 'pageRank']));
+  return [reportPaths.graphml, reportPaths.gexf, reportPaths.edgesCsv, reportPaths.nodesCsv];
+}
@@ -0,0 +1,9 @@
+export { Auditor, createAuditor } from "./auditor.js";
+export { DEFAULT_CONFIG, normalizeConfig, resolveConfig, loadConfigFile } from "./config.js";
+export { buildReport, renderHtmlReport, writeReport } from "./report.js";
+export { collectPageIssues } from "./issues.js";
+export { compareReports, renderCompareHtml, writeCompareReport } from "./compare.js";
+export { diffImages, compareScreenshots, acceptBaselines } from "./visual.js";
+export { evaluateQualityGates, renderJUnitXml, renderSarif } from "./ci.js";
+export { EXPORT_SCHEMAS, buildExportRows, writeExports } from "./exports.js";
+export { normalizeUrl, createUrlNormalizer } from "./url.js";
@@ -0,0 +1,155 @@
+// Directives that take a value, so "name:" before them is not a user agent
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+// Bots whose directives apply to us besides the generic ones
+const APPLICABLE_AGENTS = ['googlebot', 'bingbot'];
+
+const HREFLANG_CODE = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+// Runs in the page: canonical links, hreflang alternates and robots meta tags
+export function extractIndexingSignals() {
+  return {
+    canonicals: [...document.querySelectorAll('link[rel~="canonical" i]')].map(el => el.href).filter(Boolean),
+    hreflang: [...document.querySelectorAll('link[rel~="alternate" i][hreflang]')]
+      .map(el => ({ lang: el.getAttribute('hreflang'), url: el.href })),
+    metaRobots: [...document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i], meta[name="bingbot" i]')]
+      .map(el => el.getAttribute('content') || '')
+      .join(', ')
+  };
+}
+
+// Canonical and hreflang entries of an HTTP Link header
+export function parseLinkHeader(value, baseUrl) {
+  const links = { canonicals: [], hreflang: [] };
+  if (!value) return links;
+
+  for (const part of value.split(/,(?=\s*<)/)) {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) continue;
+    // A malformed entry is skipped without losing the others
+    let url;
+    try {
+      url = new URL(match[1].trim(), baseUrl).href;
+    } catch {
+      continue;
+    }
+    const rel = (match[2].match(/rel="?([^";]+)"?/i)?.[1] || '').toLowerCase().split(/\s+/);
+    const lang = match[2].match(/hreflang="?([^";]+)"?/i)?.[1];
+    if (rel.includes('canonical')) links.canonicals.push(url);
+    if (rel.includes('alternate') && lang) links.hreflang.push({ lang, url });
+  }
+  return links;
+}
+
+// Robots directives (lowercase) from meta robots or X-Robots-Tag values,
+// ignoring those aimed at other user agents
+export function parseRobotsDirectives(...values) {
+  const directives = new Set();
+  values
+    .filter(Boolean)
+    .flatMap(value => value.split(/[\n,]/))
+    .forEach(raw => {
+      let directive = raw.trim().toLowerCase();
+      const agent = directive.match(/^([a-z0-9_-]+)\s*:\s*(.+)$/);
+      if (agent && !VALUE_DIRECTIVES.includes(agent[1])) {
+        if (!APPLICABLE_AGENTS.includes(agent[1])) return;
+        directive = agent[2];
+      }
+      if (directive) directives.add(directive.split(':')[0].trim());
+    });
+  return directives;
+}
+
+// Whether a page can be indexed, with the first reason it cannot:
+// { indexable, reason: null | 'non-200' | 'redirected' | 'robots-txt' | 'noindex' | 'canonicalised', detail }
+export function indexabilityVerdict(result, normalize) {
+  const verdict = (reason, detail) => ({ indexable: false, reason, detail });
+
+  if (result.statusCode !== 200) return verdict('non-200', `status ${result.statusCode}`);
+  if (result.finalUrl && normalize(result.finalUrl) !== normalize(result.url)) {
+    return verdict('redirected', `redirects to ${result.finalUrl}`);
+  }
+  if (result.robotsDisallowed) return verdict('robots-txt', `blocked by robots.txt (${result.robotsDisallowed})`);
+
+  const meta = parseRobotsDirectives(result.metaRobots ?? result.metaTags?.robots);
+  const header = parseRobotsDirectives(result.xRobotsTag);
+  if (meta.has('noindex') || meta.has('none')) return verdict('noindex', 'noindex in meta robots');
+  if (header.has('noindex') || header.has('none')) return verdict('noindex', 'noindex in X-Robots-Tag header');
+
+  if (result.canonical && normalize(result.canonical) !== normalize(result.url)) {
+    return verdict('canonicalised', `canonicalised to ${result.canonical}`);
+  }
+  return { indexable: true, reason: null, detail: 'indexable' };
+}
+
+// Per-page canonical and hreflang problems, used by collectPageIssues
+export function indexingSignalProblems(result, normalize) {
+  const problems = [];
+  const canonicals = [...new Set((result.canonicals || []).map(normalize))];
+  if (canonicals.length > 1) {
+    problems.push({ type: 'multiple-canonicals', severity: 'error', message: `Conflicting canonical URLs: ${canonicals.join(', ')}` });
+  }
+  (result.hreflang || [])
+    .filter(alternate => !HREFLANG_CODE.test(alternate.lang))
+    .forEach(alternate => problems.push({ type: 'invalid-hreflang', severity: 'error', message: `Invalid hreflang code "${alternate.lang}" for ${alternate.url}` }));
+  return problems;
+}
+
+// Indexability section of the report: verdict counts, canonicals pointing at
+// unusable pages, and hreflang alternates without return links. Targets that
+// were not crawled are judged by their checks in targetChecks (normalized
+// URL -> external link check result), by status and redirects only.
+export function analyzeIndexability(results, normalize, targetChecks = new Map()) {
+  const pages = new Map(results.map(result => [normalize(result.url), result]));
+  const findTarget = (url) => {
+    const key = normalize(url);
+    if (pages.has(key)) return pages.get(key);
+    const check = targetChecks.get(key);
+    return check && { url: check.url, statusCode: check.status, finalUrl: check.finalUrl, redirectChain: check.redirectChain, checkedOnly: true };
+  };
+  const htmlPages = results.filter(result => !result.isDocument);
+
+  const nonIndexable = htmlPages
+    .filter(result => result.indexability && !result.indexability.indexable)
+    .map(result => ({ url: result.url, reason: result.indexability.reason, detail: result.indexability.detail }));
+
+  const canonicalProblems = [];
+  htmlPages
+    .filter(result => result.canonical && normalize(result.canonical) !== normalize(result.url))
+    .forEach(result => {
+      const target = findTarget(result.canonical);
+      const add = (problem) => canonicalProblems.push({ url: result.url, canonical: result.canonical, problem });
+      if (!target) return;
+      if (target.statusCode >= 400 || target.statusCode === 0) {
+        add(`canonical returns status ${target.statusCode}`);
+      } else if (target.redirectChain?.length > 0 || (target.finalUrl && normalize(target.finalUrl) !== normalize(target.url))) {
+        add(`canonical redirects to ${target.finalUrl}`);
+      } else if (target.indexability?.reason === 'noindex') {
+        add('canonical is noindex');
+      } else if (target.indexability?.reason === 'canonicalised') {
+        add(`canonical is itself canonicalised to ${target.canonical}`);
+      }
+    });
+
+  const hreflangProblems = [];
+  htmlPages.forEach(result => {
+    const key = normalize(result.url);
+    (result.hreflang || []).forEach(alternate => {
+      if (normalize(alternate.url) === key) return;
+      const target = findTarget(alternate.url);
+      const add = (problem) => hreflangProblems.push({ url: result.url, lang: alternate.lang, alternate: alternate.url, problem });
+      if (!target) return;
+      if (target.statusCode !== 200) {
+        add(`alternate returns status ${target.statusCode}`);
+      } else if (!target.checkedOnly && !(target.hreflang || []).some(back => normalize(back.url) === key)) {
+        add('alternate does not link back');
+      }
+    });
+  });
+
+  return {
+    indexable: htmlPages.length - nonIndexable.length,
+    nonIndexable,
+    canonicalProblems,
+    hreflangProblems
+  };
+}
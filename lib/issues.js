@@ -0,0 +1,96 @@
+import { normalizeUrl } from "./url.js";
+import { redirectProblems } from "./redirects.js";
+import { linkProblems } from "./links.js";
+import { indexingSignalProblems } from "./indexability.js";
+import { MISSING_TITLE, tagLengthProblems, DEFAULT_SEO_THRESHOLDS } from "./seo-tags.js";
+import { headingProblems, contentProblems, DEFAULT_CONTENT_THRESHOLDS } from "./content.js";
+import { structuredDataProblems } from "./structured-data.js";
+import { socialProblems, DEFAULT_SOCIAL_RULES } from "./social.js";
+import { accessibilityProblems } from "./accessibility.js";
+import { performanceProblems, DEFAULT_PERFORMANCE_BUDGETS } from "./performance.js";
+import { visualProblems } from "./visual.js";
+import { externalLinkProblems } from "./external-links.js";
+
+export { MISSING_TITLE };
+
+// Issues found on a single page result. Each issue is
+// { type, severity: 'error' | 'warning', url, message, resource? }.
+// Redirect chains longer than maxRedirectHops are reported, and titles and
+// descriptions are measured against seoThresholds, word counts against
+// contentThresholds, share images against socialRules (null skips the
+// Open Graph and Twitter card checks) and lab metrics against performanceBudgets.
+// externalChecks maps external URLs to their check results, and normalize is
+// the crawl's URL normalizer.
+export function collectPageIssues(pageResult, {
+  normalize = normalizeUrl,
+  maxRedirectHops = 1,
+  externalChecks = new Map(),
+  seoThresholds = DEFAULT_SEO_THRESHOLDS,
+  contentThresholds = DEFAULT_CONTENT_THRESHOLDS,
+  socialRules = DEFAULT_SOCIAL_RULES,
+  performanceBudgets = DEFAULT_PERFORMANCE_BUDGETS
+} = {}) {
+  const issues = [];
+  const add = (type, severity, message, resource) => {
+    const issue = { type, severity, url: pageResult.url, message };
+    if (resource) issue.resource = resource;
+    issues.push(issue);
+  };
+
+  redirectProblems(pageResult.redirectChain || [], { loop: pageResult.redirectLoop, maxHops: maxRedirectHops })
+    .forEach(problem => add(problem.type, problem.severity, problem.message, pageResult.finalUrl));
+
+  if (pageResult.isDocument) {
+    if (pageResult.documentStatus === 'broken') {
+      add('broken-document', 'error', pageResult.jsErrors[0] || 'Document is not accessible', pageResult.url);
+    }
+    return issues;
+  }
+
+  if (pageResult.statusCode >= 400 || pageResult.statusCode === 0) {
+    add('broken-page', 'error', `Page returned status ${pageResult.statusCode}`);
+  }
+  if (pageResult.inSitemap && pageResult.finalUrl && normalize(pageResult.finalUrl) !== normalize(pageResult.url)) {
+    add('sitemap-redirect', 'warning', `Sitemap URL redirects to ${pageResult.finalUrl}`, pageResult.finalUrl);
+  } else if (pageResult.inSitemap && pageResult.statusCode !== 200) {
+    add('sitemap-non-200', 'error', `Sitemap URL returned status ${pageResult.statusCode}`);
+  }
+
+  pageResult.jsErrors.forEach(message => add('js-error', 'error', message));
+  pageResult.consoleErrors.forEach(message => add('console-error', 'error', message));
+  pageResult.networkErrors.forEach(message => add('network-error', 'warning', message));
+  externalLinkProblems(pageResult, externalChecks).forEach(problem => add(problem.type, problem.severity, problem.message, problem.resource));
+  (pageResult.robotsBlockedLinks || []).forEach(link =>
+    add('robots-blocked-link', 'warning', `Links to ${link.url}, which robots.txt disallows (${link.rule})`, link.url));
+  pageResult.brokenImages.forEach(src => add('broken-image', 'error', `Broken image: ${src}`, src));
+
+  (pageResult.imagesAnalysis?.details || [])
+    .filter(img => !img.alt || img.alt.trim() === '')
+    .forEach(img => add('missing-alt', 'warning', `Image without alt text: ${img.src}`, img.src));
+
+  indexingSignalProblems(pageResult, normalize).forEach(problem => add(problem.type, problem.severity, problem.message));
+  (pageResult.linkDetails || []).forEach(link =>
+    linkProblems(link).forEach(problem => add(problem.type, problem.severity, problem.message, link.url)));
+
+  if (!pageResult.title || pageResult.title === MISSING_TITLE) {
+    add('missing-title', 'warning', 'Page has no <title>');
+  }
+  if (!pageResult.metaDescription) {
+    add('missing-description', 'warning', 'Page has no meta description');
+  }
+  tagLengthProblems(pageResult, seoThresholds).forEach(problem => add(problem.type, problem.severity, problem.message));
+
+  if (pageResult.content) {
+    headingProblems(pageResult.headings || []).forEach(problem => add(problem.type, problem.severity, problem.message));
+    contentProblems(pageResult, contentThresholds).forEach(problem => add(problem.type, problem.severity, problem.message));
+  }
+  structuredDataProblems(pageResult.structuredData).forEach(problem => add(problem.type, problem.severity, problem.message));
+  performanceProblems(pageResult.performance, performanceBudgets).forEach(problem => add(problem.type, problem.severity, problem.message));
+  visualProblems(pageResult.visual).forEach(problem => add(problem.type, problem.severity, problem.message));
+  accessibilityProblems(pageResult.accessibility).forEach(problem => add(problem.type, problem.severity, problem.message, problem.resource));
+  if (socialRules && pageResult.statusCode === 200) {
+    socialProblems(pageResult, normalize, socialRules).forEach(problem => add(problem.type, problem.severity, problem.message));
+  }
+
+  return issues;
+}
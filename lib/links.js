@@ -0,0 +1,107 @@
+// Anchor texts that say nothing about the link target
+export const GENERIC_ANCHORS = [
+  'click here', 'click', 'here', 'read more', 'more', 'learn more', 'find out more',
+  'more info', 'details', 'continue', 'continue reading', 'link', 'this', 'this page', 'go'
+];
+
+// Runs in the page: every <a href> with its context. `region` is the
+// closest landmark (nav, header, footer, main, aside) or "body".
+export function extractLinks(root) {
+  const roles = { navigation: 'nav', banner: 'header', contentinfo: 'footer', main: 'main', complementary: 'aside' };
+
+  const cssPath = (el) => {
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  return [...document.querySelectorAll('a[href]')]
+    .map((a) => {
+      let href;
+      try {
+        href = new URL(a.href, root).href;
+      } catch {
+        return null;
+      }
+
+      const landmark = a.closest('nav, header, footer, main, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="main"], [role="complementary"]');
+      const text = (a.innerText || a.textContent || '').replace(/\s+/g, ' ').trim();
+      return {
+        href,
+        text: text || a.getAttribute('aria-label') || a.querySelector('img[alt]')?.getAttribute('alt') || '',
+        title: a.getAttribute('title') || '',
+        rel: (a.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+        target: a.getAttribute('target') || '',
+        region: landmark ? roles[landmark.getAttribute('role')] || landmark.tagName.toLowerCase() : 'body',
+        selector: cssPath(a)
+      };
+    })
+    .filter(link => link !== null);
+}
+
+// Problems with a single link: { type, severity, message }
+export function linkProblems(link) {
+  const problems = [];
+  const where = `${link.url} (${link.selector})`;
+  const text = link.text.toLowerCase().replace(/[^\p{L}\p{N} ]/gu, '').trim();
+
+  if (!link.text) {
+    problems.push({ type: 'empty-anchor-text', severity: 'warning', message: `Link without anchor text: ${where}` });
+  } else if (GENERIC_ANCHORS.includes(text)) {
+    problems.push({ type: 'generic-anchor-text', severity: 'warning', message: `Generic anchor text "${link.text}": ${where}` });
+  }
+  if (link.target === '_blank' && !link.rel.includes('noopener') && !link.rel.includes('noreferrer')) {
+    problems.push({ type: 'unsafe-target-blank', severity: 'warning', message: `target="_blank" without rel="noopener": ${where}` });
+  }
+  if (link.internal && link.rel.includes('nofollow')) {
+    problems.push({ type: 'nofollow-internal-link', severity: 'warning', message: `Internal link marked nofollow: ${where}` });
+  }
+  return problems;
+}
+
+// Links pointing at each page (normalized URL -> [{ from, text, rel, region, selector }])
+export function buildInlinks(results, normalize) {
+  const inlinks = new Map();
+  results.forEach(result => {
+    (result.linkDetails || [])
+      .filter(link => link.internal)
+      .forEach(link => {
+        const key = normalize(link.url);
+        if (!inlinks.has(key)) inlinks.set(key, []);
+        inlinks.get(key).push({ from: result.url, text: link.text, rel: link.rel, region: link.region, selector: link.selector });
+      });
+  });
+  return inlinks;
+}
+
+// Link context findings across the crawl, grouped by problem type
+export function analyzeLinkContext(results) {
+  const findings = {
+    'empty-anchor-text': [],
+    'generic-anchor-text': [],
+    'unsafe-target-blank': [],
+    'nofollow-internal-link': []
+  };
+  results.forEach(result => {
+    (result.linkDetails || []).forEach(link => {
+      linkProblems(link).forEach(problem => {
+        findings[problem.type].push({ page: result.url, url: link.url, text: link.text, selector: link.selector });
+      });
+    });
+  });
+
+  return {
+    emptyAnchors: findings['empty-anchor-text'],
+    genericAnchors: findings['generic-anchor-text'],
+    unsafeTargetBlank: findings['unsafe-target-blank'],
+    nofollowInternal: findings['nofollow-internal-link']
+  };
+}
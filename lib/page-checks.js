@@ -0,0 +1,148 @@
+import crypto from "crypto";
+
+import { redirectChainFromResponse } from "./redirects.js";
+import { startPerformanceCapture } from "./performance.js";
+
+// Enhanced error handling setup
+export function setupErrorHandling(page, pageResult) {
+  page.on("pageerror", (err) => {
+    const message = err.message;
+    const benignErrors = [
+      /Syntax error, unrecognized expression:/,
+      /jQuery\.expr/,
+      /Script error\./,
+      /Unable to preventDefault/,
+      /Cannot read property/,
+      /is not defined/,
+      /null is not an object/,
+      /undefined is not an object/,
+    ];
+    
+    if (benignErrors.some(pattern => pattern.test(message))) {
+      pageResult.benignErrors.push(message);
+    } else {
+      pageResult.jsErrors.push(message);
+    }
+  });
+
+  page.on("console", (msg) => {
+    const text = msg.text();
+    const type = msg.type();
+    
+    if (type === "error") {
+      const benignConsoleErrors = [
+        /Syntax error, unrecognized expression:/,
+        /Failed to load resource/,
+        /Blocked a frame with origin/,
+        /Content Security Policy/,
+        /Loading failed for the/,
+      ];
+      
+      if (benignConsoleErrors.some(pattern => pattern.test(text))) {
+        pageResult.benignErrors.push(text);
+      } else {
+        pageResult.consoleErrors.push(text);
+      }
+    } else if (type === "warning") {
+      pageResult.warnings.push(text);
+    }
+  });
+
+  page.on("response", (response) => {
+    if (response.status() >= 400) {
+      pageResult.networkErrors.push(`${response.status()} - ${response.url()}`);
+    }
+  });
+}
+
+export async function checkDocumentUrl(page, url, pageResult, { timeout, logger = console }) {
+  logger.log(`Checking document: ${url}`);
+  
+  pageResult.isDocument = true;
+  pageResult.documentType = url.split('.').pop()?.toUpperCase() || 'DOCUMENT';
+
+  const startTime = Date.now();
+  try {
+    const response = await page.goto(url, { 
+      waitUntil: 'domcontentloaded', 
+      timeout 
+    });
+    
+    pageResult.loadTime = Date.now() - startTime;
+    pageResult.statusCode = response?.status() || 200;
+    pageResult.finalUrl = page.url();
+    pageResult.redirectChain = await redirectChainFromResponse(response);
+    
+    if (response?.status() >= 400) {
+      pageResult.documentStatus = 'broken';
+      pageResult.jsErrors.push(`Document returned status: ${response.status()}`);
+    } else {
+      pageResult.documentStatus = 'accessible';
+      pageResult.title = `📄 ${pageResult.documentType} Document: ${url.split('/').pop()}`;
+    }
+    
+    return true;
+  } catch (err) {
+    pageResult.loadTime = Date.now() - startTime;
+    pageResult.documentStatus = 'broken';
+    pageResult.jsErrors.push(`Failed to load document: ${err.message}`);
+    return false;
+  }
+}
+
+// Empty screenshot map with one entry per configured device
+export function emptyScreenshots(devices) {
+  return Object.fromEntries(devices.map(device => [device.name, null]));
+}
+
+// Function to take screenshots for different devices. With measurePerformance,
+// lab metrics are recorded during each device's page load as well.
+// maskSelectors(deviceName) lists elements to paint over in the screenshot.
+// Returns { screenshots, performance } with performance keyed by device name.
+export async function takeScreenshots(browser, url, normalizedUrl, { devices, timeout, measurePerformance = false, maskSelectors = () => [], logger = console }) {
+  const screenshots = emptyScreenshots(devices);
+  const performance = {};
+
+  let fileName = encodeURIComponent(normalizedUrl.replace(/[^a-zA-Z0-9]/g, '_'));
+  // Long URLs (e.g. with query strings) would exceed file name limits
+  if (fileName.length > 150) {
+    fileName = `${fileName.slice(0, 120)}_${crypto.createHash('sha1').update(normalizedUrl).digest('hex').slice(0, 12)}`;
+  }
+
+  for (const device of devices) {
+    try {
+      const context = await browser.newContext({
+        viewport: device.viewport,
+        userAgent: device.userAgent
+      });
+      const devicePage = await context.newPage();
+      const capture = measurePerformance ? await startPerformanceCapture(devicePage) : null;
+      
+      await devicePage.goto(url, { waitUntil: 'networkidle', timeout });
+
+      if (capture) {
+        try {
+          performance[device.name] = await capture.collect();
+        } catch (err) {
+          logger.log(`Could not measure performance on ${device.name}: ${err.message}`);
+        }
+      }
+      
+      const devicePath = `${device.directory}/${fileName}.png`;
+      await devicePage.screenshot({
+        path: devicePath,
+        fullPage: true,
+        mask: maskSelectors(device.name).map(selector => devicePage.locator(selector)),
+      });
+      
+      screenshots[device.name] = `${device.name}/${fileName}.png`;
+      logger.log(`${device.name} screenshot saved (${device.viewport.width}×${device.viewport.height})`);
+      
+      await context.close();
+    } catch (deviceError) {
+      logger.log(`Could not take ${device.name} screenshot: ${deviceError.message}`);
+    }
+  }
+
+  return { screenshots, performance };
+}
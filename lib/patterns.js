@@ -0,0 +1,41 @@
+// URL patterns used by config rules. A pattern is either
+//   - a glob matched against the URL path and query, where `*` matches
+//     anything (including `/`), e.g. "/blog/tag/*" or "*?page=*"
+//   - a regular expression, given as a RegExp (JS config) or a string
+//     prefixed with "re:", e.g. "re:^/calendar/\\d{4}/"
+export function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error(`Invalid URL pattern: ${pattern}`);
+  }
+
+  if (pattern.startsWith('re:')) {
+    try {
+      return new RegExp(pattern.slice(3));
+    } catch (err) {
+      throw new Error(`Invalid URL pattern ${pattern}: ${err.message}`);
+    }
+  }
+
+  const body = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}$`);
+}
+
+// The part of a URL patterns are matched against
+export function patternTarget(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+export function matchesPattern(compiled, url) {
+  return compiled.test(patternTarget(url));
+}
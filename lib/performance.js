@@ -0,0 +1,198 @@
+// Lab metric budgets, after the "good" Core Web Vitals thresholds.
+// null switches a budget off.
+export const DEFAULT_PERFORMANCE_BUDGETS = {
+  ttfb: 800, // ms
+  fcp: 1800, // ms
+  lcp: 2500, // ms
+  cls: 0.1,
+  tbt: 200, // ms
+  domSize: 1500, // elements
+  requests: 100,
+  transferSize: 3000000 // bytes
+};
+
+export const PERFORMANCE_METRICS = Object.keys(DEFAULT_PERFORMANCE_BUDGETS);
+
+export const METRIC_LABELS = {
+  ttfb: 'TTFB',
+  fcp: 'FCP',
+  lcp: 'LCP',
+  cls: 'CLS',
+  tbt: 'TBT',
+  domSize: 'DOM size',
+  requests: 'Requests',
+  transferSize: 'Transfer size'
+};
+
+// Runs in the page before any of its scripts (as an init script): records
+// LCP, layout shifts and long tasks as they happen
+export function observePerformance() {
+  const perf = { lcp: null, lcpElement: null, shifts: [], longTasks: [] };
+  window.__auditPerformance = perf;
+
+  const describe = (el) => {
+    if (!el || !el.tagName) return null;
+    let label = el.tagName.toLowerCase();
+    if (el.id) label += `#${el.id}`;
+    if (typeof el.className === 'string' && el.className.trim()) label += `.${el.className.trim().split(/\s+/).join('.')}`;
+    return label;
+  };
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    perf.lcp = entry.startTime;
+    perf.lcpElement = [describe(entry.element), entry.url].filter(Boolean).join(' ') || null;
+  });
+  observe('layout-shift', (entry) => {
+    if (!entry.hadRecentInput) perf.shifts.push({ value: entry.value, time: entry.startTime });
+  });
+  observe('longtask', (entry) => {
+    perf.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+// Runs in the page once it has loaded: the metrics observePerformance()
+// and the Navigation and Paint Timing APIs collected
+export function readPerformanceMetrics() {
+  const perf = window.__auditPerformance || { lcp: null, lcpElement: null, shifts: [], longTasks: [] };
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const fcp = performance.getEntriesByName('first-contentful-paint')[0]?.startTime ?? null;
+
+  // CLS is the largest burst of shifts less than 1s apart, within 5s
+  let cls = 0;
+  let session = 0;
+  let sessionStart = 0;
+  let previous = -Infinity;
+  perf.shifts.forEach((shift) => {
+    if (shift.time - previous > 1000 || shift.time - sessionStart > 5000) {
+      session = 0;
+      sessionStart = shift.time;
+    }
+    session += shift.value;
+    previous = shift.time;
+    cls = Math.max(cls, session);
+  });
+
+  // TBT: time beyond 50ms of each long task starting after FCP
+  const tbt = perf.longTasks
+    .filter(task => fcp === null || task.start >= fcp)
+    .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+  const round = value => (value === null ? null : Math.round(value));
+  return {
+    ttfb: navigation ? round(navigation.responseStart) : null,
+    fcp: round(fcp),
+    lcp: round(perf.lcp),
+    lcpElement: perf.lcpElement,
+    cls: Math.round(cls * 1000) / 1000,
+    tbt: Math.round(tbt),
+    domSize: document.getElementsByTagName('*').length
+  };
+}
+
+// Start recording performance for a page that has not navigated yet.
+// Requests and transfer sizes come from the DevTools protocol, which sees
+// cross-origin resources the Resource Timing API hides.
+// Returns { collect() } to call once the page has loaded.
+export async function startPerformanceCapture(page) {
+  await page.addInitScript(observePerformance);
+
+  const requests = new Map();
+  const cdp = await page.context().newCDPSession(page);
+  cdp.on('Network.requestWillBeSent', (event) => {
+    if (!requests.has(event.requestId)) {
+      requests.set(event.requestId, { type: (event.type || 'other').toLowerCase(), size: 0 });
+    }
+  });
+  cdp.on('Network.loadingFinished', (event) => {
+    const request = requests.get(event.requestId);
+    if (request) request.size = event.encodedDataLength;
+  });
+  await cdp.send('Network.enable');
+
+  return {
+    async collect() {
+      const metrics = await page.evaluate(readPerformanceMetrics);
+      const byType = {};
+      requests.forEach(({ type, size }) => {
+        if (!byType[type]) byType[type] = { requests: 0, transferSize: 0 };
+        byType[type].requests++;
+        byType[type].transferSize += size;
+      });
+      await cdp.detach().catch(() => {});
+
+      return {
+        ...metrics,
+        requests: requests.size,
+        transferSize: Object.values(byType).reduce((sum, type) => sum + type.transferSize, 0),
+        byType
+      };
+    }
+  };
+}
+
+// A metric value for people: "2,310ms", "0.05", "1.2 MB"
+export function formatMetric(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (metric === 'cls') return String(value);
+  if (metric === 'transferSize') {
+    return value >= 1000000 ? `${(value / 1000000).toFixed(1)} MB` : `${Math.round(value / 1000)} KB`;
+  }
+  if (['domSize', 'requests'].includes(metric)) return value.toLocaleString('en-US');
+  return `${value.toLocaleString('en-US')}ms`;
+}
+
+// Metrics over budget on each device: [{ device, metric, value, budget }]
+export function budgetViolations(performance, budgets) {
+  const violations = [];
+  Object.entries(performance || {}).forEach(([device, metrics]) => {
+    PERFORMANCE_METRICS
+      .filter(metric => budgets[metric] !== null && metrics[metric] !== null && metrics[metric] > budgets[metric])
+      .forEach(metric => violations.push({ device, metric, value: metrics[metric], budget: budgets[metric] }));
+  });
+  return violations;
+}
+
+// Per-page budget problems, used by collectPageIssues
+export function performanceProblems(performance, budgets) {
+  return budgetViolations(performance, budgets).map(({ device, metric, value, budget }) => ({
+    type: 'performance-budget',
+    severity: 'warning',
+    message: `${METRIC_LABELS[metric]} on ${device} is ${formatMetric(metric, value)}, over the budget of ${formatMetric(metric, budget)}`
+  }));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(value * 1000) / 1000;
+}
+
+// Performance section of the report: median metrics per device and every
+// page over budget
+export function analyzePerformance(results, budgets) {
+  const pages = results.filter(result => result.performance);
+  const devices = [...new Set(pages.flatMap(page => Object.keys(page.performance)))];
+
+  return {
+    budgets,
+    pagesMeasured: pages.length,
+    medians: Object.fromEntries(devices.map(device => [
+      device,
+      Object.fromEntries(PERFORMANCE_METRICS.map(metric => [
+        metric,
+        median(pages.map(page => page.performance[device]?.[metric]).filter(value => value !== null && value !== undefined))
+      ]))
+    ])),
+    overBudget: pages.flatMap(page =>
+      budgetViolations(page.performance, budgets).map(violation => ({ url: page.url, ...violation })))
+  };
+}
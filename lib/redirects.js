@@ -0,0 +1,142 @@
+import { normalizeUrl } from "./url.js";
+
+export const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Redirects search engines treat as temporary (the old URL keeps its ranking)
+const TEMPORARY_STATUSES = [302, 307];
+
+function isDowngrade(from, to) {
+  return from.startsWith('https:') && to.startsWith('http:');
+}
+
+// Absolute URL of a Location header, or null when it is malformed
+function resolveLocation(location, base) {
+  try {
+    return new URL(location, base).href;
+  } catch {
+    return null;
+  }
+}
+
+// Redirect hops behind a browser navigation response, oldest first.
+// Each hop is { url, status, location, time } with time in ms. A malformed
+// Location header is kept as sent.
+export async function redirectChainFromResponse(response) {
+  const requests = [];
+  for (let req = response?.request().redirectedFrom(); req; req = req.redirectedFrom()) {
+    requests.unshift(req);
+  }
+
+  const hops = [];
+  for (const req of requests) {
+    const hopResponse = await req.response();
+    const timing = req.timing();
+    const location = hopResponse?.headers().location;
+    hops.push({
+      url: req.url(),
+      status: hopResponse?.status() || 0,
+      location: location ? resolveLocation(location, req.url()) || location : null,
+      time: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null
+    });
+  }
+  return hops;
+}
+
+// Follow redirects one request at a time, so loops and over-long chains are
+// recorded instead of failing. `context` is a Playwright APIRequestContext.
+// Returns { hops, finalUrl, status, loop, error }.
+export async function traceRedirects(context, url, { method = 'GET', timeout, maxHops = 20 } = {}) {
+  const hops = [];
+  const seen = new Set();
+  let current = url;
+
+  while (true) {
+    seen.add(current);
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await context.fetch(current, { method, timeout, maxRedirects: 0, failOnStatusCode: false });
+    } catch (err) {
+      const error = err.message.split('\n')[0].replace(/^apiRequestContext\.\w+: /, '');
+      return { hops, finalUrl: current, status: 0, loop: false, error };
+    }
+
+    const status = response.status();
+    const location = response.headers().location;
+    if (!REDIRECT_STATUSES.includes(status) || !location) {
+      await response.dispose();
+      return { hops, finalUrl: current, status, loop: false, error: null };
+    }
+    await response.dispose();
+
+    const next = resolveLocation(location, current);
+    if (!next) {
+      hops.push({ url: current, status, location, time: Date.now() - startTime });
+      return { hops, finalUrl: current, status, loop: false, error: `Invalid redirect location: ${location}` };
+    }
+    hops.push({ url: current, status, location: next, time: Date.now() - startTime });
+
+    if (seen.has(next)) {
+      return { hops, finalUrl: next, status, loop: true, error: 'Redirect loop' };
+    }
+    if (hops.length >= maxHops) {
+      return { hops, finalUrl: next, status, loop: false, error: `More than ${maxHops} redirects` };
+    }
+    current = next;
+  }
+}
+
+// Redirect findings across the crawl. Every chain lists the pages linking to
+// the redirecting URL (linkedFrom), which are the ones to update; the
+// finding lists hold the URLs of the chains they apply to. Links are matched
+// to chains with the crawl's URL normalizer.
+export function analyzeRedirects(results, { maxHops, normalize = normalizeUrl }) {
+  const linkedFrom = new Map();
+  results.forEach(result => {
+    [...(result.links || []), ...(result.documentLinks || [])].forEach(link => {
+      const url = normalize(link);
+      if (!linkedFrom.has(url)) linkedFrom.set(url, new Set());
+      linkedFrom.get(url).add(result.url);
+    });
+  });
+
+  const chains = results
+    .filter(result => result.redirectChain && result.redirectChain.length > 0)
+    .map(result => ({
+      url: result.url,
+      finalUrl: result.finalUrl,
+      statusCode: result.statusCode,
+      hops: result.redirectChain,
+      loop: Boolean(result.redirectLoop),
+      linkedFrom: [...(linkedFrom.get(normalize(result.url)) || [])]
+    }));
+
+  const urlsWhere = test => chains.filter(test).map(chain => chain.url);
+  return {
+    maxHops,
+    chains,
+    longChains: urlsWhere(chain => chain.hops.length > maxHops),
+    loops: urlsWhere(chain => chain.loop),
+    temporary: urlsWhere(chain => chain.hops.some(hop => TEMPORARY_STATUSES.includes(hop.status))),
+    downgrades: urlsWhere(chain => chain.hops.some(hop => hop.location && isDowngrade(hop.url, hop.location))),
+    // Internal links that should point straight at the final URL
+    redirectingLinks: urlsWhere(chain => chain.linkedFrom.length > 0)
+  };
+}
+
+// Per-page redirect problems, used by collectPageIssues
+export function redirectProblems(hops, { loop = false, maxHops }) {
+  const problems = [];
+  if (loop) {
+    problems.push({ type: 'redirect-loop', severity: 'error', message: `Redirect loop: ${hops.map(hop => hop.url).join(' → ')}` });
+  }
+  if (hops.length > maxHops) {
+    problems.push({ type: 'redirect-chain', severity: 'warning', message: `Redirect chain of ${hops.length} hops (more than ${maxHops})` });
+  }
+  hops.filter(hop => TEMPORARY_STATUSES.includes(hop.status)).forEach(hop => {
+    problems.push({ type: 'temporary-redirect', severity: 'warning', message: `${hop.url} redirects with ${hop.status}; use 301 if the move is permanent` });
+  });
+  hops.filter(hop => hop.location && isDowngrade(hop.url, hop.location)).forEach(hop => {
+    problems.push({ type: 'https-downgrade', severity: 'error', message: `${hop.url} redirects from HTTPS to HTTP (${hop.location})` });
+  });
+  return problems;
+}
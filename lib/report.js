@@ -0,0 +1,1597 @@
+import fs from "fs";
+
+import { MISSING_TITLE, DEFAULT_SEO_THRESHOLDS } from "./seo-tags.js";
+import { collectPageIssues } from "./issues.js";
+import { createUrlNormalizer } from "./url.js";
+import { sharePreview } from "./social.js";
+import { PERFORMANCE_METRICS, METRIC_LABELS, formatMetric } from "./performance.js";
+
+// Summary statistics for a set of page results
+export function buildSummary(results, uniqueImagesChecked) {
+  const htmlPages = results.filter(r => !r.isDocument);
+  const documentPages = results.filter(r => r.isDocument);
+
+  return {
+    totalPages: results.length,
+    htmlPages: htmlPages.length,
+    documentPages: documentPages.length,
+    pagesWithCriticalErrors: results.filter(r =>
+      r.jsErrors.length > 0 || r.consoleErrors.length > 0
+    ).length,
+    brokenDocuments: documentPages.filter(r => r.documentStatus === 'broken').length,
+    pagesMissingTitles: htmlPages.filter(r => !r.title || r.title === MISSING_TITLE).length,
+    pagesMissingDescriptions: htmlPages.filter(r => !r.metaDescription).length,
+    pagesWithBrokenImages: results.filter(r => r.brokenImages.length > 0).length,
+    totalCriticalErrors: results.reduce((sum, r) => sum + r.jsErrors.length + r.consoleErrors.length, 0),
+    totalBenignErrors: results.reduce((sum, r) => sum + r.benignErrors.length, 0),
+    totalBrokenImages: results.reduce((sum, r) => sum + r.brokenImages.length, 0),
+    images: {
+      total: htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.total || 0), 0),
+      working: htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.working || 0), 0),
+      broken: htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.broken || 0), 0),
+      withAlt: htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.withAlt || 0), 0),
+      withoutAlt: htmlPages.reduce((sum, r) => sum + (r.imagesAnalysis?.withoutAlt || 0), 0),
+      uniqueImagesChecked
+    }
+  };
+}
+
+// The report object written to report.json
+export function buildReport(results, { uniqueImagesChecked = 0, partial = false, urlNormalization = null, skipped = [], urlVariants = [], seoTags = null, content = null, structuredData = null, social = null, accessibility = null, performance = null, visual = null, indexability = null, linkContext = null, linkGraph = null, redirects = null, externalLinks = null, robots = null, sitemap = null } = {}) {
+  const report = {
+    summary: {
+      ...buildSummary(results, uniqueImagesChecked),
+      skippedUrls: skipped.length,
+      pagesWithUrlVariants: urlVariants.length,
+      redirectingUrls: redirects ? redirects.chains.length : 0,
+      redirectLoops: redirects ? redirects.loops.length : 0,
+      brokenExternalLinks: externalLinks ? externalLinks.broken.length : 0,
+      duplicateTitles: seoTags ? seoTags.duplicates.title.length : 0,
+      duplicateDescriptions: seoTags ? seoTags.duplicates.description.length : 0,
+      pagesWithHeadingProblems: content ? new Set(content.headingProblems.map(p => p.url)).size : 0,
+      thinContentPages: content ? content.thinPages.length : 0,
+      nearDuplicateGroups: content ? content.nearDuplicates.length : 0,
+      pagesWithOpenGraph: social ? social.pagesWithOpenGraph : 0,
+      brokenShareImages: social ? (social.problems['broken-og-image'] || []).length : 0,
+      pagesOverPerformanceBudget: performance ? new Set(performance.overBudget.map(p => p.url)).size : 0,
+      visualChanges: visual ? visual.changed.length : 0,
+      accessibilityScore: accessibility ? accessibility.score : null,
+      accessibilityRulesViolated: accessibility ? accessibility.rules.length : 0,
+      pagesWithStructuredData: structuredData ? structuredData.pagesWithStructuredData : 0,
+      structuredDataErrors: structuredData ? structuredData.parseErrors.length + structuredData.problems.filter(p => p.severity === 'error').length : 0,
+      nonIndexablePages: indexability ? indexability.nonIndexable.length : 0,
+      orphanPages: linkGraph ? linkGraph.orphans.length : 0,
+      deadEndPages: linkGraph ? linkGraph.deadEnds.length : 0,
+      poorAnchorTexts: linkContext ? linkContext.emptyAnchors.length + linkContext.genericAnchors.length : 0
+    },
+    pages: results,
+    skipped,
+    urlVariants
+  };
+  // The policy pages were matched by, so a saved report can be read the same way
+  if (urlNormalization) {
+    report.urlNormalization = urlNormalization;
+  }
+  if (seoTags) {
+    report.seoTags = seoTags;
+  }
+  if (content) {
+    report.content = content;
+  }
+  if (social) {
+    report.social = social;
+  }
+  if (performance) {
+    report.performance = performance;
+  }
+  if (visual) {
+    report.visual = visual;
+  }
+  if (accessibility) {
+    report.accessibility = accessibility;
+  }
+  if (structuredData) {
+    report.structuredData = structuredData;
+  }
+  if (indexability) {
+    report.indexability = indexability;
+  }
+  if (linkGraph) {
+    report.linkGraph = linkGraph;
+  }
+  if (linkContext) {
+    report.linkContext = linkContext;
+  }
+  if (redirects) {
+    report.redirects = redirects;
+  }
+  if (externalLinks) {
+    report.externalLinks = externalLinks;
+  }
+  if (robots) {
+    report.robots = robots;
+  }
+  if (sitemap) {
+    report.sitemap = sitemap;
+  }
+  if (partial) {
+    report.partial = true;
+  }
+  return report;
+}
+
+// Text from crawled pages, safe to put in HTML text and attribute values
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Viewport label for a device name, e.g. "1280×720"
+function deviceViewportLabel(name, deviceConfigs) {
+  const device = deviceConfigs.find(d => d.name === name);
+  return device ? `${device.viewport.width}×${device.viewport.height}` : '';
+}
+
+function renderRobotsSection(robots) {
+  const modeLabel = robots.mode === 'audit' ? 'audit only, rules not enforced' : 'rules enforced';
+  return `
+    <div class="page-section">
+      <h2>🤖 robots.txt</h2>
+      <p><strong>File:</strong> ${escapeHtml(robots.url)} ${robots.found ? '<span class="ok">found</span>' : `<span class="missing">not found (status ${robots.status})</span>`}</p>
+      <p><strong>Mode:</strong> ${robots.mode} (${modeLabel})</p>
+      ${robots.crawlDelay !== null ? `<p><strong>Crawl-delay:</strong> ${robots.crawlDelay}s</p>` : ''}
+      ${robots.sitemaps.length > 0 ? `
+        <h3>Sitemaps Declared (${robots.sitemaps.length})</h3>
+        <ul>${robots.sitemaps.map((s) => `<li class="info">${escapeHtml(s)}</li>`).join("")}</ul>
+      ` : ''}
+      <h3>Disallowed URLs Linked Internally (${robots.blocked.length})</h3>
+      ${
+        robots.blocked.length
+          ? `<ul>${robots.blocked.map((b) => `
+              <li class="warn">${escapeHtml(b.url)} <em>(${escapeHtml(b.rule)})</em>
+                ${b.linkedFrom.length ? `<br>Linked from: ${escapeHtml(b.linkedFrom.join(', '))}` : '<br>Root URL'}
+              </li>`).join("")}</ul>`
+          : '<p class="ok">No internal links point at disallowed URLs ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderUrlList(urls, className = 'info') {
+  return `<ul>${urls.map((u) => `<li class="${className}">${escapeHtml(u)}</li>`).join("")}</ul>`;
+}
+
+function renderSitemapSection(sitemap) {
+  return `
+    <div class="page-section">
+      <h2>🗺️ Sitemap vs. Crawl</h2>
+      <p><strong>URLs in sitemaps:</strong> ${sitemap.totalUrls}</p>
+      <h3>Sitemap Files (${sitemap.sitemaps.length})</h3>
+      <ul>${sitemap.sitemaps.map((s) => `
+        <li class="${s.type ? 'info' : 'warn'}">${escapeHtml(s.url)} —
+          ${s.type ? `${s.type === 'index' ? 'sitemap index' : 'sitemap'}, ${s.urlCount} entries` : s.error ? `error: ${escapeHtml(s.error)}` : `status ${s.status}`}
+        </li>`).join("")}</ul>
+
+      <h3>Orphan Pages: in Sitemap but Never Linked (${sitemap.orphans.length})</h3>
+      ${sitemap.orphans.length ? renderUrlList(sitemap.orphans, 'warn') : '<p class="ok">Every sitemap URL is linked from the site ✔</p>'}
+
+      <h3>Crawled Pages Missing from Sitemap (${sitemap.notInSitemap.length})</h3>
+      ${sitemap.notInSitemap.length ? renderUrlList(sitemap.notInSitemap, 'warn') : '<p class="ok">Every crawled page is in the sitemap ✔</p>'}
+
+      <h3>Sitemap Entries Returning Errors (${sitemap.errors.length})</h3>
+      ${
+        sitemap.errors.length
+          ? `<ul>${sitemap.errors.map((e) => `<li class="error">${escapeHtml(e.url)} — status ${e.statusCode}</li>`).join("")}</ul>`
+          : '<p class="ok">No sitemap entries return errors ✔</p>'
+      }
+
+      <h3>Sitemap Entries That Redirect (${sitemap.redirects.length})</h3>
+      ${
+        sitemap.redirects.length
+          ? `<ul>${sitemap.redirects.map((r) => `<li class="warn">${escapeHtml(r.url)} → ${escapeHtml(r.finalUrl)}</li>`).join("")}</ul>`
+          : '<p class="ok">No sitemap entries redirect ✔</p>'
+      }
+
+      ${sitemap.notCrawled.length ? `
+        <h3>Sitemap Entries Not Audited (${sitemap.notCrawled.length})</h3>
+        <p>Skipped by the crawl rules; see Skipped URLs for the reason.</p>
+        ${renderUrlList(sitemap.notCrawled)}
+      ` : ''}
+
+      ${sitemap.outsideRoot.length ? `
+        <h3>Sitemap Entries Outside the Root URL (${sitemap.outsideRoot.length})</h3>
+        ${renderUrlList(sitemap.outsideRoot, 'warn')}
+      ` : ''}
+    </div>
+  `;
+}
+
+// URLs the crawl rules kept out of the crawl, grouped by reason
+function renderSkippedSection(skipped) {
+  const byReason = new Map();
+  skipped.forEach((s) => {
+    if (!byReason.has(s.reason)) byReason.set(s.reason, []);
+    byReason.get(s.reason).push(s);
+  });
+
+  return `
+    <div class="page-section">
+      <h2>⏭️ Skipped URLs (${skipped.length})</h2>
+      ${[...byReason].map(([reason, urls]) => `
+        <h3>${escapeHtml(reason)} (${urls.length})</h3>
+        <ul>${urls.map((s) => `<li class="info">${escapeHtml(s.url)}${s.foundOn ? ` <em>(found on ${escapeHtml(s.foundOn)})</em>` : ''}</li>`).join("")}</ul>
+      `).join("")}
+    </div>
+  `;
+}
+
+function renderRedirectChain(chain) {
+  const hops = chain.hops.map((hop) => `${escapeHtml(hop.url)} <em>(${hop.status}${hop.time !== null ? `, ${hop.time}ms` : ''})</em>`);
+  return `${hops.join(' → ')} → ${chain.loop ? '<span class="missing">loop</span>' : `${escapeHtml(chain.finalUrl)} <em>(${chain.statusCode})</em>`}`;
+}
+
+function renderRedirectList(title, urls, redirects, emptyText, className = 'warn') {
+  const chains = urls.map((url) => redirects.chains.find((c) => c.url === url));
+  return `
+    <h3>${title} (${chains.length})</h3>
+    ${
+      chains.length
+        ? `<ul>${chains.map((c) => `
+            <li class="${className}">${renderRedirectChain(c)}
+              ${c.linkedFrom.length ? `<br>Update links on: ${escapeHtml(c.linkedFrom.join(', '))}` : '<br>Not linked internally'}
+            </li>`).join("")}</ul>`
+        : `<p class="ok">${emptyText} ✔</p>`
+    }
+  `;
+}
+
+function renderRedirectsSection(redirects) {
+  return `
+    <div class="page-section">
+      <h2>↪️ Redirects</h2>
+      <p><strong>Redirecting URLs:</strong> ${redirects.chains.length}</p>
+      ${renderRedirectList('Redirect Loops', redirects.loops, redirects, 'No redirect loops', 'error')}
+      ${renderRedirectList(`Chains Longer Than ${redirects.maxHops} Hop${redirects.maxHops === 1 ? '' : 's'}`, redirects.longChains, redirects, 'No long redirect chains')}
+      ${renderRedirectList('HTTPS → HTTP Downgrades', redirects.downgrades, redirects, 'No redirects to HTTP', 'error')}
+      ${renderRedirectList('Temporary Redirects (302/307) That May Need to Be 301', redirects.temporary, redirects, 'No temporary redirects')}
+      ${renderRedirectList('Internal Links to Redirecting URLs', redirects.redirectingLinks, redirects, 'No internal links point at redirects')}
+    </div>
+  `;
+}
+
+function renderLinkSources(sources) {
+  return `<br>Linked from: ${sources.map((s) => `${escapeHtml(s.page)} <em>("${escapeHtml(s.text || 'no anchor text')}")</em>`).join(', ')}`;
+}
+
+function renderExternalLinksSection(externalLinks) {
+  return `
+    <div class="page-section">
+      <h2>🌍 External Links</h2>
+      <p><strong>External URLs checked:</strong> ${externalLinks.checked} of ${externalLinks.found}</p>
+
+      <h3>Broken External Links (${externalLinks.broken.length})</h3>
+      ${
+        externalLinks.broken.length
+          ? `<ul>${externalLinks.broken.map((l) => `
+              <li class="error">${escapeHtml(l.url)} — ${l.error ? `${l.errorType} error: ${escapeHtml(l.error)}` : `status ${l.status}`}
+                ${renderLinkSources(l.sources)}
+              </li>`).join("")}</ul>`
+          : '<p class="ok">No broken external links ✔</p>'
+      }
+
+      <h3>Redirected External Links (${externalLinks.redirected.length})</h3>
+      ${
+        externalLinks.redirected.length
+          ? `<ul>${externalLinks.redirected.map((l) => `
+              <li class="warn">${escapeHtml(l.url)} → ${escapeHtml(l.finalUrl)} <em>(${l.hops.map((h) => h.status).join(' → ')})</em>
+                ${renderLinkSources(l.sources)}
+              </li>`).join("")}</ul>`
+          : '<p class="ok">No external links redirect ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderDuplicateGroups(title, groups, emptyText) {
+  return `
+    <h3>${title} (${groups.length})</h3>
+    ${
+      groups.length
+        ? groups.map((g) => `
+            <p class="warn"><strong>"${escapeHtml(g.value)}"</strong> — ${g.urls.length} pages</p>
+            ${renderUrlList(g.urls)}`).join("")
+        : `<p class="ok">${emptyText} ✔</p>`
+    }
+  `;
+}
+
+function renderSeoTagsSection(seoTags) {
+  const { thresholds, duplicates } = seoTags;
+  const renderProblems = (problems) => problems.length
+    ? `<ul>${problems.map((p) => `<li class="warn">${escapeHtml(p.url)} — ${escapeHtml(p.message)}</li>`).join("")}</ul>`
+    : '<p class="ok">None ✔</p>';
+
+  return `
+    <div class="page-section">
+      <h2>📝 Titles, Descriptions and H1s</h2>
+      ${renderDuplicateGroups('Duplicate Titles', duplicates.title, 'Every title is unique')}
+      ${renderDuplicateGroups('Duplicate Meta Descriptions', duplicates.description, 'Every meta description is unique')}
+      ${renderDuplicateGroups('Duplicate H1s', duplicates.h1, 'Every H1 is unique')}
+      ${renderDuplicateGroups('Pages Sharing a Canonical URL', duplicates.canonical, 'No pages share a canonical URL')}
+
+      <h3>Title Length (${thresholds.titleMinLength}–${thresholds.titleMaxLength} characters, up to ${thresholds.titleMaxPixels}px) (${seoTags.titleProblems.length})</h3>
+      ${renderProblems(seoTags.titleProblems)}
+
+      <h3>Meta Description Length (${thresholds.descriptionMinLength}–${thresholds.descriptionMaxLength} characters, up to ${thresholds.descriptionMaxPixels}px) (${seoTags.descriptionProblems.length})</h3>
+      ${renderProblems(seoTags.descriptionProblems)}
+    </div>
+  `;
+}
+
+function renderContentSection(content) {
+  const { thresholds } = content;
+  return `
+    <div class="page-section">
+      <h2>📰 Headings and Content</h2>
+      <h3>Heading Problems (${content.headingProblems.length})</h3>
+      ${
+        content.headingProblems.length
+          ? `<ul>${content.headingProblems.map((p) => `<li class="warn">${escapeHtml(p.url)} — ${escapeHtml(p.message)}</li>`).join("")}</ul>`
+          : '<p class="ok">Every page has one H1 and no skipped heading levels ✔</p>'
+      }
+
+      <h3>Thin Content (fewer than ${thresholds.minWords} words) (${content.thinPages.length})</h3>
+      ${
+        content.thinPages.length
+          ? `<ul>${content.thinPages.map((p) => `<li class="warn">${escapeHtml(p.url)} <em>(${p.wordCount} words)</em></li>`).join("")}</ul>`
+          : '<p class="ok">No thin pages ✔</p>'
+      }
+
+      <h3>Near-Duplicate Content (${content.nearDuplicates.length})</h3>
+      ${
+        content.nearDuplicates.length
+          ? content.nearDuplicates.map((g) => `
+              <p class="warn"><strong>${g.urls.length} pages</strong> — at least ${g.similarity}% similar</p>
+              ${renderUrlList(g.urls)}`).join("")
+          : '<p class="ok">No near-duplicate pages ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderStructuredDataSection(structuredData) {
+  const typeNames = structuredData.types.map((t) => t.type);
+  const errors = structuredData.problems.filter((p) => p.severity === 'error');
+  const warnings = structuredData.problems.filter((p) => p.severity === 'warning');
+  const renderProblems = (problems, className) => `<ul>${problems.map((p) => `<li class="${className}">${escapeHtml(p.url)} — ${escapeHtml(p.format)}: ${escapeHtml(p.message)}</li>`).join("")}</ul>`;
+
+  return `
+    <div class="page-section">
+      <h2>🧩 Structured Data</h2>
+      <p><strong>Pages with structured data:</strong> ${structuredData.pagesWithStructuredData}</p>
+      ${
+        structuredData.types.length
+          ? `
+            <h3>Types Found (${structuredData.types.length})</h3>
+            <ul>${structuredData.types.map((t) => `
+              <li class="${t.invalid ? 'warn' : 'info'}"><strong>${escapeHtml(t.type)}</strong> — ${t.pages} pages, ${t.items} items <em>(${escapeHtml(t.formats.join(', '))})</em>${t.invalid ? `, ${t.invalid} invalid` : ''}</li>`).join("")}</ul>
+
+            <h3>Types by Template</h3>
+            <table class="data-table">
+              <tr><th>Template</th><th>Pages</th>${typeNames.map((type) => `<th>${escapeHtml(type)}</th>`).join("")}</tr>
+              ${structuredData.templates.map((t) => `
+                <tr><td>${escapeHtml(t.template)}</td><td>${t.pages}</td>${typeNames.map((type) => `<td>${t.types[type] || ''}</td>`).join("")}</tr>`).join("")}
+            </table>`
+          : '<p class="info">No structured data found</p>'
+      }
+
+      <h3>JSON-LD Parse Errors (${structuredData.parseErrors.length})</h3>
+      ${
+        structuredData.parseErrors.length
+          ? `<ul>${structuredData.parseErrors.map((e) => `<li class="error">${escapeHtml(e.url)} — ${escapeHtml(e.message)}</li>`).join("")}</ul>`
+          : '<p class="ok">No parse errors ✔</p>'
+      }
+
+      <h3>Missing Required Properties (${errors.length})</h3>
+      ${errors.length ? renderProblems(errors, 'error') : '<p class="ok">None ✔</p>'}
+
+      <h3>Missing Recommended Properties (${warnings.length})</h3>
+      ${warnings.length ? renderProblems(warnings, 'warn') : '<p class="ok">None ✔</p>'}
+    </div>
+  `;
+}
+
+function scoreColor(score) {
+  return score >= 90 ? '#388e3c' : score >= 50 ? '#f57c00' : '#d32f2f';
+}
+
+function renderMetricCell(metric, value, budgets) {
+  const over = budgets[metric] !== null && value !== null && value !== undefined && value > budgets[metric];
+  return `<td class="${over ? 'error' : ''}">${formatMetric(metric, value)}</td>`;
+}
+
+function renderPerformanceSection(performance) {
+  const { budgets } = performance;
+  return `
+    <div class="page-section">
+      <h2>⚡ Performance</h2>
+      <p><strong>Pages measured:</strong> ${performance.pagesMeasured}</p>
+      <h3>Median Metrics by Device</h3>
+      <table class="data-table">
+        <tr><th>Device</th>${PERFORMANCE_METRICS.map((m) => `<th>${METRIC_LABELS[m]}</th>`).join("")}</tr>
+        ${Object.entries(performance.medians).map(([device, medians]) => `
+          <tr><td>${device}</td>${PERFORMANCE_METRICS.map((m) => renderMetricCell(m, medians[m], budgets)).join("")}</tr>`).join("")}
+        <tr><td><em>Budget</em></td>${PERFORMANCE_METRICS.map((m) => `<td><em>${budgets[m] === null ? '—' : formatMetric(m, budgets[m])}</em></td>`).join("")}</tr>
+      </table>
+
+      <h3>Over Budget (${performance.overBudget.length})</h3>
+      ${
+        performance.overBudget.length
+          ? `<ul>${performance.overBudget.map((p) => `<li class="warn">${escapeHtml(p.url)} — ${METRIC_LABELS[p.metric]} on ${escapeHtml(p.device)}: ${formatMetric(p.metric, p.value)} <em>(budget ${formatMetric(p.metric, p.budget)})</em></li>`).join("")}</ul>`
+          : '<p class="ok">Every page is within budget ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderPagePerformance(pagePerformance, budgets) {
+  const devices = Object.entries(pagePerformance);
+  const types = [...new Set(devices.flatMap(([, metrics]) => Object.keys(metrics.byType || {})))].sort();
+  return `
+    <h3>Performance</h3>
+    <table class="data-table">
+      <tr><th>Device</th>${PERFORMANCE_METRICS.map((m) => `<th>${METRIC_LABELS[m]}</th>`).join("")}<th>LCP Element</th></tr>
+      ${devices.map(([device, metrics]) => `
+        <tr><td>${device}</td>${PERFORMANCE_METRICS.map((m) => renderMetricCell(m, metrics[m], budgets)).join("")}<td><code>${escapeHtml(metrics.lcpElement || 'n/a')}</code></td></tr>`).join("")}
+    </table>
+    <details>
+      <summary>Requests by resource type</summary>
+      <table class="data-table">
+        <tr><th>Type</th>${devices.map(([device]) => `<th>${device}</th>`).join("")}</tr>
+        ${types.map((type) => `
+          <tr><td>${type}</td>${devices.map(([, metrics]) => {
+            const entry = metrics.byType?.[type];
+            return `<td>${entry ? `${entry.requests} (${formatMetric('transferSize', entry.transferSize)})` : '—'}</td>`;
+          }).join("")}</tr>`).join("")}
+      </table>
+    </details>
+  `;
+}
+
+function renderVisualSection(visual) {
+  const image = (label, src) => `
+    <div class="screenshot-item">
+      <div class="screenshot-label">${label}</div>
+      <a href="${escapeHtml(src)}" target="_blank"><img src="${escapeHtml(src)}" alt="${label}" loading="lazy"></a>
+    </div>`;
+  return `
+    <div class="page-section">
+      <h2>👁️ Visual Changes</h2>
+      <p><strong>Screenshots compared:</strong> ${visual.screenshotsCompared} &nbsp; <strong>Unchanged:</strong> ${visual.unchanged}
+        &nbsp; <strong>Tolerance:</strong> ${visual.tolerance}% of pixels</p>
+      ${
+        visual.changed.length
+          ? visual.changed.map((c) => `
+            <h3 class="warn">${escapeHtml(c.url)} — ${escapeHtml(c.device)}: ${c.mismatch}% different${c.sizeChanged ? ' (page size changed)' : ''}</h3>
+            <div class="screenshot-gallery">
+              ${image('Baseline', c.baseline)}
+              ${image('Current', c.screenshot)}
+              ${image('Diff', c.diff)}
+            </div>`).join("")
+          : '<p class="ok">No screenshot differs from its baseline ✔</p>'
+      }
+      ${visual.withoutBaseline.length ? `
+        <h3>Without a Baseline (${visual.withoutBaseline.length})</h3>
+        <p class="info">Run <code>crawler accept-baseline</code> to approve the current screenshots.</p>
+        <ul>${visual.withoutBaseline.map((s) => `<li class="info">${escapeHtml(s.url)} — ${escapeHtml(s.device)}</li>`).join("")}</ul>` : ''}
+      ${visual.errors.length ? `
+        <h3>Not Compared (${visual.errors.length})</h3>
+        <ul>${visual.errors.map((e) => `<li class="error">${escapeHtml(e.url)} — ${escapeHtml(e.device)}: ${escapeHtml(e.error)}</li>`).join("")}</ul>` : ''}
+    </div>
+  `;
+}
+
+function renderAccessibilitySection(accessibility) {
+  return `
+    <div class="page-section">
+      <h2>♿ Accessibility (WCAG 2.1 ${accessibility.level})</h2>
+      <p><strong>Score:</strong> <span class="score" style="color: ${scoreColor(accessibility.score ?? 0)}">${accessibility.score ?? 'n/a'}</span>
+        &nbsp; <strong>Pages audited:</strong> ${accessibility.pagesAudited}</p>
+      <p>${Object.entries(accessibility.byImpact).map(([impact, count]) => `<span class="impact impact-${impact}">${impact}</span> ${count} rules`).join(' &nbsp; ')}</p>
+      ${accessibility.disabledRules.length ? `<p class="info">Disabled rules: ${escapeHtml(accessibility.disabledRules.join(', '))}</p>` : ''}
+      ${
+        accessibility.rules.length
+          ? accessibility.rules.map((rule) => `
+              <h3><span class="impact impact-${rule.impact}">${rule.impact}</span> ${escapeHtml(rule.help)} <em>(${escapeHtml(rule.id)})</em></h3>
+              <p>${rule.nodeCount} elements on ${rule.pages.length} pages — <a href="${escapeHtml(rule.helpUrl)}" target="_blank" rel="noopener">how to fix</a></p>
+              <details>
+                <summary>Pages</summary>
+                <ul>${rule.pages.map((p) => `<li class="warn">${escapeHtml(p.url)} <em>(${p.nodeCount} elements)</em><br><code>${p.selectors.map(escapeHtml).join('</code>, <code>')}</code></li>`).join("")}</ul>
+              </details>`).join("")
+          : '<p class="ok">No WCAG violations found ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderPageAccessibility(accessibility) {
+  return `
+    <h3>Accessibility <span class="score" style="color: ${scoreColor(accessibility.score)}">${accessibility.score}</span></h3>
+    ${
+      accessibility.violations.length
+        ? `<ul>${accessibility.violations.map((v) => `
+            <li><span class="impact impact-${v.impact}">${v.impact}</span> ${escapeHtml(v.help)} <em>(${v.id}, ${v.nodeCount} elements)</em>
+              <ul>${v.nodes.map((n) => `<li><code>${escapeHtml(n.selector)}</code><br><code>${escapeHtml(n.html)}</code></li>`).join("")}</ul>
+            </li>`).join("")}</ul>`
+        : '<p class="ok">No WCAG violations found ✔</p>'
+    }
+  `;
+}
+
+const SOCIAL_PROBLEM_TITLES = {
+  'missing-og-tags': 'Missing Open Graph Tags',
+  'broken-og-image': 'Broken og:image',
+  'small-og-image': 'Small og:image',
+  'og-image-aspect-ratio': 'og:image Aspect Ratio',
+  'og-url-mismatch': 'og:url Not Matching the Canonical URL',
+  'missing-twitter-card': 'Missing twitter:card',
+  'invalid-twitter-card': 'Invalid twitter:card'
+};
+
+function renderSocialSection(social) {
+  const entries = Object.entries(social.problems);
+  return `
+    <div class="page-section">
+      <h2>📣 Social Sharing</h2>
+      <p><strong>Pages with complete Open Graph tags:</strong> ${social.pagesWithOpenGraph} of ${social.pagesChecked}</p>
+      <p><strong>og:image:</strong> at least ${social.rules.minImageWidth}×${social.rules.minImageHeight}, aspect ratio ${social.rules.aspectRatio}:1</p>
+      ${
+        entries.length
+          ? entries.map(([type, problems]) => `
+              <h3>${SOCIAL_PROBLEM_TITLES[type] || type} (${problems.length})</h3>
+              <ul>${problems.map((p) => `<li class="${p.severity === 'error' ? 'error' : 'warn'}">${escapeHtml(p.url)} — ${escapeHtml(p.message)}</li>`).join("")}</ul>`).join("")
+          : '<p class="ok">Open Graph and Twitter card tags are complete ✔</p>'
+      }
+    </div>
+  `;
+}
+
+// Mock of the card social networks show when the page is shared
+function renderShareCard(r) {
+  const preview = sharePreview(r);
+  const large = preview.card !== 'summary';
+  // Only http(s) images, with the characters that could end the CSS url()
+  // percent-encoded
+  const image = preview.image && /^https?:\/\//i.test(preview.image)
+    ? preview.image.replace(/['"()\\\s]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+    : null;
+  return `
+    <div class="share-card ${large ? 'share-card-large' : 'share-card-summary'}">
+      ${image
+        ? `<div class="share-card-image" style="background-image: url('${escapeHtml(image)}')"></div>`
+        : '<div class="share-card-image share-card-no-image">No image</div>'}
+      <div class="share-card-text">
+        <div class="share-card-site">${escapeHtml(preview.siteName)}</div>
+        <div class="share-card-title">${escapeHtml(preview.title) || '<em class="missing">No title</em>'}</div>
+        <div class="share-card-description">${escapeHtml(preview.description)}</div>
+      </div>
+    </div>
+    <p class="info">twitter:card: ${escapeHtml(r.metaTags?.['twitter:card'] || 'not set')}${r.social?.image && r.social.image.width ? ` &nbsp; og:image: ${r.social.image.width}×${r.social.image.height}` : ''}</p>
+  `;
+}
+
+function renderHeadingOutline(headings) {
+  if (!headings.length) return '<p class="missing">No headings found</p>';
+  return `
+    <ul class="heading-outline">
+      ${headings.map((h) => `<li style="margin-left: ${(h.level - 1) * 20}px"><span class="heading-level">H${h.level}</span> ${escapeHtml(h.text) || '<em class="missing">empty</em>'}</li>`).join("")}
+    </ul>
+  `;
+}
+
+function renderIndexabilitySection(indexability) {
+  const byReason = new Map();
+  indexability.nonIndexable.forEach((p) => {
+    if (!byReason.has(p.reason)) byReason.set(p.reason, []);
+    byReason.get(p.reason).push(p);
+  });
+
+  return `
+    <div class="page-section">
+      <h2>🔎 Indexability</h2>
+      <p><strong>Indexable pages:</strong> ${indexability.indexable} &nbsp; <strong>Not indexable:</strong> ${indexability.nonIndexable.length}</p>
+      ${[...byReason].map(([reason, pages]) => `
+        <h3>Not Indexable: ${escapeHtml(reason)} (${pages.length})</h3>
+        <ul>${pages.map((p) => `<li class="warn">${escapeHtml(p.url)} <em>(${escapeHtml(p.detail)})</em></li>`).join("")}</ul>
+      `).join("")}
+
+      <h3>Canonical Problems (${indexability.canonicalProblems.length})</h3>
+      ${
+        indexability.canonicalProblems.length
+          ? `<ul>${indexability.canonicalProblems.map((c) => `<li class="error">${escapeHtml(c.url)} → ${escapeHtml(c.canonical)} <em>(${escapeHtml(c.problem)})</em></li>`).join("")}</ul>`
+          : '<p class="ok">Every canonical points at an indexable page ✔</p>'
+      }
+
+      <h3>hreflang Problems (${indexability.hreflangProblems.length})</h3>
+      ${
+        indexability.hreflangProblems.length
+          ? `<ul>${indexability.hreflangProblems.map((h) => `<li class="error">${escapeHtml(h.url)} → ${escapeHtml(h.alternate)} <em>(${escapeHtml(h.lang)}: ${escapeHtml(h.problem)})</em></li>`).join("")}</ul>`
+          : '<p class="ok">Every hreflang alternate links back ✔</p>'
+      }
+    </div>
+  `;
+}
+
+function renderLinkGraphSection(linkGraph) {
+  return `
+    <div class="page-section">
+      <h2>🕸️ Internal Link Graph</h2>
+      <p><strong>Pages:</strong> ${linkGraph.pages} &nbsp; <strong>Linked page pairs:</strong> ${linkGraph.links}</p>
+      ${linkGraph.exported ? `<p>Download: <a href="link-graph.graphml">GraphML</a>, <a href="link-graph.gexf">GEXF</a>,
+        <a href="link-edges.csv">CSV edges</a>, <a href="link-nodes.csv">CSV nodes</a></p>` : ''}
+
+      <h3>Top Pages by Internal PageRank</h3>
+      <ul>${linkGraph.topPages.map((p) => `<li class="info">${escapeHtml(p.url)} <em>(${p.pageRank.toFixed(4)}, ${p.inlinks} inlinks)</em></li>`).join("")}</ul>
+
+      <h3>Orphan Pages: No Internal Links Point Here (${linkGraph.orphans.length})</h3>
+      ${linkGraph.orphans.length ? renderUrlList(linkGraph.orphans, 'warn') : '<p class="ok">Every crawled page is linked from another page ✔</p>'}
+
+      <h3>Dead Ends: No Internal Links Out (${linkGraph.deadEnds.length})</h3>
+      ${linkGraph.deadEnds.length ? renderUrlList(linkGraph.deadEnds, 'warn') : '<p class="ok">Every page links on to other pages ✔</p>'}
+
+      <h3>Pages Deeper Than ${linkGraph.deepPageDepth} Clicks (${linkGraph.deepPages.length})</h3>
+      ${
+        linkGraph.deepPages.length
+          ? `<ul>${linkGraph.deepPages.map((p) => `<li class="warn">${escapeHtml(p.url)} <em>(${p.depth} clicks)</em></li>`).join("")}</ul>`
+          : `<p class="ok">Every page is within ${linkGraph.deepPageDepth} clicks of the root ✔</p>`
+      }
+    </div>
+  `;
+}
+
+function renderLinkFindings(title, findings, emptyText) {
+  return `
+    <h3>${title} (${findings.length})</h3>
+    ${
+      findings.length
+        ? `<ul>${findings.map((f) => `
+            <li class="warn">${escapeHtml(f.page)} → ${escapeHtml(f.url)}${f.text ? ` <em>("${escapeHtml(f.text)}")</em>` : ''}<br><code>${escapeHtml(f.selector)}</code></li>`).join("")}</ul>`
+        : `<p class="ok">${emptyText} ✔</p>`
+    }
+  `;
+}
+
+function renderLinkContextSection(linkContext) {
+  return `
+    <div class="page-section">
+      <h2>🏷️ Link Context</h2>
+      ${renderLinkFindings('Links Without Anchor Text', linkContext.emptyAnchors, 'Every link has anchor text')}
+      ${renderLinkFindings('Generic Anchor Text ("click here", "read more", ...)', linkContext.genericAnchors, 'No generic anchor text')}
+      ${renderLinkFindings('target="_blank" Without rel="noopener"', linkContext.unsafeTargetBlank, 'Every target="_blank" link has noopener')}
+      ${renderLinkFindings('Internal Links Marked nofollow', linkContext.nofollowInternal, 'No internal nofollow links')}
+    </div>
+  `;
+}
+
+function renderUrlVariantsSection(urlVariants) {
+  return `
+    <div class="page-section">
+      <h2>🔀 Duplicate Content Risks: Pages Linked Under Several URLs (${urlVariants.length})</h2>
+      <p>Each page below was reached through more than one URL. Link to one form consistently, or point the others at it with a redirect or canonical.</p>
+      ${urlVariants.map((v) => `
+        <h3>${escapeHtml(v.url)} (${v.variants.length} URLs)</h3>
+        <ul>${v.variants.map((variant) => `<li class="warn">${escapeHtml(variant.url)}${variant.foundOn ? ` <em>(linked from ${escapeHtml(variant.foundOn)})</em>` : ''}</li>`).join("")}</ul>
+      `).join("")}
+    </div>
+  `;
+}
+
+// Everything known about one crawled URL, shown when its row is expanded
+function renderPageDetails(r, report, deviceConfigs) {
+  if (r.isDocument) {
+    return `
+      <div class="page-section document-section">
+        <h2 class="document">📄 ${r.documentType} Document: ${escapeHtml(r.url)}</h2>
+        <p><strong>Status:</strong> 
+          <span class="document-status ${r.documentStatus === 'accessible' ? 'document-accessible' : 'document-broken'}">
+            ${r.documentStatus === 'accessible' ? '✅ ACCESSIBLE' : '❌ BROKEN'}
+          </span>
+        </p>
+        <p><strong>Load Time:</strong> <span class="load-time">${r.loadTime}ms</span></p>
+        <p><strong>Click Depth:</strong> ${r.depth ?? 'not linked from the root'}</p>
+        ${r.pageRank !== undefined ? `<p><strong>Internal Links:</strong> ${r.inlinkCount} in, ${r.outlinkCount} out &nbsp; <strong>PageRank:</strong> ${r.pageRank.toFixed(4)}</p>` : ''}
+        ${r.redirectChain && r.redirectChain.length ? `<p><strong>Redirects:</strong> ${renderRedirectChain({ hops: r.redirectChain, loop: r.redirectLoop, finalUrl: r.finalUrl, statusCode: r.statusCode })}</p>` : ''}
+        <p><strong>HTTP Status:</strong> ${r.statusCode}</p>
+        
+        ${r.jsErrors.length > 0 ? `
+          <h3>🚨 Document Issues</h3>
+          <ul>${r.jsErrors.map((e) => `<li class="error">${escapeHtml(e)}</li>`).join("")}</ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  const hasMetaDescription = r.metaDescription && r.metaDescription.trim().length > 0;
+  const descriptionLength = r.metaDescription ? r.metaDescription.length : 0;
+  const { descriptionMinLength, descriptionMaxLength } = report.seoTags?.thresholds || DEFAULT_SEO_THRESHOLDS;
+  const descriptionStatus = !hasMetaDescription ? 'missing' : 
+                          descriptionLength < descriptionMinLength ? 'too-short' : 
+                          descriptionLength > descriptionMaxLength ? 'too-long' : 'good';
+  
+  const imageAnalysis = r.imagesAnalysis || {};
+  
+  return `
+    <div class="page-section">
+      <h2>${escapeHtml(r.url)}</h2>
+      <p><strong>Title:</strong> ${escapeHtml(r.title)} ${!r.title || r.title === MISSING_TITLE ? '<span class="missing">(MISSING)</span>' : ''}</p>
+      ${r.indexability ? `<p><strong>Indexable:</strong> ${r.indexability.indexable ? '<span class="ok">yes</span>' : `<span class="missing">no</span> (${escapeHtml(r.indexability.detail)})`}</p>` : ''}
+      ${r.canonical ? `<p><strong>Canonical:</strong> ${escapeHtml(r.canonical)}</p>` : ''}
+      ${r.hreflang && r.hreflang.length ? `<p><strong>hreflang:</strong> ${r.hreflang.map((h) => `${escapeHtml(h.lang)} → ${escapeHtml(h.url)}`).join(', ')}</p>` : ''}
+      <p><strong>Load Time:</strong> <span class="load-time">${r.loadTime}ms</span></p>
+      <p><strong>Click Depth:</strong> ${r.depth ?? 'not linked from the root'}</p>
+      ${r.pageRank !== undefined ? `<p><strong>Internal Links:</strong> ${r.inlinkCount} in, ${r.outlinkCount} out &nbsp; <strong>PageRank:</strong> ${r.pageRank.toFixed(4)}</p>` : ''}
+      ${r.redirectChain && r.redirectChain.length ? `<p><strong>Redirects:</strong> ${renderRedirectChain({ hops: r.redirectChain, loop: r.redirectLoop, finalUrl: r.finalUrl, statusCode: r.statusCode })}</p>` : ''}
+
+      <h3>Screenshots</h3>
+      <div class="screenshot-gallery">
+        ${Object.entries(r.screenshots).map(([device, screenshot]) => 
+          screenshot ? `
+            <div class="screenshot-item">
+              <div class="screenshot-label">
+                ${device.charAt(0).toUpperCase() + device.slice(1)} 
+                <span class="device-badge ${device}-badge">
+                  ${deviceViewportLabel(device, deviceConfigs)}
+                </span>
+              </div>
+              <a href="screenshots/${escapeHtml(screenshot)}" target="_blank">
+                <img src="screenshots/${escapeHtml(screenshot)}" alt="${device} view of ${escapeHtml(r.url)}" loading="lazy">
+              </a>
+              <div>Click to view full size</div>
+              ${r.visual?.[device] ? `<div class="${r.visual[device].status === 'changed' ? 'warn' : 'info'}">Baseline: ${r.visual[device].status}${r.visual[device].mismatch !== null ? ` (${r.visual[device].mismatch}%)` : ''}</div>` : ''}
+            </div>
+          ` : ''
+        ).join('')}
+      </div>
+
+      <h3>Image Analysis (${imageAnalysis.total || 0} images)</h3>
+		  ${imageAnalysis.total > 0 ? `
+          <div class="image-stats">
+            <div class="image-stat-card">
+              <div class="stat-number" style="color: #388e3c">${imageAnalysis.working || 0}</div>
+              <div>Working</div>
+            </div>
+            <div class="image-stat-card">
+              <div class="stat-number" style="color: ${imageAnalysis.broken > 0 ? '#d32f2f' : '#388e3c'}">${imageAnalysis.broken || 0}</div>
+              <div>Broken</div>
+            </div>
+            <div class="image-stat-card">
+              <div class="stat-number" style="color: #388e3c">${imageAnalysis.withAlt || 0}</div>
+              <div>With Alt Text</div>
+            </div>
+            <div class="image-stat-card">
+              <div class="stat-number" style="color: ${imageAnalysis.withoutAlt > 0 ? '#f57c00' : '#388e3c'}">${imageAnalysis.withoutAlt || 0}</div>
+              <div>Without Alt Text</div>
+            </div>
+          </div>
+
+          ${imageAnalysis.details && imageAnalysis.details.length > 0 ? `
+            <h4>Image Details:</h4>
+            <div class="image-details">
+              ${imageAnalysis.details.map(img => `
+                <div class="image-item ${img.isWorking ? '' : 'broken'}">
+                  <div class="src">${escapeHtml(img.src)}</div>
+                  ${img.alt ? `<div class="alt">Alt: "${escapeHtml(img.alt)}"</div>` : '<div class="alt missing">No alt text</div>'}
+                  <div class="dimensions">Dimensions: ${img.naturalWidth}×${img.naturalHeight} | Status: ${img.isWorking ? '✅ Working' : '❌ Broken'}</div>
+                  ${img.cachedCheck ? `<div class="cache-info">✓ Previously checked</div>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+        ` : '<p class="ok">No images found on this page ✔</p>'}
+
+        <h3>Heading Outline</h3>
+        ${renderHeadingOutline(r.headings || [])}
+        ${r.content ? `<p><strong>Content:</strong> ${r.content.wordCount} words ${r.content.wordCount < (report.content?.thresholds.minWords ?? 0) ? '<span class="warn">(thin)</span>' : ''} &nbsp; <strong>Text-to-HTML ratio:</strong> ${r.content.textRatio}%</p>` : ''}
+
+        ${r.structuredData ? `
+        <h3>Structured Data (${r.structuredData.items.length} items)</h3>
+        ${r.structuredData.items.length || r.structuredData.parseErrors.length ? `
+          <ul>
+            ${r.structuredData.parseErrors.map((e) => `<li class="error">${escapeHtml(e.message)}</li>`).join("")}
+            ${r.structuredData.items.map((item) => `
+              <li class="${item.problems.some((p) => p.severity === 'error') ? 'error' : item.problems.length ? 'warn' : 'ok'}">${escapeHtml(item.types.join(', ')) || 'Untyped item'} <em>(${item.format})</em>
+                ${item.problems.length ? `<ul>${item.problems.map((p) => `<li class="${p.severity === 'error' ? 'error' : 'warn'}">${escapeHtml(p.message)}</li>`).join("")}</ul>` : ''}
+              </li>`).join("")}
+          </ul>
+        ` : '<p class="info">No structured data on this page</p>'}
+        ` : ''}
+
+        <h3>Meta Description</h3>
+        <div class="meta-tags">
+          <div class="meta-tag">
+            <div class="meta-tag-name">Status:</div>
+            <div class="meta-tag-value">
+              ${
+                !hasMetaDescription 
+                  ? '<span class="missing">❌ MISSING - Meta description is required for SEO</span>'
+                  : descriptionStatus === 'too-short'
+                  ? `<span class="warn">⚠️ TOO SHORT (${descriptionLength} chars) - Recommended: ${descriptionMinLength}-${descriptionMaxLength} characters</span>`
+                  : descriptionStatus === 'too-long'
+                  ? `<span class="warn">⚠️ TOO LONG (${descriptionLength} chars) - Recommended: ${descriptionMinLength}-${descriptionMaxLength} characters</span>`
+                  : `<span class="ok">✅ GOOD (${descriptionLength} characters)</span>`
+              }
+            </div>
+          </div>
+          <div class="meta-tag">
+            <div class="meta-tag-name">Content:</div>
+            <div class="meta-tag-value">${hasMetaDescription ? escapeHtml(r.metaDescription) : '<em>No meta description found</em>'}</div>
+          </div>
+        </div>
+
+        ${Object.keys(r.metaTags || {}).length > 0 ? `
+        <h3>Other Important Meta Tags</h3>
+        <div class="meta-tags">
+          ${Object.entries(r.metaTags).map(([name, value]) => `
+            <div class="meta-tag">
+              <div class="meta-tag-name">${escapeHtml(name)}:</div>
+              <div class="meta-tag-value">${escapeHtml(value) || '<em>empty</em>'}</div>
+            </div>
+          `).join('')}
+        </div>
+        ` : ''}
+
+        ${r.performance && report.performance ? renderPagePerformance(r.performance, report.performance.budgets) : ''}
+
+        ${r.accessibility ? renderPageAccessibility(r.accessibility) : ''}
+
+        ${report.social ? `
+        <h3>Share Preview</h3>
+        ${renderShareCard(r)}
+        ` : ''}
+
+        ${r.documentLinks && r.documentLinks.length > 0 ? `
+        <h3>Document Links Found (${r.documentLinks.length})</h3>
+        <ul>${r.documentLinks.map((l) => `<li class="info">${escapeHtml(l)}</li>`).join("")}</ul>
+        ` : ''}
+
+        <h3>Critical JavaScript Errors</h3>
+        ${
+          r.jsErrors.length
+            ? `<ul>${r.jsErrors.map((e) => `<li class="error">${escapeHtml(e)}</li>`).join("")}</ul>`
+            : '<p class="ok">No critical JS errors ✔</p>'
+        }
+
+        <h3>Critical Console Errors</h3>
+        ${
+          r.consoleErrors.length
+            ? `<ul>${r.consoleErrors.map((e) => `<li class="error">${escapeHtml(e)}</li>`).join("")}</ul>`
+            : '<p class="ok">No critical console errors ✔</p>'
+        }
+
+        <h3>Benign Errors (Usually Safe to Ignore)</h3>
+        ${
+          r.benignErrors && r.benignErrors.length
+            ? `<ul>${r.benignErrors.map((e) => `<li class="warn">${escapeHtml(e)}</li>`).join("")}</ul>`
+            : '<p class="ok">No benign errors ✔</p>'
+        }
+
+        <h3>Network Issues</h3>
+        ${
+          r.networkErrors && r.networkErrors.length
+            ? `<ul>${r.networkErrors.map((e) => `<li class="warn">${escapeHtml(e)}</li>`).join("")}</ul>`
+            : '<p class="ok">No network errors ✔</p>'
+        }
+			
+			<h3>Console Warnings</h3>
+        ${
+          r.warnings && r.warnings.length
+            ? `<ul>${r.warnings.map((w) => `<li class="warn">${escapeHtml(w)}</li>`).join("")}</ul>`
+            : '<p class="ok">No warnings ✔</p>'
+        }
+
+        ${r.robotsDisallowed ? `<p class="warn">⚠ This page is disallowed by robots.txt (${escapeHtml(r.robotsDisallowed)})</p>` : ''}
+
+        ${r.robotsBlockedLinks && r.robotsBlockedLinks.length > 0 ? `
+        <h3>Links Disallowed by robots.txt (${r.robotsBlockedLinks.length})</h3>
+        <ul>${r.robotsBlockedLinks.map((l) => `<li class="warn">${escapeHtml(l.url)} <em>(${escapeHtml(l.rule)})</em></li>`).join("")}</ul>
+        ` : ''}
+
+        <h3>Internal Links Found (${r.links.length})</h3>
+        ${
+          r.links.length
+            ? `<ul>${r.links.map((l) => `<li class="info">${escapeHtml(l)}</li>`).join("")}</ul>`
+            : '<p>No internal links found</p>'
+        }
+
+        <h3>Linked From (${(r.inlinks || []).length})</h3>
+        ${
+          r.inlinks && r.inlinks.length
+            ? `<ul>${r.inlinks.map((l) => `<li class="info">${escapeHtml(l.from)} <em>("${escapeHtml(l.text || 'no anchor text')}", ${escapeHtml(l.region)}${l.rel.length ? `, rel=${escapeHtml(l.rel.join(' '))}` : ''})</em></li>`).join("")}</ul>`
+            : '<p>No internal links point here</p>'
+        }
+    </div>
+    `;
+}
+
+// Runs in the browser: the sortable page table and the issue list of
+// index.html, built from the JSON embedded in #report-data
+function pageExplorerApp() {
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const PAGE_SIZE = 100;
+  const state = { view: 'pages', search: '', type: '', severity: '', status: '', sort: 'index', desc: false, limit: PAGE_SIZE, open: new Set() };
+  const $ = (id) => document.getElementById(id);
+  const el = (tag, props = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.assign(node, props);
+    children.forEach((child) => node.append(child));
+    return node;
+  };
+
+  data.pages.forEach((page, index) => {
+    page.index = index;
+    page.issues = [];
+  });
+  data.issues.forEach((issue) => data.pages[issue.page].issues.push(issue));
+  data.pages.forEach((page) => {
+    page.errors = page.issues.filter((issue) => issue.severity === 'error').length;
+    page.warnings = page.issues.length - page.errors;
+  });
+
+  const fill = (select, values) => values.forEach((value) => select.append(el('option', { value, textContent: value })));
+  fill($('filter-type'), [...new Set(data.issues.map((issue) => issue.type))].sort());
+  fill($('filter-status'), [...new Set(data.pages.map((page) => String(page.statusCode)))].sort());
+
+  const query = () => state.search.trim().toLowerCase();
+  const issueMatches = (issue) => (!state.type || issue.type === state.type) && (!state.severity || issue.severity === state.severity);
+  const statusMatches = (page) => !state.status || String(page.statusCode) === state.status;
+
+  function showMore(shown, total) {
+    $('explorer-count').textContent = `Showing ${shown} of ${total}`;
+    $('show-more').hidden = shown >= total;
+  }
+
+  function toggleDetails(page, row) {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('details-row')) {
+      next.remove();
+      state.open.delete(page.index);
+      row.classList.remove('expanded');
+      return;
+    }
+    // Details (and their screenshots) only enter the DOM once expanded
+    const cell = el('td', { colSpan: 7, innerHTML: page.details });
+    row.after(el('tr', { className: 'details-row' }, [cell]));
+    state.open.add(page.index);
+    row.classList.add('expanded');
+  }
+
+  function renderPages() {
+    const q = query();
+    const pages = data.pages.filter((page) =>
+      statusMatches(page)
+      && (!(state.type || state.severity) || page.issues.some(issueMatches))
+      && (!q || page.url.toLowerCase().includes(q) || (page.title || '').toLowerCase().includes(q)));
+
+    const key = state.sort;
+    pages.sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      if (x === y) return a.index - b.index;
+      if (x === null || x === undefined || x === '') return 1;
+      if (y === null || y === undefined || y === '') return -1;
+      const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      return state.desc ? -order : order;
+    });
+
+    const body = $('pages-body');
+    body.replaceChildren();
+    pages.slice(0, state.limit).forEach((page) => {
+      const row = el('tr', { className: 'page-row' }, [
+        el('td', {}, [el('span', { className: 'toggle', textContent: '▸ ' }), page.url]),
+        el('td', { textContent: page.title || '' }),
+        el('td', { textContent: page.statusCode, className: page.statusCode >= 400 || page.statusCode === 0 ? 'error' : '' }),
+        el('td', { textContent: `${page.loadTime}ms` }),
+        el('td', { textContent: page.depth === null ? '—' : page.depth }),
+        el('td', { textContent: page.errors, className: page.errors ? 'error' : '' }),
+        el('td', { textContent: page.warnings, className: page.warnings ? 'warn' : '' })
+      ]);
+      row.addEventListener('click', () => toggleDetails(page, row));
+      body.append(row);
+      if (state.open.has(page.index)) toggleDetails(page, row);
+    });
+    document.querySelectorAll('#pages-view th').forEach((th) => {
+      th.classList.toggle('sorted-asc', th.dataset.sort === key && !state.desc);
+      th.classList.toggle('sorted-desc', th.dataset.sort === key && state.desc);
+    });
+    showMore(Math.min(state.limit, pages.length), pages.length);
+  }
+
+  // Issues grouped by what they are about, e.g. one broken image and every
+  // page it appears on
+  function renderIssues() {
+    const q = query();
+    const groups = new Map();
+    data.issues
+      .filter((issue) => issueMatches(issue) && statusMatches(data.pages[issue.page]))
+      .forEach((issue) => {
+        const subject = issue.resource || issue.message;
+        const key = `${issue.type}|${subject}`;
+        if (!groups.has(key)) groups.set(key, { type: issue.type, severity: issue.severity, subject, message: issue.message, pages: [] });
+        const group = groups.get(key);
+        if (!group.pages.includes(issue.page)) group.pages.push(issue.page);
+      });
+
+    const list = [...groups.values()]
+      .filter((group) => !q
+        || group.subject.toLowerCase().includes(q)
+        || group.message.toLowerCase().includes(q)
+        || group.pages.some((index) => data.pages[index].url.toLowerCase().includes(q)))
+      .sort((a, b) => b.pages.length - a.pages.length || a.type.localeCompare(b.type));
+
+    const view = $('issues-view');
+    view.replaceChildren();
+    list.slice(0, state.limit).forEach((group) => {
+      const pages = el('ul', {}, group.pages.map((index) => {
+        const link = el('a', { href: '#', textContent: data.pages[index].url });
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          state.open.add(index);
+          $('explorer-search').value = data.pages[index].url;
+          state.search = data.pages[index].url;
+          setView('pages');
+        });
+        return el('li', {}, [link]);
+      }));
+      const summary = el('summary', {}, [
+        el('span', { className: `severity severity-${group.severity}`, textContent: group.severity }),
+        ` ${group.type}: `,
+        el('strong', { textContent: group.subject }),
+        ` — ${group.pages.length} ${group.pages.length === 1 ? 'page' : 'pages'}`
+      ]);
+      const children = [summary];
+      if (group.subject !== group.message) children.push(el('p', { textContent: group.message }));
+      children.push(pages);
+      view.append(el('details', { className: 'issue-group' }, children));
+    });
+    if (list.length === 0) view.append(el('p', { className: 'ok', textContent: 'No issues match ✔' }));
+    showMore(Math.min(state.limit, list.length), list.length);
+  }
+
+  function render() {
+    if (state.view === 'pages') renderPages();
+    else renderIssues();
+  }
+
+  function setView(view) {
+    state.view = view;
+    state.limit = PAGE_SIZE;
+    $('pages-view').hidden = view !== 'pages';
+    $('issues-view').hidden = view !== 'issues';
+    $('tab-pages').classList.toggle('active', view === 'pages');
+    $('tab-issues').classList.toggle('active', view === 'issues');
+    render();
+  }
+
+  $('tab-pages').addEventListener('click', () => setView('pages'));
+  $('tab-issues').addEventListener('click', () => setView('issues'));
+  $('explorer-search').addEventListener('input', (event) => {
+    state.search = event.target.value;
+    state.limit = PAGE_SIZE;
+    render();
+  });
+  [['filter-type', 'type'], ['filter-severity', 'severity'], ['filter-status', 'status']].forEach(([id, key]) => {
+    $(id).addEventListener('change', (event) => {
+      state[key] = event.target.value;
+      state.limit = PAGE_SIZE;
+      render();
+    });
+  });
+  document.querySelectorAll('#pages-view th').forEach((th) => {
+    th.addEventListener('click', () => {
+      state.desc = state.sort === th.dataset.sort ? !state.desc : false;
+      state.sort = th.dataset.sort;
+      renderPages();
+    });
+  });
+  $('show-more').addEventListener('click', () => {
+    state.limit += PAGE_SIZE;
+    render();
+  });
+
+  render();
+}
+
+// Data the explorer needs: page rows with their pre-rendered details, and
+// issues pointing at pages by index
+function explorerData(report, deviceConfigs, issues) {
+  const index = new Map(report.pages.map((page, i) => [page.url, i]));
+  return {
+    pages: report.pages.map((r) => ({
+      url: r.url,
+      title: r.isDocument ? `${r.documentType} document` : (r.title === MISSING_TITLE ? '' : r.title),
+      statusCode: r.statusCode,
+      loadTime: r.loadTime,
+      depth: r.depth ?? null,
+      details: renderPageDetails(r, report, deviceConfigs)
+    })),
+    issues: issues
+      .filter((issue) => index.has(issue.url))
+      .map((issue) => ({ page: index.get(issue.url), type: issue.type, severity: issue.severity, message: issue.message, resource: issue.resource || null }))
+  };
+}
+
+// Searchable, sortable table of every crawled URL with collapsible details,
+// and an issue-centric view. Everything is embedded, so index.html still
+// works when opened straight from disk.
+function renderPageExplorer(report, deviceConfigs, issues) {
+  // "<" escaped so no string in the data can close the script element
+  const json = JSON.stringify(explorerData(report, deviceConfigs, issues)).replace(/</g, '\\u003c');
+  return `
+    <div class="page-section explorer">
+      <h2>🔎 Pages and Issues</h2>
+      <div class="explorer-tabs">
+        <button id="tab-pages" class="active">Pages (${report.pages.length})</button>
+        <button id="tab-issues">Issues (${issues.length})</button>
+      </div>
+      <div class="explorer-toolbar">
+        <input id="explorer-search" type="search" placeholder="Search URLs, titles and issues">
+        <select id="filter-type"><option value="">All issue types</option></select>
+        <select id="filter-severity"><option value="">All severities</option><option value="error">error</option><option value="warning">warning</option></select>
+        <select id="filter-status"><option value="">All status codes</option></select>
+        <span id="explorer-count"></span>
+      </div>
+      <div id="pages-view">
+        <table class="data-table explorer-table">
+          <thead>
+            <tr><th data-sort="url">URL</th><th data-sort="title">Title</th><th data-sort="statusCode">Status</th><th data-sort="loadTime">Load Time</th><th data-sort="depth">Depth</th><th data-sort="errors">Errors</th><th data-sort="warnings">Warnings</th></tr>
+          </thead>
+          <tbody id="pages-body"></tbody>
+        </table>
+      </div>
+      <div id="issues-view" hidden></div>
+      <button id="show-more" hidden>Show more</button>
+      <noscript><p class="warn">Enable JavaScript to browse the pages and issues.</p></noscript>
+    </div>
+    <script type="application/json" id="report-data">${json}</script>
+    <script>(${pageExplorerApp.toString()})();</script>
+  `;
+}
+
+// collectPageIssues() issues of every page with the default thresholds,
+// counting the broken external links recorded in the report
+function defaultIssues(report) {
+  const externalChecks = new Map((report.externalLinks?.broken || []).map(link => [link.url, { ...link, broken: true }]));
+  const normalize = createUrlNormalizer(report.urlNormalization);
+  return report.pages.flatMap(page => collectPageIssues(page, { normalize, externalChecks }));
+}
+
+// GENERATE HTML REPORT
+// `issues` are the collectPageIssues() issues of every page, by default
+// with the default thresholds
+export function renderHtmlReport(report, deviceConfigs, { issues = defaultIssues(report) } = {}) {
+  const results = report.pages;
+  const htmlPages = results.filter(r => !r.isDocument);
+  const documentPages = results.filter(r => r.isDocument);
+  const { totalPages, pagesWithCriticalErrors, brokenDocuments } = report.summary;
+  const {
+    total: totalImages,
+    broken: totalBrokenImagesDetailed,
+    withoutAlt: imagesWithoutAlt,
+    uniqueImagesChecked: totalUniqueImagesChecked
+  } = report.summary.images;
+
+  let html = `
+  <html>
+  <head>
+    <title>Website Test Report</title>
+    <style>
+      body { font-family: Arial, sans-serif; padding: 20px; line-height: 1.6; }
+      h1 { color: #333; border-bottom: 2px solid #333; padding-bottom: 10px; }
+      h2 { background: #f5f5f5; padding: 12px; border-left: 4px solid #007acc; margin-top: 30px; }
+      h3 { color: #555; margin-top: 20px; }
+      h4 { color: #666; margin: 15px 0 10px 0; }
+      .error { color: #d32f2f; font-weight: bold; }
+      .warn { color: #f57c00; }
+      .ok { color: #388e3c; font-weight: bold; }
+      .info { color: #1976d2; }
+      .missing { color: #ff9800; font-weight: bold; }
+      .document { color: #7b1fa2; }
+      .summary { 
+        background: #f8f9fa; 
+        padding: 20px; 
+        border-radius: 8px; 
+        margin-bottom: 30px;
+        border-left: 4px solid #007acc;
+      }
+      .summary-stats { 
+        display: grid; 
+        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
+        gap: 15px; 
+        margin-top: 15px;
+      }
+      .stat-card {
+        background: white;
+        padding: 15px;
+        border-radius: 6px;
+        text-align: center;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+      }
+      .stat-number { 
+        font-size: 24px; 
+        font-weight: bold; 
+        margin-bottom: 5px;
+      }
+      .page-section { 
+        background: white; 
+        padding: 20px; 
+        margin: 20px 0; 
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+      }
+      .document-section {
+        border-left: 4px solid #7b1fa2;
+      }
+      ul { 
+        background: #f8f9fa; 
+        padding: 15px; 
+        border-radius: 6px; 
+        margin: 10px 0;
+      }
+      li { 
+        margin: 5px 0; 
+        padding: 3px 0; 
+        word-break: break-all;
+      }
+      .load-time { 
+        background: #e3f2fd; 
+        padding: 5px 10px; 
+        border-radius: 4px; 
+        display: inline-block;
+        font-size: 14px;
+      }
+      .score { font-size: 20px; font-weight: bold; }
+      .impact { display: inline-block; padding: 1px 6px; border-radius: 3px; font-size: 12px; font-weight: bold; color: #fff; text-transform: uppercase; }
+      .impact-critical { background: #b71c1c; }
+      .impact-serious { background: #d32f2f; }
+      .impact-moderate { background: #f57c00; }
+      .impact-minor { background: #757575; }
+      .share-card { border: 1px solid #dadde1; border-radius: 8px; overflow: hidden; background: #fff; max-width: 500px; font-family: Helvetica, Arial, sans-serif; }
+      .share-card-summary { display: flex; max-width: 500px; }
+      .share-card-image { background: #f0f2f5 center / cover no-repeat; }
+      .share-card-large .share-card-image { width: 100%; aspect-ratio: 1.91 / 1; }
+      .share-card-summary .share-card-image { width: 125px; min-width: 125px; height: 125px; }
+      .share-card-no-image { display: flex; align-items: center; justify-content: center; color: #999; font-size: 12px; }
+      .share-card-text { padding: 10px 12px; background: #f0f2f5; overflow: hidden; }
+      .share-card-site { color: #65676b; font-size: 12px; text-transform: uppercase; }
+      .share-card-title { color: #050505; font-weight: bold; font-size: 16px; margin: 3px 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .share-card-description { color: #65676b; font-size: 14px; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; }
+      .data-table { border-collapse: collapse; margin: 10px 0; }
+      .data-table th, .data-table td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+      .data-table th { background: #f0f4f8; }
+      .heading-outline { list-style: none; padding-left: 0; }
+      .heading-outline li { margin: 4px 0; }
+      .heading-level { display: inline-block; min-width: 28px; font-size: 12px; font-weight: bold; color: #fff; background: #007acc; border-radius: 3px; text-align: center; margin-right: 6px; }
+      .meta-tags {
+        background: #f0f4f8;
+        padding: 15px;
+        border-radius: 6px;
+        margin: 10px 0;
+      }
+      .meta-tag {
+        display: flex;
+        margin: 5px 0;
+        padding: 3px 0;
+      }
+      .meta-tag-name {
+        font-weight: bold;
+        min-width: 150px;
+        color: #555;
+      }
+      .meta-tag-value {
+        flex: 1;
+        word-break: break-word;
+      }
+      .document-status {
+        padding: 8px 12px;
+        border-radius: 4px;
+        font-weight: bold;
+        display: inline-block;
+      }
+      .document-accessible {
+        background: #e8f5e8;
+        color: #2e7d32;
+      }
+      .document-broken {
+        background: #ffebee;
+        color: #c62828;
+      }
+      .image-stats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+        gap: 10px;
+        margin: 10px 0;
+      }
+      .image-stat-card {
+        background: #f8f9fa;
+        padding: 10px;
+        border-radius: 6px;
+        text-align: center;
+      }
+      .image-details {
+        max-height: 300px;
+        overflow-y: auto;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        padding: 10px;
+        background: #fafafa;
+      }
+      .image-item {
+        padding: 8px;
+        margin: 5px 0;
+        border-left: 4px solid #388e3c;
+        background: white;
+        border-radius: 4px;
+      }
+      .image-item.broken {
+        border-left-color: #d32f2f;
+        background: #ffebee;
+      }
+      .image-item .src {
+        font-weight: bold;
+        word-break: break-all;
+      }
+      .image-item .alt {
+        color: #666;
+        font-style: italic;
+      }
+      .image-item .dimensions {
+        color: #888;
+        font-size: 0.9em;
+      }
+      .image-item .cache-info {
+        color: #007acc;
+        font-size: 0.8em;
+        font-style: italic;
+      }
+      .screenshot-gallery {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+        gap: 15px;
+        margin: 15px 0;
+      }
+      .screenshot-item {
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        padding: 10px;
+        background: #fafafa;
+        text-align: center;
+      }
+      .screenshot-item img {
+        max-width: 100%;
+        height: auto;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+      }
+      .screenshot-label {
+        font-weight: bold;
+        margin: 8px 0 4px 0;
+        color: #555;
+      }
+      .explorer-tabs button {
+        padding: 8px 16px;
+        border: 1px solid #ccc;
+        background: #f5f5f5;
+        cursor: pointer;
+        font-size: 1em;
+      }
+      .explorer-tabs button.active { background: #007acc; color: white; border-color: #007acc; }
+      .explorer-toolbar { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin: 15px 0; }
+      .explorer-toolbar input { flex: 1; min-width: 250px; padding: 6px 10px; }
+      .explorer-toolbar select { padding: 6px; }
+      #explorer-count { color: #666; }
+      .explorer-table { width: 100%; }
+      .explorer-table th { cursor: pointer; user-select: none; }
+      .explorer-table th.sorted-asc::after { content: ' ▲'; }
+      .explorer-table th.sorted-desc::after { content: ' ▼'; }
+      .explorer-table td { word-break: break-all; }
+      .page-row { cursor: pointer; }
+      .page-row:hover { background: #f0f7ff; }
+      .page-row.expanded .toggle { display: inline-block; transform: rotate(90deg); }
+      .details-row > td { background: #fcfcfc; word-break: normal; }
+      .issue-group { border: 1px solid #e0e0e0; border-radius: 6px; padding: 8px 12px; margin: 8px 0; }
+      .issue-group summary { cursor: pointer; word-break: break-all; }
+      .severity { display: inline-block; padding: 1px 8px; border-radius: 10px; color: white; font-size: 0.85em; }
+      .severity-error { background: #d32f2f; }
+      .severity-warning { background: #f57c00; }
+      #show-more { margin: 10px 0; padding: 8px 16px; cursor: pointer; }
+      .device-badge {
+        display: inline-block;
+        padding: 2px 8px;
+        border-radius: 12px;
+        font-size: 0.8em;
+        font-weight: bold;
+        margin-left: 8px;
+      }
+      .desktop-badge {
+        background: #e3f2fd;
+        color: #1976d2;
+      }
+      .mobile-badge {
+        background: #f3e5f5;
+        color: #7b1fa2;
+      }
+      .tablet-badge {
+        background: #e8f5e8;
+        color: #388e3c;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>📊 Full Website Automated Test Report</h1>
+    ${report.partial ? `
+    <p class="warn"><strong>⚠ Partial report:</strong> the crawl was interrupted before it finished. Run again with --resume to continue.</p>
+    ` : ''}
+    
+    <div class="summary">
+      <h2>📈 Executive Summary</h2>
+      <div class="summary-stats">
+        <div class="stat-card">
+          <div class="stat-number">${totalPages}</div>
+          <div>Total URLs Checked</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number">${htmlPages.length}</div>
+          <div>HTML Pages</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number">${documentPages.length}</div>
+          <div>Documents</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number" style="color: ${pagesWithCriticalErrors > 0 ? '#d32f2f' : '#388e3c'}">${pagesWithCriticalErrors}</div>
+          <div>Pages with Errors</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number" style="color: ${brokenDocuments > 0 ? '#d32f2f' : '#388e3c'}">${brokenDocuments}</div>
+          <div>Broken Documents</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number">${totalImages}</div>
+          <div>Total Images</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number" style="color: ${totalBrokenImagesDetailed > 0 ? '#d32f2f' : '#388e3c'}">${totalBrokenImagesDetailed}</div>
+          <div>Broken Images</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number" style="color: ${imagesWithoutAlt > 0 ? '#f57c00' : '#388e3c'}">${imagesWithoutAlt}</div>
+          <div>Images without Alt</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-number" style="color: #007acc">${totalUniqueImagesChecked}</div>
+          <div>Unique Images Checked</div>
+        </div>
+        ${report.accessibility && report.accessibility.score !== null ? `
+        <div class="stat-card">
+          <div class="stat-number" style="color: ${scoreColor(report.accessibility.score)}">${report.accessibility.score}</div>
+          <div>Accessibility Score</div>
+        </div>
+        ` : ''}
+      </div>
+    </div>
+
+    ${report.robots ? renderRobotsSection(report.robots) : ''}
+
+    ${report.sitemap ? renderSitemapSection(report.sitemap) : ''}
+
+    ${report.seoTags ? renderSeoTagsSection(report.seoTags) : ''}
+
+    ${report.content ? renderContentSection(report.content) : ''}
+
+    ${report.performance ? renderPerformanceSection(report.performance) : ''}
+
+    ${report.visual ? renderVisualSection(report.visual) : ''}
+
+    ${report.accessibility ? renderAccessibilitySection(report.accessibility) : ''}
+
+    ${report.social ? renderSocialSection(report.social) : ''}
+
+    ${report.structuredData ? renderStructuredDataSection(report.structuredData) : ''}
+
+    ${report.indexability ? renderIndexabilitySection(report.indexability) : ''}
+
+    ${report.linkGraph ? renderLinkGraphSection(report.linkGraph) : ''}
+
+    ${report.linkContext ? renderLinkContextSection(report.linkContext) : ''}
+
+    ${report.redirects ? renderRedirectsSection(report.redirects) : ''}
+
+    ${report.externalLinks ? renderExternalLinksSection(report.externalLinks) : ''}
+
+    ${report.urlVariants && report.urlVariants.length ? renderUrlVariantsSection(report.urlVariants) : ''}
+
+    ${report.skipped && report.skipped.length ? renderSkippedSection(report.skipped) : ''}
+
+    ${renderPageExplorer(report, deviceConfigs, issues)}
+  </body>
+  </html>
+  `;
+
+  return html;
+}
+
+// Write index.html, report.json and urls.txt
+export function writeReport(report, reportPaths, deviceConfigs, { issues } = {}) {
+  fs.mkdirSync(reportPaths.baseDir, { recursive: true });
+
+  const totalUrls = [];
+
+  report.pages.forEach((page) => {
+    const url = page.url?.trim();
+    if (!url) return;
+    totalUrls.push(url);
+  });
+
+  // Save only clean URLs
+  const uniqueUrls = Array.from(new Set(totalUrls));
+  fs.writeFileSync(reportPaths.urlsReport, uniqueUrls.join('\n') + '\n', 'utf8');
+
+  fs.writeFileSync(reportPaths.htmlReport, renderHtmlReport(report, deviceConfigs, { issues }));
+
+  // Also generate a JSON report
+  fs.writeFileSync(reportPaths.jsonReport, JSON.stringify(report, null, 2));
+}
+
+export function printSummary(report, reportPaths, deviceConfigs, logger = console) {
+  const summary = report.summary;
+  const images = summary.images;
+
+  logger.log(`\n Report generated: ${reportPaths.htmlReport}`);
+  logger.log(`JSON data: ${reportPaths.jsonReport}`);
+  logger.log(`Screenshots: ${reportPaths.screenshotsDir}`);
+  deviceConfigs.forEach((device, index) => {
+    const branch = index === deviceConfigs.length - 1 ? '└──' : '├──';
+    const label = device.name.charAt(0).toUpperCase() + device.name.slice(1);
+    logger.log(`   ${branch} ${label}: ${device.directory}`);
+  });
+  logger.log(`\n Summary:`);
+  logger.log(`   Total URLs checked: ${summary.totalPages}`);
+  logger.log(`   HTML pages: ${summary.htmlPages}`);
+  logger.log(`   Documents: ${summary.documentPages}`);
+  logger.log(`   Pages with critical errors: ${summary.pagesWithCriticalErrors}`);
+  logger.log(`   Broken documents: ${summary.brokenDocuments}`);
+  logger.log(`   Pages missing titles: ${summary.pagesMissingTitles}`);
+  logger.log(`   Pages missing descriptions: ${summary.pagesMissingDescriptions}`);
+  logger.log(`   Total critical errors: ${summary.totalCriticalErrors}`);
+  logger.log(`   Total broken images: ${summary.totalBrokenImages}`);
+  logger.log(`   Redirecting URLs: ${summary.redirectingUrls} (${summary.redirectLoops} loops)`);
+  logger.log(`   Broken external links: ${summary.brokenExternalLinks}`);
+  logger.log(`   Duplicate titles: ${summary.duplicateTitles}, duplicate descriptions: ${summary.duplicateDescriptions}`);
+  logger.log(`   Pages with heading problems: ${summary.pagesWithHeadingProblems}, thin pages: ${summary.thinContentPages}, near-duplicate groups: ${summary.nearDuplicateGroups}`);
+  logger.log(`   Pages over performance budget: ${summary.pagesOverPerformanceBudget}`);
+  if (report.visual) {
+    logger.log(`   Screenshots changed from baseline: ${summary.visualChanges} of ${report.visual.screenshotsCompared}, without baseline: ${report.visual.withoutBaseline.length}`);
+  }
+  if (summary.accessibilityScore !== null) {
+    logger.log(`   Accessibility score: ${summary.accessibilityScore}, WCAG rules violated: ${summary.accessibilityRulesViolated}`);
+  }
+  logger.log(`   Pages with complete Open Graph tags: ${summary.pagesWithOpenGraph}, broken share images: ${summary.brokenShareImages}`);
+  logger.log(`   Pages with structured data: ${summary.pagesWithStructuredData}, structured data errors: ${summary.structuredDataErrors}`);
+  logger.log(`   Pages not indexable: ${summary.nonIndexablePages}`);
+  logger.log(`   Orphan pages: ${summary.orphanPages}, dead ends: ${summary.deadEndPages}`);
+  logger.log(`   Links with empty or generic anchor text: ${summary.poorAnchorTexts}`);
+  logger.log(`   URLs skipped: ${summary.skippedUrls}`);
+  logger.log(`   Pages linked under several URLs: ${summary.pagesWithUrlVariants}`);
+  logger.log(`\n Image Analysis:`);
+  logger.log(`   Total images: ${images.total}`);
+  logger.log(`   Working images: ${images.working}`);
+  logger.log(`   Broken images: ${images.broken}`);
+  logger.log(`   Images with alt text: ${images.withAlt}`);
+  logger.log(`   Images without alt text: ${images.withoutAlt}`);
+  logger.log(`   Unique images checked: ${images.uniqueImagesChecked}`);
+  logger.log(`   Performance: Avoided ${images.total - images.uniqueImagesChecked} duplicate image checks`);
+}
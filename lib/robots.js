@@ -0,0 +1,165 @@
+import { request } from "playwright";
+
+export const ROBOTS_MODES = ['obey', 'audit', 'ignore'];
+
+// Turn a robots.txt path pattern into a RegExp (`*` wildcard, trailing `$` anchor)
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Parse robots.txt into user-agent groups and sitemap URLs
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (!value) continue;
+      group.rules.push({ allow: field === 'allow', pattern: value, regexp: patternToRegExp(value) });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (!Number.isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Rules that apply to one user agent: the groups with the most specific
+// matching user-agent name, falling back to `*`.
+export function createRobotsRules(text, userAgent) {
+  const { groups, sitemaps } = parseRobotsTxt(text);
+  const agent = userAgent.toLowerCase();
+
+  let bestName = null;
+  for (const group of groups) {
+    for (const name of group.agents) {
+      const matches = name === '*' || agent.includes(name);
+      if (matches && (bestName === null || bestName === '*' || (name !== '*' && name.length > bestName.length))) {
+        bestName = name;
+      }
+    }
+  }
+
+  const selected = groups.filter(group => bestName !== null && group.agents.includes(bestName));
+  const rules = selected.flatMap(group => group.rules);
+  const crawlDelay = selected.map(group => group.crawlDelay).find(delay => delay !== null) ?? null;
+
+  return {
+    rules,
+    crawlDelay,
+    sitemaps,
+    // The longest matching pattern wins; Allow wins a tie
+    check(url) {
+      let path;
+      try {
+        const parsed = new URL(url);
+        path = `${parsed.pathname}${parsed.search}`;
+      } catch {
+        return { allowed: true, rule: null };
+      }
+
+      let match = null;
+      for (const rule of rules) {
+        if (!rule.regexp.test(path)) continue;
+        if (
+          !match ||
+          rule.pattern.length > match.pattern.length ||
+          (rule.pattern.length === match.pattern.length && rule.allow)
+        ) {
+          match = rule;
+        }
+      }
+
+      if (!match) return { allowed: true, rule: null };
+      return { allowed: match.allow, rule: `${match.allow ? 'Allow' : 'Disallow'}: ${match.pattern}` };
+    }
+  };
+}
+
+// Fetch and parse robots.txt for the root URL's origin. A missing or
+// unreachable robots.txt allows everything.
+export async function fetchRobots(root, { userAgent, timeout, logger = console }) {
+  const url = new URL('/robots.txt', root).href;
+  const context = await request.newContext({ userAgent });
+  let status = 0;
+  let text = '';
+
+  try {
+    logger.log(`Fetching ${url}`);
+    const response = await context.get(url, { timeout, failOnStatusCode: false });
+    status = response.status();
+    if (response.ok()) {
+      text = await response.text();
+    }
+  } catch (err) {
+    logger.log(`Could not fetch ${url}: ${err.message.split('\n')[0]}`);
+  } finally {
+    await context.dispose();
+  }
+
+  return { url, status, found: status === 200, ...createRobotsRules(text, userAgent) };
+}
+
+// Robots section of the report: the robots.txt verdict and every blocked URL
+// with the pages linking to it
+export function summarizeRobots(robots, mode, root, results) {
+  const blocked = new Map();
+
+  const rootCheck = robots.check(root);
+  if (!rootCheck.allowed) {
+    blocked.set(root, { url: root, rule: rootCheck.rule, linkedFrom: [] });
+  }
+
+  for (const result of results) {
+    for (const link of result.robotsBlockedLinks || []) {
+      if (!blocked.has(link.url)) {
+        blocked.set(link.url, { url: link.url, rule: link.rule, linkedFrom: [] });
+      }
+      blocked.get(link.url).linkedFrom.push(result.url);
+    }
+  }
+
+  return {
+    url: robots.url,
+    status: robots.status,
+    found: robots.found,
+    mode,
+    crawlDelay: robots.crawlDelay,
+    sitemaps: robots.sitemaps,
+    blocked: [...blocked.values()]
+  };
+}
@@ -0,0 +1,90 @@
+// Properties checked for common schema.org types, after Google's rich result
+// guidelines. `a|b` means either property will do. `children` names the type
+// expected for untyped nested values, e.g. the items of a BreadcrumbList.
+export const SCHEMA_RULES = {
+  Article: {
+    required: ['headline'],
+    recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher']
+  },
+  Product: {
+    required: ['name', 'offers|review|aggregateRating'],
+    recommended: ['image', 'description', 'brand', 'sku|gtin|gtin8|gtin12|gtin13|gtin14|mpn'],
+    children: { offers: 'Offer' }
+  },
+  Offer: {
+    required: ['price|priceSpecification', 'priceCurrency|priceSpecification'],
+    recommended: ['availability', 'url']
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+    children: { itemListElement: 'ListItem' }
+  },
+  ListItem: {
+    required: ['position', 'name'],
+    recommended: ['item']
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+    children: { mainEntity: 'Question' }
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer'],
+    recommended: [],
+    children: { acceptedAnswer: 'Answer' }
+  },
+  Answer: {
+    required: ['text'],
+    recommended: []
+  },
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs', 'contactPoint']
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification|openingHours', 'priceRange']
+  }
+};
+
+// Subtypes validated with the rules of their parent type
+export const SCHEMA_SUBTYPES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  ScholarlyArticle: 'Article',
+  Report: 'Article',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  EducationalOrganization: 'Organization',
+  NewsMediaOrganization: 'Organization',
+  OnlineStore: 'Organization',
+  AutomotiveBusiness: 'LocalBusiness',
+  AutoRepair: 'LocalBusiness',
+  Bakery: 'LocalBusiness',
+  BarOrPub: 'LocalBusiness',
+  CafeOrCoffeeShop: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  FinancialService: 'LocalBusiness',
+  FoodEstablishment: 'LocalBusiness',
+  HealthAndBeautyBusiness: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  RealEstateAgent: 'LocalBusiness',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  ClothingStore: 'LocalBusiness',
+  ElectronicsStore: 'LocalBusiness',
+  GroceryStore: 'LocalBusiness',
+  SportsActivityLocation: 'LocalBusiness',
+  TravelAgency: 'LocalBusiness'
+};
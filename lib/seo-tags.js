@@ -0,0 +1,119 @@
+export const MISSING_TITLE = "⚠ Missing <title>";
+
+// Arial/Helvetica advance widths (1/1000 em) for printable ASCII, used to
+// estimate how much of a title or description fits in a search result
+const CHAR_WIDTHS = {
+  ' ': 278, '!': 278, '"': 355, '#': 556, '$': 556, '%': 889, '&': 667, "'": 191, '(': 333, ')': 333,
+  '*': 389, '+': 584, ',': 278, '-': 333, '.': 278, '/': 278, ':': 278, ';': 278, '<': 584, '=': 584,
+  '>': 584, '?': 556, '@': 1015, '[': 278, '\\': 278, ']': 278, '^': 469, '_': 556, '`': 333, '{': 334,
+  '|': 260, '}': 334, '~': 584,
+  A: 667, B: 667, C: 722, D: 722, E: 667, F: 611, G: 778, H: 722, I: 278, J: 500, K: 667, L: 556, M: 833,
+  N: 722, O: 778, P: 667, Q: 778, R: 722, S: 667, T: 611, U: 722, V: 667, W: 944, X: 667, Y: 667, Z: 611,
+  a: 556, b: 556, c: 500, d: 556, e: 556, f: 278, g: 556, h: 556, i: 222, j: 222, k: 500, l: 222, m: 833,
+  n: 556, o: 556, p: 556, q: 556, r: 333, s: 500, t: 278, u: 556, v: 500, w: 722, x: 500, y: 500, z: 500
+};
+const DIGIT_WIDTH = 556;
+const WIDE_CHAR_WIDTH = 1000; // CJK and other full-width characters
+const DEFAULT_WIDTH = 556;
+
+// Font sizes of titles and descriptions in desktop search results
+const TITLE_FONT_SIZE = 20;
+const DESCRIPTION_FONT_SIZE = 14;
+
+export const DEFAULT_SEO_THRESHOLDS = {
+  titleMinLength: 30,
+  titleMaxLength: 60,
+  titleMaxPixels: 580,
+  descriptionMinLength: 50,
+  descriptionMaxLength: 160,
+  descriptionMaxPixels: 920
+};
+
+// Estimated rendered width in px of text in Arial at the given size
+export function pixelWidth(text, fontSize) {
+  let units = 0;
+  for (const char of text) {
+    if (CHAR_WIDTHS[char] !== undefined) units += CHAR_WIDTHS[char];
+    else if (char >= '0' && char <= '9') units += DIGIT_WIDTH;
+    else if (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60]/.test(char)) units += WIDE_CHAR_WIDTH;
+    else units += DEFAULT_WIDTH;
+  }
+  return Math.round((units / 1000) * fontSize);
+}
+
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+function hasTitle(result) {
+  return Boolean(result.title) && result.title !== MISSING_TITLE;
+}
+
+// Length and width problems of a page's title and description: { type, severity, message }
+export function tagLengthProblems(result, thresholds) {
+  const problems = [];
+  const add = (type, message) => problems.push({ type, severity: 'warning', message });
+
+  if (hasTitle(result)) {
+    const title = cleanText(result.title);
+    const pixels = pixelWidth(title, TITLE_FONT_SIZE);
+    if (title.length < thresholds.titleMinLength) {
+      add('title-too-short', `Title is ${title.length} characters (minimum ${thresholds.titleMinLength})`);
+    } else if (title.length > thresholds.titleMaxLength) {
+      add('title-too-long', `Title is ${title.length} characters (maximum ${thresholds.titleMaxLength})`);
+    }
+    if (pixels > thresholds.titleMaxPixels) {
+      add('title-truncated', `Title is about ${pixels}px wide and will be truncated in search results (maximum ${thresholds.titleMaxPixels}px)`);
+    }
+  }
+
+  const description = cleanText(result.metaDescription);
+  if (description) {
+    const pixels = pixelWidth(description, DESCRIPTION_FONT_SIZE);
+    if (description.length < thresholds.descriptionMinLength) {
+      add('description-too-short', `Meta description is ${description.length} characters (minimum ${thresholds.descriptionMinLength})`);
+    } else if (description.length > thresholds.descriptionMaxLength) {
+      add('description-too-long', `Meta description is ${description.length} characters (maximum ${thresholds.descriptionMaxLength})`);
+    }
+    if (pixels > thresholds.descriptionMaxPixels) {
+      add('description-truncated', `Meta description is about ${pixels}px wide and will be truncated in search results (maximum ${thresholds.descriptionMaxPixels}px)`);
+    }
+  }
+  return problems;
+}
+
+// Values shared by more than one page: [{ value, urls }], most pages first.
+// Values are compared ignoring case and whitespace.
+function groupDuplicates(pages, getValues) {
+  const groups = new Map();
+  pages.forEach(page => {
+    new Set(getValues(page).map(cleanText).filter(Boolean)).forEach(value => {
+      const key = value.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { value, urls: [] });
+      groups.get(key).urls.push(page.url);
+    });
+  });
+  return [...groups.values()]
+    .filter(group => group.urls.length > 1)
+    .sort((a, b) => b.urls.length - a.urls.length);
+}
+
+// Cross-page duplicates and length problems of titles, descriptions, H1s and canonicals
+export function analyzeSeoTags(results, thresholds) {
+  const pages = results.filter(result => !result.isDocument && result.statusCode === 200);
+
+  const lengthProblems = pages.flatMap(page =>
+    tagLengthProblems(page, thresholds).map(problem => ({ url: page.url, type: problem.type, message: problem.message })));
+
+  return {
+    thresholds,
+    duplicates: {
+      title: groupDuplicates(pages, page => (hasTitle(page) ? [page.title] : [])),
+      description: groupDuplicates(pages, page => [page.metaDescription]),
+      h1: groupDuplicates(pages, page => page.h1s || []),
+      canonical: groupDuplicates(pages, page => (page.canonical ? [page.canonical] : []))
+    },
+    titleProblems: lengthProblems.filter(problem => problem.type.startsWith('title-')),
+    descriptionProblems: lengthProblems.filter(problem => problem.type.startsWith('description-'))
+  };
+}
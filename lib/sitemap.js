@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { request } from "playwright";
+
+import { compilePattern, matchesPattern } from "./patterns.js";
+import { indexabilityVerdict } from "./indexability.js";
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity])
+    .trim();
+}
+
+function tagValue(block, tag) {
+  const match = block.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+// Parse a sitemap or sitemap index. Returns { type: 'index' | 'urlset', entries: [{ loc, lastmod }] }
+export function parseSitemapXml(xml) {
+  const type = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml) ? 'index' : 'urlset';
+  const blockTag = type === 'index' ? 'sitemap' : 'url';
+  const blockPattern = new RegExp(`<(?:\\w+:)?${blockTag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${blockTag}>`, 'gi');
+
+  const entries = [];
+  for (const match of xml.matchAll(blockPattern)) {
+    const loc = tagValue(match[1], 'loc');
+    if (loc) {
+      entries.push({ loc, lastmod: tagValue(match[1], 'lastmod') });
+    }
+  }
+  return { type, entries };
+}
+
+// Sitemaps may be served gzipped without a Content-Encoding header
+function decodeBody(buffer) {
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+// Fetch sitemaps starting from the given URLs, following sitemap index files.
+// Returns { sitemaps: [{ url, status, type, urlCount, error }], entries: [{ loc, lastmod, sitemap }] }
+export async function fetchSitemaps(startUrls, { userAgent, timeout, limit, logger = console }) {
+  const context = await request.newContext({ userAgent });
+  const pending = [...new Set(startUrls)];
+  const seen = new Set(pending);
+  const sitemaps = [];
+  const entries = [];
+
+  try {
+    while (pending.length > 0 && sitemaps.length < limit) {
+      const url = pending.shift();
+      const sitemap = { url, status: 0, type: null, urlCount: 0, error: null };
+      sitemaps.push(sitemap);
+
+      try {
+        logger.log(`Fetching sitemap: ${url}`);
+        const response = await context.get(url, { timeout, failOnStatusCode: false });
+        sitemap.status = response.status();
+        if (!response.ok()) continue;
+
+        const { type, entries: found } = parseSitemapXml(decodeBody(await response.body()));
+        sitemap.type = type;
+        sitemap.urlCount = found.length;
+
+        if (type === 'index') {
+          found.forEach(({ loc }) => {
+            if (!seen.has(loc)) {
+              seen.add(loc);
+              pending.push(loc);
+            }
+          });
+        } else {
+          found.forEach(entry => entries.push({ ...entry, sitemap: url }));
+        }
+      } catch (err) {
+        sitemap.error = err.message.split('\n')[0];
+        logger.log(`Could not read sitemap ${url}: ${sitemap.error}`);
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.log(`Sitemap limit (${limit}) reached, ${pending.length} sitemaps not fetched`);
+    }
+  } finally {
+    await context.dispose();
+  }
+
+  return { sitemaps, entries };
+}
+
+// Compare sitemap URLs with what the crawl found
+export function compareSitemap(sitemapData, results, outlinks, root, normalize, isInternal = url => url.startsWith(root)) {
+  const inSitemap = new Map();
+  const outsideRoot = [];
+  sitemapData.entries.forEach(entry => {
+    if (!isInternal(entry.loc)) {
+      outsideRoot.push(entry.loc);
+      return;
+    }
+    const key = normalize(entry.loc);
+    if (!inSitemap.has(key)) inSitemap.set(key, entry.loc);
+  });
+
+  // The root is where the crawl starts, so it never counts as an orphan
+  const linked = new Set([normalize(root)]);
+  for (const links of outlinks.values()) {
+    links.forEach(link => linked.add(link));
+  }
+
+  const crawled = new Map(results.map(result => [normalize(result.url), result]));
+
+  const orphans = [];
+  const notCrawled = [];
+  const errors = [];
+  const redirects = [];
+
+  for (const [key, url] of inSitemap) {
+    if (!linked.has(key)) orphans.push(url);
+
+    const result = crawled.get(key);
+    if (!result) {
+      notCrawled.push(url);
+      continue;
+    }
+    if (result.finalUrl && normalize(result.finalUrl) !== key) {
+      redirects.push({ url, finalUrl: result.finalUrl, statusCode: result.statusCode });
+    } else if (result.statusCode !== 200) {
+      errors.push({ url, statusCode: result.statusCode });
+    }
+  }
+
+  const notInSitemap = results
+    .filter(result => !result.isDocument && result.statusCode === 200 && !inSitemap.has(normalize(result.url)))
+    .map(result => result.url);
+
+  return {
+    sitemaps: sitemapData.sitemaps,
+    totalUrls: inSitemap.size,
+    orphans,
+    notInSitemap,
+    errors,
+    redirects,
+    notCrawled,
+    outsideRoot
+  };
+}
+
+export const SITEMAP_URL_LIMIT = 50000;
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+export function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Why a crawled page does not belong in a generated sitemap (null when it does)
+export function sitemapExclusionReason(result, normalize) {
+  if (result.isDocument) return 'document';
+  const verdict = indexabilityVerdict(result, normalize);
+  return verdict.indexable ? null : verdict.detail;
+}
+
+export function validateSitemapRules(rules) {
+  rules.forEach((rule, index) => {
+    compilePattern(rule.pattern);
+    if (rule.changefreq !== undefined && !CHANGEFREQ_VALUES.includes(rule.changefreq)) {
+      throw new Error(`sitemapOutput.rules[${index}].changefreq must be one of ${CHANGEFREQ_VALUES.join(', ')}`);
+    }
+    if (rule.priority !== undefined && !(typeof rule.priority === 'number' && rule.priority >= 0 && rule.priority <= 1)) {
+      throw new Error(`sitemapOutput.rules[${index}].priority must be a number between 0.0 and 1.0`);
+    }
+  });
+}
+
+// Sitemap entries for the indexable pages of a crawl. The first rule whose
+// pattern matches a page sets its changefreq and priority.
+export function buildSitemapEntries(results, { rules = [], lastmod = true, normalize }) {
+  const compiledRules = rules.map(rule => ({ ...rule, regexp: compilePattern(rule.pattern) }));
+  const seen = new Set();
+  const entries = [];
+
+  for (const result of results) {
+    if (sitemapExclusionReason(result, normalize) !== null) continue;
+
+    const key = normalize(result.url);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const entry = { loc: result.url };
+    const modified = lastmod && result.lastModified ? new Date(result.lastModified) : null;
+    if (modified && !Number.isNaN(modified.getTime())) {
+      entry.lastmod = modified.toISOString();
+    }
+
+    const rule = compiledRules.find(r => matchesPattern(r.regexp, result.url));
+    if (rule?.changefreq !== undefined) entry.changefreq = rule.changefreq;
+    if (rule?.priority !== undefined) entry.priority = rule.priority.toFixed(1);
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+export function renderUrlset(entries) {
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+    entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>` : null,
+    entry.priority ? `    <priority>${entry.priority}</priority>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+export function renderSitemapIndex(sitemapUrls) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemapUrls.map(url => `  <sitemap>\n    <loc>${escapeXml(url)}</loc>\n  </sitemap>`),
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+}
+
+// Write sitemap.xml into dir. Past maxUrls entries the URLs are split into
+// sitemap-1.xml, sitemap-2.xml, ... and sitemap.xml becomes a sitemap index
+// pointing at them under baseUrl. Returns the written file names.
+export function writeSitemapFiles(entries, dir, { baseUrl, maxUrls = SITEMAP_URL_LIMIT }) {
+  // Parts left by an earlier, larger run would otherwise be deployed with
+  // the new sitemap
+  for (const file of fs.readdirSync(dir)) {
+    if (/^sitemap-\d+\.xml$/.test(file)) fs.rmSync(path.join(dir, file));
+  }
+
+  if (entries.length <= maxUrls) {
+    fs.writeFileSync(path.join(dir, 'sitemap.xml'), renderUrlset(entries));
+    return ['sitemap.xml'];
+  }
+
+  const files = [];
+  for (let i = 0; i < entries.length; i += maxUrls) {
+    const file = `sitemap-${files.length + 1}.xml`;
+    fs.writeFileSync(path.join(dir, file), renderUrlset(entries.slice(i, i + maxUrls)));
+    files.push(file);
+  }
+
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  fs.writeFileSync(path.join(dir, 'sitemap.xml'), renderSitemapIndex(files.map(file => new URL(file, base).href)));
+  return ['sitemap.xml', ...files];
+}
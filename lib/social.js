@@ -0,0 +1,164 @@
+import { MISSING_TITLE } from "./seo-tags.js";
+
+export const DEFAULT_SOCIAL_RULES = {
+  minImageWidth: 1200, // Facebook's recommended share image size
+  minImageHeight: 630,
+  aspectRatio: 1.91, // width / height of large link previews
+  aspectRatioTolerance: 0.1
+};
+
+// Properties ogp.me requires on every page
+export const REQUIRED_OG_TAGS = ['og:title', 'og:type', 'og:image', 'og:url'];
+export const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+// Width and height of a PNG, GIF, JPEG or WebP image, or null
+export function imageSize(buffer) {
+  if (buffer.length < 30) return null;
+
+  if (buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), type: 'png' };
+  }
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), type: 'gif' };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff, type: 'webp' };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, type: 'webp' };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1, type: 'webp' };
+    }
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), type: 'jpeg' };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// Fetch a share image with a Playwright APIRequestContext:
+// { url, status, contentType, width, height, error }
+export async function checkSocialImage(context, url, { timeout }) {
+  const check = { url, status: 0, contentType: null, width: null, height: null, error: null };
+  try {
+    const response = await context.get(url, { timeout, failOnStatusCode: false });
+    check.status = response.status();
+    check.contentType = response.headers()['content-type'] || null;
+    if (response.ok()) {
+      const size = imageSize(await response.body());
+      if (size) {
+        check.width = size.width;
+        check.height = size.height;
+      } else {
+        check.error = 'Not a PNG, GIF, JPEG or WebP image';
+      }
+    }
+    await response.dispose();
+  } catch (err) {
+    check.error = err.message.split('\n')[0].replace(/^apiRequestContext\.\w+: /, '');
+  }
+  return check;
+}
+
+// Open Graph and Twitter card problems of a page: { type, severity, message }.
+// result.social.image is the checkSocialImage() result for og:image, if any.
+export function socialProblems(result, normalize, rules = DEFAULT_SOCIAL_RULES) {
+  const problems = [];
+  const tags = result.metaTags || {};
+  const add = (type, severity, message) => problems.push({ type, severity, message });
+
+  const missing = REQUIRED_OG_TAGS.filter(name => !tags[name]);
+  if (missing.length) {
+    add('missing-og-tags', 'warning', `Missing Open Graph tags: ${missing.join(', ')}`);
+  }
+
+  const image = result.social?.image;
+  if (image) {
+    if (image.status === 0 || image.status >= 400) {
+      add('broken-og-image', 'error', `og:image ${image.url} is not reachable (${image.error || `status ${image.status}`})`);
+    } else if (image.error) {
+      add('broken-og-image', 'error', `og:image ${image.url}: ${image.error}`);
+    } else {
+      if (image.width < rules.minImageWidth || image.height < rules.minImageHeight) {
+        add('small-og-image', 'warning', `og:image is ${image.width}×${image.height}, smaller than ${rules.minImageWidth}×${rules.minImageHeight}`);
+      }
+      const ratio = image.width / image.height;
+      if (Math.abs(ratio - rules.aspectRatio) > rules.aspectRatioTolerance) {
+        add('og-image-aspect-ratio', 'warning', `og:image aspect ratio is ${ratio.toFixed(2)}:1, expected about ${rules.aspectRatio}:1`);
+      }
+    }
+  }
+
+  const canonical = result.canonical || result.finalUrl || result.url;
+  if (tags['og:url'] && normalize(tags['og:url']) !== normalize(canonical)) {
+    add('og-url-mismatch', 'warning', `og:url ${tags['og:url']} does not match the ${result.canonical ? 'canonical URL' : 'page URL'} ${canonical}`);
+  }
+
+  const card = tags['twitter:card'];
+  if (!card) {
+    add('missing-twitter-card', 'warning', 'Page has no twitter:card');
+  } else if (!TWITTER_CARD_TYPES.includes(card)) {
+    add('invalid-twitter-card', 'error', `Invalid twitter:card "${card}" (expected ${TWITTER_CARD_TYPES.join(', ')})`);
+  }
+  return problems;
+}
+
+// What a shared link shows, with the fallbacks social networks use
+export function sharePreview(result) {
+  const tags = result.metaTags || {};
+  const title = result.title !== MISSING_TITLE ? result.title : '';
+  let host = '';
+  try {
+    host = new URL(tags['og:url'] || result.url).hostname;
+  } catch {
+    host = result.url;
+  }
+  let image = tags['og:image'] || tags['twitter:image'] || null;
+  try {
+    image = image && new URL(image, result.finalUrl || result.url).href;
+  } catch {
+    image = null;
+  }
+  return {
+    card: tags['twitter:card'] || (image ? 'summary_large_image' : 'summary'),
+    title: tags['og:title'] || tags['twitter:title'] || title,
+    description: tags['og:description'] || tags['twitter:description'] || result.metaDescription || '',
+    image,
+    siteName: tags['og:site_name'] || host,
+    host
+  };
+}
+
+// Social section of the report: problems grouped by type, and how many
+// pages have complete Open Graph tags
+export function analyzeSocial(results, normalize, rules) {
+  const pages = results.filter(result => !result.isDocument && result.statusCode === 200);
+  const problems = {};
+  pages.forEach(page => {
+    socialProblems(page, normalize, rules).forEach(problem => {
+      if (!problems[problem.type]) problems[problem.type] = [];
+      problems[problem.type].push({ url: page.url, severity: problem.severity, message: problem.message });
+    });
+  });
+
+  return {
+    rules,
+    pagesWithOpenGraph: pages.filter(page => REQUIRED_OG_TAGS.every(name => page.metaTags?.[name])).length,
+    pagesChecked: pages.length,
+    problems
+  };
+}
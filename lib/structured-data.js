@@ -0,0 +1,211 @@
+import { compilePattern, matchesPattern } from "./patterns.js";
+import { SCHEMA_RULES, SCHEMA_SUBTYPES } from "./schema-rules.js";
+
+// Runs in the page: JSON-LD scripts (unparsed, so errors are reported the
+// same way everywhere) and microdata and RDFa items as JSON-LD-like objects
+export function extractStructuredData() {
+  const valueOf = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (['a', 'link', 'area'].includes(tag)) return el.href;
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return el.src;
+    if (tag === 'object') return el.data;
+    if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if (['data', 'meter'].includes(tag)) return el.getAttribute('value');
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  };
+  const addValue = (item, name, value) => {
+    item[name] = name in item ? [].concat(item[name], value) : value;
+  };
+
+  // Properties belong to the closest enclosing scope, so nested items keep theirs
+  const microdataItem = (scope) => {
+    const item = {};
+    if (scope.getAttribute('itemtype')) item['@type'] = scope.getAttribute('itemtype').trim().split(/\s+/);
+    scope.querySelectorAll('[itemprop]').forEach((el) => {
+      if (el.parentElement.closest('[itemscope]') !== scope) return;
+      const value = el.hasAttribute('itemscope') ? microdataItem(el) : valueOf(el);
+      el.getAttribute('itemprop').trim().split(/\s+/).forEach(name => addValue(item, name, value));
+    });
+    return item;
+  };
+  const rdfaItem = (scope) => {
+    const item = { '@type': scope.getAttribute('typeof').trim().split(/\s+/) };
+    scope.querySelectorAll('[property]').forEach((el) => {
+      if (el.parentElement.closest('[typeof]') !== scope) return;
+      const value = el.hasAttribute('typeof') ? rdfaItem(el) : (el.getAttribute('resource') ?? valueOf(el));
+      el.getAttribute('property').trim().split(/\s+/).forEach(name => addValue(item, name.replace(/^.*[:/#]/, ''), value));
+    });
+    return item;
+  };
+
+  return {
+    jsonLd: [...document.querySelectorAll('script[type="application/ld+json" i]')].map(el => el.textContent || ''),
+    microdata: [...document.querySelectorAll('[itemscope]:not([itemprop])')].map(microdataItem),
+    rdfa: [...document.querySelectorAll('[typeof]:not([property])')].map(rdfaItem)
+  };
+}
+
+// "https://schema.org/Product" and "schema:Product" -> "Product"
+function typeName(type) {
+  return String(type).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function typesOf(node) {
+  return [].concat(node['@type'] || []).map(typeName);
+}
+
+function isNode(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.some(hasValue);
+  return value !== undefined && value !== null && value !== '';
+}
+
+// The top-level nodes of a JSON-LD document (arrays and @graph flattened)
+function jsonLdNodes(value) {
+  if (Array.isArray(value)) return value.flatMap(jsonLdNodes);
+  if (!isNode(value)) return [];
+  if (Array.isArray(value['@graph'])) return value['@graph'].flatMap(jsonLdNodes);
+  return [value];
+}
+
+function rulesFor(type) {
+  return SCHEMA_RULES[type] ? type : SCHEMA_SUBTYPES[type] || null;
+}
+
+// Missing required (error) and recommended (warning) properties of a node
+// and of the nodes nested in it: [{ severity, message }]. Recommended
+// properties are only checked on the parts of the type itself (top-level
+// nodes and their `children`), not on every entity it mentions.
+function validateNode(node, path, problems, expectedType = null, depth = 0) {
+  const types = typesOf(node);
+  const ruleType = types.map(rulesFor).find(Boolean) || (types.length === 0 && expectedType);
+  const rules = ruleType && SCHEMA_RULES[ruleType];
+  const describe = (property) => property.split('|').join(' or ');
+
+  if (rules) {
+    rules.required
+      .filter(property => !property.split('|').some(name => hasValue(node[name])))
+      .forEach(property => problems.push({ severity: 'error', message: `${path} is missing required ${describe(property)}` }));
+    (depth === 0 || expectedType ? rules.recommended : [])
+      .filter(property => !property.split('|').some(name => hasValue(node[name])))
+      .forEach(property => problems.push({ severity: 'warning', message: `${path} is missing recommended ${describe(property)}` }));
+  }
+  if (depth >= 10) return;
+
+  Object.entries(node)
+    .filter(([key]) => !key.startsWith('@'))
+    .forEach(([key, value]) => {
+      const children = [].concat(value);
+      children.forEach((child, index) => {
+        if (!isNode(child)) return;
+        const expected = rules?.children?.[key] || null;
+        const label = typesOf(child)[0] || expected || key;
+        const name = children.length > 1 ? `${key}[${index}]` : key;
+        validateNode(child, `${path} › ${name} (${label})`, problems, expected, depth + 1);
+      });
+    });
+}
+
+// Structured data of a page from extractStructuredData() output:
+// { items: [{ format, types, problems }], parseErrors: [{ format, message }] }
+export function parseStructuredData({ jsonLd = [], microdata = [], rdfa = [] }) {
+  const items = [];
+  const parseErrors = [];
+  const addItem = (format, node) => {
+    const types = typesOf(node);
+    const problems = [];
+    validateNode(node, types[0] || 'Untyped item', problems);
+    items.push({ format, types, problems });
+  };
+
+  jsonLd.forEach((text, index) => {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (err) {
+      parseErrors.push({ format: 'json-ld', message: `JSON-LD block ${index + 1}: ${err.message}` });
+      return;
+    }
+    jsonLdNodes(value).forEach(node => addItem('json-ld', node));
+  });
+  microdata.forEach(node => addItem('microdata', node));
+  rdfa.forEach(node => addItem('rdfa', node));
+  return { items, parseErrors };
+}
+
+// Per-page structured data problems, used by collectPageIssues
+export function structuredDataProblems(structuredData) {
+  if (!structuredData) return [];
+  return [
+    ...structuredData.parseErrors.map(error => ({ type: 'structured-data-parse-error', severity: 'error', message: error.message })),
+    ...structuredData.items.flatMap(item => item.problems.map(problem => ({
+      type: problem.severity === 'error' ? 'invalid-structured-data' : 'incomplete-structured-data',
+      severity: problem.severity,
+      message: `${item.format}: ${problem.message}`
+    })))
+  ];
+}
+
+// Template a page belongs to: the first configured template whose pattern
+// matches, otherwise its first path segment ("/blog/*") or the page path itself
+function templateOf(url, templates) {
+  const match = templates.find(template => matchesPattern(template.regexp, url));
+  if (match) return match.name;
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  if (segments.length === 0) return '/';
+  return segments.length > 1 ? `/${segments[0]}/*` : `/${segments[0]}`;
+}
+
+// Structured data section of the report: types found, with the templates
+// using them, and every parse error and validation problem
+export function analyzeStructuredData(results, { templates = [] } = {}) {
+  const compiled = templates.map(template => ({ ...template, regexp: compilePattern(template.pattern) }));
+  const pages = results.filter(result => !result.isDocument && result.structuredData);
+
+  const types = new Map();
+  const byTemplate = new Map();
+  const parseErrors = [];
+  const problems = [];
+
+  pages.forEach(page => {
+    const template = templateOf(page.url, compiled);
+    if (!byTemplate.has(template)) byTemplate.set(template, { template, pages: 0, types: {} });
+    const templateEntry = byTemplate.get(template);
+    templateEntry.pages++;
+
+    page.structuredData.parseErrors.forEach(error => parseErrors.push({ url: page.url, ...error }));
+    page.structuredData.items.forEach(item => {
+      item.problems.forEach(problem => problems.push({ url: page.url, format: item.format, ...problem }));
+    });
+
+    const pageTypes = new Set();
+    page.structuredData.items.forEach(item => {
+      (item.types.length ? item.types : ['(untyped)']).forEach(type => {
+        if (!types.has(type)) types.set(type, { type, pages: new Set(), items: 0, invalid: 0, formats: new Set() });
+        const entry = types.get(type);
+        entry.pages.add(page.url);
+        entry.items++;
+        entry.formats.add(item.format);
+        if (item.problems.some(problem => problem.severity === 'error')) entry.invalid++;
+        pageTypes.add(type);
+      });
+    });
+    pageTypes.forEach(type => {
+      templateEntry.types[type] = (templateEntry.types[type] || 0) + 1;
+    });
+  });
+
+  return {
+    pagesWithStructuredData: pages.filter(page => page.structuredData.items.length > 0).length,
+    types: [...types.values()]
+      .map(entry => ({ ...entry, pages: entry.pages.size, formats: [...entry.formats] }))
+      .sort((a, b) => b.pages - a.pages),
+    templates: [...byTemplate.values()].sort((a, b) => b.pages - a.pages),
+    parseErrors,
+    problems
+  };
+}
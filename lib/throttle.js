@@ -0,0 +1,62 @@
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+// Spaces out requests to the same host (0 requests per second = no limit)
+export class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.hostIntervals = new Map();
+    this.nextSlot = new Map();
+  }
+
+  // Slow down one host further (e.g. for a robots.txt Crawl-delay)
+  setHostInterval(host, ms) {
+    this.hostIntervals.set(host, ms);
+  }
+
+  async wait(host) {
+    const interval = Math.max(this.interval, this.hostIntervals.get(host) || 0);
+    if (!interval) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + interval);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+// Counts in-flight work per host (limit 0 = no limit)
+export class HostLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = new Map();
+  }
+
+  canAcquire(host) {
+    return !this.limit || (this.active.get(host) || 0) < this.limit;
+  }
+
+  acquire(host) {
+    this.active.set(host, (this.active.get(host) || 0) + 1);
+  }
+
+  release(host) {
+    const count = (this.active.get(host) || 1) - 1;
+    if (count > 0) {
+      this.active.set(host, count);
+    } else {
+      this.active.delete(host);
+    }
+  }
+}
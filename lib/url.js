@@ -0,0 +1,107 @@
+export const QUERY_MODES = ['keep', 'strip'];
+
+// Directory index files collapsed into their directory
+const INDEX_FILE = /\/(index|default)\.(html?|php|aspx?)$/i;
+
+// How URLs are normalized before deciding whether two of them are the same page
+export const DEFAULT_URL_NORMALIZATION = {
+  query: 'keep', // keep | strip every query parameter
+  keepParams: [], // with query 'strip': parameters that are kept anyway
+  // parameters always dropped (tracking and session IDs); `*` is a wildcard
+  stripParams: ['utm_*', 'gclid', 'fbclid', 'msclkid', 'jsessionid', 'phpsessid', 'sid', 'sessionid'],
+  sortParams: true, // ?b=2&a=1 and ?a=1&b=2 are the same page
+  lowercasePath: false, // case-fold paths for servers that ignore case
+  collapseIndex: true, // /docs/index.html is /docs
+  aliases: {} // { "http://www.example.com": "https://example.com" }, origins treated as the same site
+};
+
+function paramMatcher(names) {
+  const patterns = names.map(name => new RegExp(`^${name
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')}$`, 'i'));
+  return name => patterns.some(pattern => pattern.test(name));
+}
+
+// Rewrite an aliased origin (scheme + host) to the origin it stands for
+export function resolveAlias(url, aliases = {}) {
+  try {
+    const parsedUrl = new URL(url);
+    for (const [alias, target] of Object.entries(aliases)) {
+      if (new URL(alias).origin === parsedUrl.origin) {
+        const targetUrl = new URL(target);
+        parsedUrl.protocol = targetUrl.protocol;
+        parsedUrl.host = targetUrl.host;
+        return parsedUrl.href;
+      }
+    }
+    return url;
+  } catch {
+    return url;
+  }
+}
+
+// Build a normalize(url) function for a normalization policy. Fragments and
+// trailing slashes are always dropped.
+export function createUrlNormalizer(policy = {}) {
+  const options = { ...DEFAULT_URL_NORMALIZATION, ...policy };
+  const isStripped = paramMatcher(options.stripParams);
+  const isKept = paramMatcher(options.keepParams);
+
+  return function normalize(url) {
+    try {
+      const parsedUrl = new URL(resolveAlias(url, options.aliases));
+
+      let pathname = parsedUrl.pathname;
+      if (options.collapseIndex) pathname = pathname.replace(INDEX_FILE, '/');
+      if (options.lowercasePath) pathname = pathname.toLowerCase();
+
+      const params = [...parsedUrl.searchParams].filter(([name]) =>
+        !isStripped(name) && (options.query === 'keep' || isKept(name))
+      );
+      if (options.sortParams) {
+        params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      }
+      const search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+      return `${parsedUrl.origin}${pathname.replace(/\/+$/, '')}${search}`;
+    } catch {
+      return url;
+    }
+  };
+}
+
+// Normalize URL with the default policy to avoid duplicates with different formats
+export const normalizeUrl = createUrlNormalizer();
+
+// URL without its fragment, as it was linked
+export function stripFragment(url) {
+  try {
+    const parsedUrl = new URL(url);
+    parsedUrl.hash = '';
+    return parsedUrl.href;
+  } catch {
+    return url;
+  }
+}
+
+// Normalize image URL (remove query parameters for better deduplication)
+export function normalizeImageUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    return `${parsedUrl.origin}${parsedUrl.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+// Check if URL is a document
+export function isDocumentUrl(url, documentExtensions) {
+  try {
+    const parsedUrl = new URL(url);
+    const pathname = parsedUrl.pathname.toLowerCase();
+    return documentExtensions.some(ext => pathname.endsWith(ext));
+  } catch {
+    return false;
+  }
+}
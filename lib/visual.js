@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+
+import { compilePattern, matchesPattern } from "./patterns.js";
+
+export const DEFAULT_VISUAL_OPTIONS = {
+  threshold: 0.1, // colour difference (0–1) before a pixel counts as changed
+  tolerance: 0.1 // % of changed pixels allowed before a screenshot counts as changed
+};
+
+// Area added when a screenshot grew or shrank, so it always counts as changed
+const PADDING_COLOR = [255, 0, 255, 255];
+
+// Masks hide dynamic content (ads, dates, carousels) from the comparison.
+// Each is { selector } (painted over by Playwright when the screenshot is
+// taken) or { x, y, width, height } (blanked in both images before the diff),
+// optionally limited to URLs matching `pattern` and to `devices`.
+export function validateMasks(masks) {
+  if (!Array.isArray(masks)) {
+    throw new Error('visual.masks must be a list of masks');
+  }
+  masks.forEach((mask, index) => {
+    if (mask.pattern !== undefined) compilePattern(mask.pattern);
+    if (mask.devices !== undefined && !Array.isArray(mask.devices)) {
+      throw new Error(`visual.masks[${index}].devices must be a list of device names`);
+    }
+    if (mask.selector !== undefined) {
+      if (typeof mask.selector !== 'string' || mask.selector === '') {
+        throw new Error(`visual.masks[${index}].selector must be a non-empty string`);
+      }
+      return;
+    }
+    const { x, y, width, height } = mask;
+    if (![x, y, width, height].every(value => Number.isInteger(value) && value >= 0)) {
+      throw new Error(`visual.masks[${index}] needs a selector, or x, y, width and height as non-negative integers`);
+    }
+  });
+}
+
+export function compileMasks(masks) {
+  return masks.map(mask => ({ ...mask, regexp: mask.pattern ? compilePattern(mask.pattern) : null }));
+}
+
+// Compiled masks that apply to a URL on a device
+export function masksFor(masks, url, device) {
+  return masks.filter(mask =>
+    (!mask.regexp || matchesPattern(mask.regexp, url)) && (!mask.devices || mask.devices.includes(device)));
+}
+
+// Copy of a PNG on a width × height canvas, padded with PADDING_COLOR
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image.data;
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(PADDING_COLOR, i);
+  }
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return data;
+}
+
+function blankRegion(data, width, height, { x, y, width: w, height: h }) {
+  for (let row = y; row < Math.min(y + h, height); row++) {
+    for (let col = x; col < Math.min(x + w, width); col++) {
+      data.set([0, 0, 0, 255], (row * width + col) * 4);
+    }
+  }
+}
+
+// Pixel-diff two PNG files and write the diff image:
+// { width, height, sizeChanged, diffPixels, mismatch } where mismatch is
+// the percentage of changed pixels
+export function diffImages(baselineFile, currentFile, diffFile, { threshold = DEFAULT_VISUAL_OPTIONS.threshold, regions = [] } = {}) {
+  const baseline = PNG.sync.read(fs.readFileSync(baselineFile));
+  const current = PNG.sync.read(fs.readFileSync(currentFile));
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+
+  const before = padImage(baseline, width, height);
+  const after = padImage(current, width, height);
+  regions.forEach(region => {
+    blankRegion(before, width, height, region);
+    blankRegion(after, width, height, region);
+  });
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(before, after, diff.data, width, height, { threshold });
+  fs.mkdirSync(path.dirname(diffFile), { recursive: true });
+  fs.writeFileSync(diffFile, PNG.sync.write(diff));
+
+  return {
+    width,
+    height,
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    diffPixels,
+    mismatch: Math.round((10000 * diffPixels) / (width * height)) / 100
+  };
+}
+
+// Compare each device screenshot of a page (paths relative to screenshotsDir,
+// as in pageResult.screenshots) with its baseline. Per device:
+// { status: 'new' | 'unchanged' | 'changed' | 'error', mismatch, diffPixels, sizeChanged, error }
+export function compareScreenshots(screenshots, url, { screenshotsDir, baselineDir, diffDir, masks = [], threshold, tolerance }) {
+  const visual = {};
+  Object.entries(screenshots).forEach(([device, screenshot]) => {
+    if (!screenshot) return;
+    const baselineFile = path.join(baselineDir, screenshot);
+    if (!fs.existsSync(baselineFile)) {
+      visual[device] = { status: 'new', mismatch: null, diffPixels: null, sizeChanged: false, error: null };
+      return;
+    }
+    try {
+      const regions = masksFor(masks, url, device).filter(mask => !mask.selector);
+      const result = diffImages(baselineFile, path.join(screenshotsDir, screenshot), path.join(diffDir, screenshot), { threshold, regions });
+      visual[device] = {
+        status: result.mismatch > tolerance ? 'changed' : 'unchanged',
+        mismatch: result.mismatch,
+        diffPixels: result.diffPixels,
+        sizeChanged: result.sizeChanged,
+        error: null
+      };
+    } catch (err) {
+      visual[device] = { status: 'error', mismatch: null, diffPixels: null, sizeChanged: false, error: err.message };
+    }
+  });
+  return visual;
+}
+
+// Per-page visual problems, used by collectPageIssues
+export function visualProblems(visual) {
+  return Object.entries(visual || {})
+    .filter(([, result]) => result.status === 'changed')
+    .map(([device, result]) => ({
+      type: 'visual-change',
+      severity: 'warning',
+      message: `${device} screenshot differs from the baseline by ${result.mismatch}%${result.sizeChanged ? ' (page size changed)' : ''}`
+    }));
+}
+
+// Path from the report directory, with forward slashes for links in index.html
+function reportPath(outDir, file) {
+  return path.relative(outDir, file).split(path.sep).join('/');
+}
+
+// Visual changes section of the report: every screenshot that changed,
+// largest mismatch first, and the screenshots without a baseline yet
+export function analyzeVisual(results, { outDir, screenshotsDir, baselineDir, diffDir, threshold, tolerance }) {
+  const compared = [];
+  results.filter(result => result.visual).forEach(result => {
+    Object.entries(result.visual).forEach(([device, entry]) => {
+      const screenshot = result.screenshots[device];
+      compared.push({
+        url: result.url,
+        device,
+        ...entry,
+        screenshot: reportPath(outDir, path.join(screenshotsDir, screenshot)),
+        baseline: entry.status === 'new' ? null : reportPath(outDir, path.join(baselineDir, screenshot)),
+        diff: ['changed', 'unchanged'].includes(entry.status) ? reportPath(outDir, path.join(diffDir, screenshot)) : null
+      });
+    });
+  });
+
+  return {
+    baselineDir,
+    threshold,
+    tolerance,
+    screenshotsCompared: compared.filter(entry => ['changed', 'unchanged'].includes(entry.status)).length,
+    unchanged: compared.filter(entry => entry.status === 'unchanged').length,
+    changed: compared.filter(entry => entry.status === 'changed').sort((a, b) => b.mismatch - a.mismatch),
+    withoutBaseline: compared.filter(entry => entry.status === 'new').map(({ url, device }) => ({ url, device })),
+    errors: compared.filter(entry => entry.status === 'error').map(({ url, device, error }) => ({ url, device, error }))
+  };
+}
+
+// Copy the screenshots of a report into baselineDir, making them the
+// approved versions later crawls are compared with. Returns the number copied.
+export function acceptBaselines(report, { screenshotsDir, baselineDir }) {
+  let accepted = 0;
+  (report.pages || []).forEach(page => {
+    Object.values(page.screenshots || {}).filter(Boolean).forEach(screenshot => {
+      const source = path.join(screenshotsDir, screenshot);
+      if (!fs.existsSync(source)) return;
+      const target = path.join(baselineDir, screenshot);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target);
+      accepted++;
+    });
+  });
+  return accepted;
+}
@@ -0,0 +1,153 @@
+import zlib from "zlib";
+
+import { escapeXml } from "./sitemap.js";
+import { neutralizeFormula } from "./csv.js";
+
+// A minimal XLSX (Office Open XML) writer: plain sheets of strings and
+// numbers, zipped with deflate. Enough for spreadsheet imports, no styling.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip archive of [{ name, data }] entries
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const content = Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Characters XML 1.0 does not allow, e.g. control codes in error messages
+const INVALID_XML = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+function cell(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = neutralizeFormula(Array.isArray(value) ? value.join(' ') : String(value));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text.replace(INVALID_XML, ''))}</t></is></c>`;
+}
+
+function renderSheet(rows, columns) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))].map((values, r) =>
+    `<row r="${r + 1}">${values.map((value, c) => cell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    `<sheetData>${lines.join('')}</sheetData>`,
+    '</worksheet>'
+  ].join('\n');
+}
+
+// XLSX file contents for [{ name, rows, columns }], one sheet each with
+// `columns` as the header row. Sheet names are cut to Excel's 31 characters.
+export function toXlsx(sheets) {
+  const names = sheets.map(sheet => sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+        ...sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`),
+        '</Types>'
+      ].join('\n')
+    },
+    {
+      name: '_rels/.rels',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+        '</Relationships>'
+      ].join('\n')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+        `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`,
+        '</workbook>'
+      ].join('\n')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        ...sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`),
+        '</Relationships>'
+      ].join('\n')
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: renderSheet(sheet.rows, sheet.columns) }))
+  ];
+  return zip(files);
+}
@@ -0,0 +1,149 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { evaluateQualityGates, validateThresholds, renderJUnitXml, renderSarif } from "../lib/ci.js";
+
+function page(url, overrides = {}) {
+  return {
+    url,
+    title: 'Title',
+    metaDescription: 'Description',
+    statusCode: 200,
+    isDocument: false,
+    jsErrors: [],
+    consoleErrors: [],
+    brokenImages: [],
+    ...overrides
+  };
+}
+
+function ruleById(gates, id) {
+  return gates.rules.find(rule => rule.id === id);
+}
+
+// Checks tags are balanced and text has no raw "<" or stray "&"
+function assertWellFormedXml(xml) {
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n/);
+  const body = xml.replace(/^<\?xml[^>]*\?>/, '');
+  const stack = [];
+  const tag = /<(\/?)([A-Za-z_][\w.-]*)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>/g;
+  let last = 0;
+  let match;
+  while ((match = tag.exec(body))) {
+    const text = body.slice(last, match.index);
+    assert.doesNotMatch(text, /</, `raw "<" in text: ${text}`);
+    assert.doesNotMatch(text, /&(?!(amp|lt|gt|quot|apos|#\d+);)/, `unescaped "&" in text: ${text}`);
+    const [, closing, name, attributes, selfClosing] = match;
+    assert.doesNotMatch(attributes, /&(?!(amp|lt|gt|quot|apos|#\d+);)/, `unescaped "&" in attributes of <${name}>`);
+    if (closing) {
+      assert.equal(stack.pop(), name, `unexpected </${name}>`);
+    } else if (!selfClosing) {
+      stack.push(name);
+    }
+    last = tag.lastIndex;
+  }
+  assert.doesNotMatch(body.slice(last), /</, 'unparsed markup at the end');
+  assert.deepEqual(stack, [], 'unclosed elements');
+}
+
+test('a rule passes at its limit and fails above it', () => {
+  const report = { pages: [page('https://x/'), page('https://x/a', { statusCode: 404 })] };
+
+  assert.equal(evaluateQualityGates(report, { maxBrokenLinks: 1 }).passed, true);
+
+  const gates = evaluateQualityGates(report, { maxBrokenLinks: 0 });
+  const rule = ruleById(gates, 'maxBrokenLinks');
+  assert.equal(gates.passed, false);
+  assert.equal(rule.status, 'fail');
+  assert.equal(rule.value, 1);
+  assert.deepEqual(rule.failures, [{ url: 'https://x/a', message: 'Returned status 404' }]);
+});
+
+test('broken links count failed pages and broken external links', () => {
+  const report = {
+    pages: [page('https://x/', { statusCode: 0 }), page('https://x/doc.pdf', { isDocument: true, documentStatus: 'broken' })],
+    externalLinks: { broken: [{ url: 'https://other/', status: 500, error: null, sources: [{ page: 'https://x/' }] }] }
+  };
+  const rule = ruleById(evaluateQualityGates(report, { maxBrokenLinks: 0 }), 'maxBrokenLinks');
+  assert.equal(rule.value, 3);
+  assert.match(rule.failures[2].message, /returned status 500, linked from https:\/\/x\//);
+});
+
+test('min rules fail below the limit', () => {
+  const report = {
+    pages: [page('https://x/', { accessibility: { score: 70 } }), page('https://x/a', { accessibility: { score: 95 } })],
+    accessibility: { score: 82 }
+  };
+  const failing = ruleById(evaluateQualityGates(report, { minAccessibilityScore: 90 }), 'minAccessibilityScore');
+  assert.equal(failing.status, 'fail');
+  assert.deepEqual(failing.failures.map(failure => failure.url), ['https://x/']);
+
+  assert.equal(ruleById(evaluateQualityGates(report, { minAccessibilityScore: 82 }), 'minAccessibilityScore').status, 'pass');
+});
+
+test('metric rules take the worst value across pages and devices', () => {
+  const report = {
+    performance: {},
+    pages: [
+      page('https://x/', { performance: { desktop: { lcp: 1200 }, mobile: { lcp: 3100 } } }),
+      page('https://x/a', { performance: { desktop: { lcp: null } } }),
+      page('https://x/b')
+    ]
+  };
+  const rule = ruleById(evaluateQualityGates(report, { maxLcp: 2500 }), 'maxLcp');
+  assert.equal(rule.status, 'fail');
+  assert.equal(rule.value, 3100);
+  assert.equal(rule.failures.length, 1);
+  assert.match(rule.failures[0].message, /on mobile$/);
+});
+
+test('rules without data are skipped and null switches a rule off', () => {
+  const gates = evaluateQualityGates({ pages: [page('https://x/')] }, { maxLcp: 2500, maxDuplicateTitles: 0, maxBrokenImages: null });
+  assert.equal(gates.passed, true);
+  assert.deepEqual(gates.rules.map(rule => [rule.id, rule.status]), [['maxLcp', 'skipped'], ['maxDuplicateTitles', 'skipped']]);
+});
+
+test('thresholds are validated', () => {
+  assert.doesNotThrow(() => validateThresholds({ maxBrokenLinks: 0, maxLcp: null }));
+  assert.throws(() => validateThresholds({ maxBrokenLink: 0 }), /Unknown CI threshold: maxBrokenLink/);
+  assert.throws(() => validateThresholds({ maxLcp: -1 }), /ci\.thresholds\.maxLcp must be null or a non-negative number/);
+  assert.throws(() => validateThresholds({ maxLcp: '2500' }), /must be null or a non-negative number/);
+});
+
+test('JUnit XML is well formed with one test case per rule', () => {
+  const report = {
+    pages: [page('https://x/?a=1&b=2', { jsErrors: ['Unexpected token "<" & more'] })]
+  };
+  const gates = evaluateQualityGates(report, { maxCriticalErrors: 0, maxMissingTitles: 0, maxLcp: 2500 });
+  const xml = renderJUnitXml(gates, { root: 'https://x/?a=1&b=2' });
+
+  assertWellFormedXml(xml);
+  assert.match(xml, /<testsuite name="SEO audit https:\/\/x\/\?a=1&amp;b=2" tests="3" failures="1" skipped="1" errors="0">/);
+  assert.equal((xml.match(/<testcase /g) || []).length, 3);
+  assert.match(xml, /<failure message="JavaScript and console errors is 1, limit 0" type="maxCriticalErrors">/);
+  assert.match(xml, /Unexpected token &quot;&lt;&quot; &amp; more/);
+});
+
+test('SARIF has one error result per failing page, located at its URL', () => {
+  const report = { pages: [page('https://x/', { title: '' }), page('https://x/a', { title: '' }), page('https://x/b')] };
+  const gates = evaluateQualityGates(report, { maxMissingTitles: 0, maxBrokenLinks: 0 });
+  const sarif = JSON.parse(renderSarif(gates));
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(sarif.runs.length, 1);
+  const [run] = sarif.runs;
+  const ruleIds = run.tool.driver.rules.map(rule => rule.id);
+  assert.deepEqual(ruleIds, ['maxMissingTitles', 'maxBrokenLinks']);
+  assert.equal(run.results.length, 2);
+  run.results.forEach(result => {
+    assert.equal(result.level, 'error');
+    assert.ok(ruleIds.includes(result.ruleId));
+    assert.equal(typeof result.message.text, 'string');
+  });
+  assert.deepEqual(run.results.map(result => result.locations[0].physicalLocation.artifactLocation.uri), ['https://x/', 'https://x/a']);
+});
+
+test('SARIF has no results when every gate passes', () => {
+  const sarif = JSON.parse(renderSarif(evaluateQualityGates({ pages: [page('https://x/')] }, { maxMissingTitles: 0 })));
+  assert.deepEqual(sarif.runs[0].results, []);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { compareReports, renderCompareHtml } from "../lib/compare.js";
+
+function page(url, overrides = {}) {
+  return { url, statusCode: 200, title: 'Title', metaDescription: 'Description', canonical: null, loadTime: 1000, jsErrors: [], consoleErrors: [], brokenImages: [], ...overrides };
+}
+
+const before = {
+  pages: [
+    page('https://x/'),
+    page('https://x/a', { statusCode: 404, brokenImages: ['https://x/a.png'] }),
+    page('https://x/old'),
+    page('https://x/slow', { loadTime: 1000 })
+  ],
+  externalLinks: { broken: [{ url: 'https://other/', status: 500 }] }
+};
+
+const after = {
+  pages: [
+    page('https://x/?utm_source=mail', { title: 'New title', jsErrors: ['boom'] }),
+    page('https://x/a/'),
+    page('https://x/new', { statusCode: 0 }),
+    page('https://x/slow', { loadTime: 1500 })
+  ]
+};
+
+test('pages, problems, changes and regressions are diffed', () => {
+  const diff = compareReports(before, after);
+
+  assert.deepEqual(diff.pages.added, ['https://x/new']);
+  assert.deepEqual(diff.pages.removed, ['https://x/old']);
+  assert.deepEqual(diff.brokenLinks.new, [{ url: 'https://x/new', status: 0, external: false }]);
+  assert.deepEqual(diff.brokenLinks.fixed.map(link => link.url), ['https://x/a', 'https://other/']);
+  assert.deepEqual(diff.brokenImages.fixed, [{ page: 'https://x/a', url: 'https://x/a.png' }]);
+  assert.deepEqual(diff.jsErrors.new, [{ page: 'https://x/?utm_source=mail', kind: 'js', message: 'boom' }]);
+  assert.deepEqual(diff.changes, [
+    { url: 'https://x/?utm_source=mail', field: 'title', before: 'Title', after: 'New title' },
+    { url: 'https://x/a/', field: 'statusCode', before: 404, after: 200 }
+  ]);
+  assert.deepEqual(diff.loadTimeRegressions, [{ url: 'https://x/slow', before: 1000, after: 1500, change: 50 }]);
+  assert.equal(diff.totals.changedPages, 2);
+});
+
+test('load-time regressions need both the percentage and the absolute increase', () => {
+  assert.equal(compareReports(before, after, { loadTimeThreshold: 60 }).loadTimeRegressions.length, 0);
+  assert.equal(compareReports(before, after, { minLoadTimeIncrease: 600 }).loadTimeRegressions.length, 0);
+  assert.throws(() => compareReports(before, after, { loadTimeThreshold: -1 }), /loadTimeThreshold must be a non-negative number/);
+  assert.throws(() => compareReports(before, after, { minLoadTimeIncrease: 1.5 }), /minLoadTimeIncrease must be a non-negative integer/);
+});
+
+test('URLs are matched with the normalization policy of the newer report', () => {
+  const strip = { ...after, urlNormalization: { query: 'strip' } };
+  const diff = compareReports({ pages: [page('https://x/list?page=1')] }, { ...strip, pages: [page('https://x/list?page=2')] });
+  assert.deepEqual(diff.pages.added, []);
+  assert.deepEqual(compareReports({ pages: [page('https://x/list?page=1')] }, { pages: [page('https://x/list?page=2')] }).pages.added, ['https://x/list?page=2']);
+});
+
+test('the comparison page escapes report text', () => {
+  const diff = compareReports(
+    { pages: [page('https://x/', { title: '<b>old</b>' })] },
+    { pages: [page('https://x/', { title: '<script>alert(1)</script>', jsErrors: ['<img src=x onerror=alert(1)>'] })] }
+  );
+  const html = renderCompareHtml(diff, { beforeFile: '<before>.json' });
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<img'));
+  assert.ok(!html.includes('<before>'));
+});
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { neutralizeFormula, toCsv } from "../lib/csv.js";
+
+test('text a spreadsheet would run as a formula gets a leading quote', () => {
+  ['=HYPERLINK("https://evil")', '+1', '-1+1', '@SUM(A1)', '\tx', '\rx'].forEach(text => {
+    assert.equal(neutralizeFormula(text), `'${text}`);
+  });
+  assert.equal(neutralizeFormula('Home page'), 'Home page');
+  assert.equal(neutralizeFormula('a=b'), 'a=b');
+});
+
+test('CSV cells are quoted, joined and neutralized', () => {
+  const csv = toCsv([
+    { url: 'https://x/', title: 'Say "hi", then\nleave', count: -3, tags: ['a', 'b'], missing: null },
+    { url: 'https://x/a', title: '=1+1', count: 0, tags: [] }
+  ], ['url', 'title', 'count', 'tags', 'missing']);
+
+  assert.equal(csv, [
+    'url,title,count,tags,missing',
+    'https://x/,"Say ""hi"", then\nleave",-3,a b,',
+    "https://x/a,'=1+1,0,,",
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { traceRedirects, analyzeRedirects, redirectProblems } from "../lib/redirects.js";
+import { createUrlNormalizer } from "../lib/url.js";
+
+// A stand-in for a Playwright APIRequestContext answering from a map of
+// URL -> [status, location]
+function fakeContext(responses) {
+  return {
+    async fetch(url) {
+      if (!(url in responses)) throw new Error(`apiRequestContext.fetch: getaddrinfo ENOTFOUND ${url}\nCall log:`);
+      const [status, location] = responses[url];
+      return { status: () => status, headers: () => (location ? { location } : {}), dispose: async () => {} };
+    }
+  };
+}
+
+test('chains are followed to the final URL', async () => {
+  const trace = await traceRedirects(fakeContext({
+    'http://x/': [301, 'https://x/'],
+    'https://x/': [302, '/home'],
+    'https://x/home': [200]
+  }), 'http://x/');
+
+  assert.deepEqual(trace.hops.map(hop => [hop.url, hop.status, hop.location]), [['http://x/', 301, 'https://x/'], ['https://x/', 302, 'https://x/home']]);
+  assert.equal(trace.finalUrl, 'https://x/home');
+  assert.equal(trace.status, 200);
+  assert.equal(trace.error, null);
+});
+
+test('loops, long chains, bad locations and failed requests are recorded', async () => {
+  const loop = await traceRedirects(fakeContext({ 'https://x/a': [301, '/b'], 'https://x/b': [301, '/a'] }), 'https://x/a');
+  assert.equal(loop.loop, true);
+  assert.equal(loop.error, 'Redirect loop');
+
+  const long = await traceRedirects(fakeContext({ 'https://x/1': [301, '/2'], 'https://x/2': [301, '/3'], 'https://x/3': [200] }), 'https://x/1', { maxHops: 1 });
+  assert.equal(long.error, 'More than 1 redirects');
+  assert.equal(long.finalUrl, 'https://x/2');
+
+  const malformed = await traceRedirects(fakeContext({ 'https://x/': [301, 'http://[bad'] }), 'https://x/');
+  assert.deepEqual(malformed.hops.map(hop => hop.location), ['http://[bad']);
+  assert.equal(malformed.error, 'Invalid redirect location: http://[bad');
+
+  const failed = await traceRedirects(fakeContext({}), 'https://gone/');
+  assert.equal(failed.status, 0);
+  assert.equal(failed.error, 'getaddrinfo ENOTFOUND https://gone/');
+});
+
+test('redirect findings list the chains and the pages linking to them', () => {
+  const hops = [{ url: 'https://x/old', status: 302, location: 'http://x/new' }, { url: 'http://x/new', status: 301, location: 'https://x/new' }];
+  const report = analyzeRedirects([
+    { url: 'https://x/', links: ['https://x/old?utm_source=nav'] },
+    { url: 'https://x/old', finalUrl: 'https://x/new', statusCode: 200, redirectChain: hops }
+  ], { maxHops: 1, normalize: createUrlNormalizer() });
+
+  assert.deepEqual(report.chains[0].linkedFrom, ['https://x/']);
+  assert.deepEqual(report.longChains, ['https://x/old']);
+  assert.deepEqual(report.temporary, ['https://x/old']);
+  assert.deepEqual(report.downgrades, ['https://x/old']);
+  assert.deepEqual(report.loops, []);
+  assert.deepEqual(report.redirectingLinks, ['https://x/old']);
+});
+
+test('per-page problems cover loops, long chains, temporary redirects and downgrades', () => {
+  const hops = [{ url: 'https://x/a', status: 307, location: 'http://x/b' }, { url: 'http://x/b', status: 301, location: 'https://x/a' }];
+  assert.deepEqual(redirectProblems(hops, { loop: true, maxHops: 1 }).map(problem => [problem.type, problem.severity]), [
+    ['redirect-loop', 'error'],
+    ['redirect-chain', 'warning'],
+    ['temporary-redirect', 'warning'],
+    ['https-downgrade', 'error']
+  ]);
+  assert.deepEqual(redirectProblems([{ url: 'https://x/a', status: 301, location: 'https://x/b' }], { maxHops: 3 }), []);
+});
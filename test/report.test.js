@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildReport, renderHtmlReport, escapeHtml } from "../lib/report.js";
+import { DEFAULT_SEO_THRESHOLDS } from "../lib/seo-tags.js";
+import { DEFAULT_PERFORMANCE_BUDGETS } from "../lib/performance.js";
+
+// Markup a crawled site could plant in any text the report shows
+const X = '<x-injected onmouseover="alert(1)">';
+const URL_X = `https://x/${X}`;
+
+function page(url, overrides = {}) {
+  return {
+    url,
+    title: X,
+    metaDescription: X,
+    statusCode: 200,
+    loadTime: 10,
+    depth: 0,
+    isDocument: false,
+    jsErrors: [X],
+    consoleErrors: [X],
+    benignErrors: [X],
+    networkErrors: [`404 - ${URL_X}`],
+    warnings: [X],
+    brokenImages: [URL_X],
+    links: [URL_X],
+    inlinks: [{ from: URL_X, text: X, region: 'main', rel: [] }],
+    headings: [{ level: 2, text: X }],
+    canonical: URL_X,
+    hreflang: [{ lang: X, url: URL_X }],
+    metaTags: { 'og:title': X, 'og:image': `https://x/a.png'${X}` },
+    imagesAnalysis: { total: 1, working: 0, broken: 1, withAlt: 1, withoutAlt: 0, details: [{ src: URL_X, alt: X, isWorking: false }] },
+    screenshots: {},
+    ...overrides
+  };
+}
+
+function sections() {
+  const pages = [URL_X];
+  return {
+    skipped: [{ url: URL_X, reason: X, foundOn: URL_X }],
+    urlVariants: [{ url: URL_X, variants: [{ url: URL_X, foundOn: URL_X }] }],
+    robots: { url: URL_X, found: true, status: 200, mode: 'obey', crawlDelay: null, sitemaps: [URL_X], blocked: [{ url: URL_X, rule: X, linkedFrom: pages }] },
+    sitemap: {
+      totalUrls: 1,
+      sitemaps: [{ url: URL_X, type: null, error: X }],
+      orphans: pages,
+      notInSitemap: pages,
+      errors: [{ url: URL_X, statusCode: 404 }],
+      redirects: [{ url: URL_X, finalUrl: URL_X }],
+      notCrawled: pages,
+      outsideRoot: pages
+    },
+    seoTags: {
+      thresholds: DEFAULT_SEO_THRESHOLDS,
+      duplicates: { title: [{ value: X, urls: pages }], description: [], h1: [], canonical: [] },
+      titleProblems: [{ url: URL_X, message: X }],
+      descriptionProblems: []
+    },
+    content: {
+      thresholds: { minWords: 200 },
+      headingProblems: [{ url: URL_X, type: 'skipped-heading-level', message: `<h2> "${X}" follows the start of the page` }],
+      thinPages: [{ url: URL_X, wordCount: 3 }],
+      nearDuplicates: [{ urls: pages, similarity: 90 }]
+    },
+    performance: { pagesMeasured: 1, budgets: DEFAULT_PERFORMANCE_BUDGETS, medians: {}, overBudget: [{ url: URL_X, metric: 'lcp', device: X, value: 5000, budget: 2500 }] },
+    visual: {
+      screenshotsCompared: 1,
+      unchanged: 0,
+      tolerance: 0.1,
+      changed: [{ url: URL_X, device: 'desktop', mismatch: 5, baseline: URL_X, screenshot: URL_X, diff: URL_X }],
+      withoutBaseline: [{ url: URL_X, device: 'mobile' }],
+      errors: [{ url: URL_X, device: 'desktop', error: X }]
+    },
+    accessibility: {
+      level: 'AA',
+      score: 50,
+      pagesAudited: 1,
+      byImpact: { serious: 1 },
+      disabledRules: [],
+      rules: [{ id: 'image-alt', impact: 'serious', help: X, helpUrl: `https://x/"${X}`, nodeCount: 1, pages: [{ url: URL_X, nodeCount: 1, selectors: [X] }] }]
+    },
+    social: {
+      pagesWithOpenGraph: 0,
+      pagesChecked: 1,
+      rules: { minImageWidth: 1200, minImageHeight: 630, aspectRatio: 1.91 },
+      problems: { 'og-url-mismatch': [{ url: URL_X, severity: 'warning', message: X }] }
+    },
+    structuredData: {
+      pagesWithStructuredData: 1,
+      types: [{ type: X, pages: 1, items: 1, formats: ['json-ld'], invalid: 1 }],
+      templates: [{ template: X, pages: 1, types: { [X]: 1 } }],
+      parseErrors: [{ url: URL_X, message: X }],
+      problems: [{ url: URL_X, format: 'json-ld', severity: 'error', message: X }]
+    },
+    indexability: {
+      indexable: 0,
+      nonIndexable: [{ url: URL_X, reason: X, detail: X }],
+      canonicalProblems: [{ url: URL_X, canonical: URL_X, problem: X }],
+      hreflangProblems: [{ url: URL_X, lang: X, alternate: URL_X, problem: X }]
+    },
+    linkGraph: { pages: 1, links: 0, exported: false, topPages: [{ url: URL_X, pageRank: 1, inlinks: 0 }], orphans: pages, deadEnds: pages, deepPageDepth: 3, deepPages: [{ url: URL_X, depth: 4 }] },
+    linkContext: {
+      emptyAnchors: [],
+      genericAnchors: [{ page: URL_X, url: URL_X, text: X, selector: X }],
+      unsafeTargetBlank: [],
+      nofollowInternal: []
+    },
+    redirects: {
+      maxHops: 1,
+      chains: [{ url: URL_X, finalUrl: URL_X, statusCode: 200, loop: false, hops: [{ url: URL_X, status: 301, location: URL_X, time: 1 }], linkedFrom: pages }],
+      loops: [],
+      longChains: [],
+      downgrades: [],
+      temporary: [],
+      redirectingLinks: pages
+    },
+    externalLinks: {
+      found: 2,
+      checked: 2,
+      broken: [{ url: URL_X, status: 0, error: X, errorType: 'connection', sources: [{ page: URL_X, text: X }] }],
+      redirected: [{ url: URL_X, finalUrl: URL_X, status: 200, hops: [{ status: 301 }], sources: [{ page: URL_X, text: X }] }]
+    }
+  };
+}
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(404), '404');
+});
+
+test('crawled text never reaches index.html as markup', () => {
+  const report = buildReport([page(URL_X), page('https://x/doc.pdf', { isDocument: true, documentType: 'PDF', documentStatus: 'broken' })], sections());
+  const html = renderHtmlReport(report, []);
+
+  assert.ok(html.includes('&lt;x-injected'), 'the crawled text is shown');
+  assert.ok(!html.includes('<x-injected'), 'no crawled markup in the page');
+  // Page details are embedded as JSON and added to the page with innerHTML,
+  // so the escaped markup must survive the JSON round trip too
+  const json = html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1];
+  const data = JSON.parse(json);
+  data.pages.forEach(entry => assert.ok(!entry.details.includes('<x-injected'), `raw markup in the details of ${entry.url}`));
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseRobotsTxt, createRobotsRules } from "../lib/robots.js";
+
+const ROBOTS = `# comments are ignored
+User-agent: *
+Disallow: /private
+Allow: /private/open
+Disallow: /*.pdf$
+Disallow:
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /no-bots
+
+Sitemap: https://x/sitemap.xml
+`;
+
+test('groups, rules and sitemaps are parsed', () => {
+  const { groups, sitemaps } = parseRobotsTxt(ROBOTS);
+  assert.deepEqual(sitemaps, ['https://x/sitemap.xml']);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[0].rules.map(rule => [rule.allow, rule.pattern]), [[false, '/private'], [true, '/private/open'], [false, '/*.pdf$']]);
+  assert.equal(groups[0].crawlDelay, 2);
+  // Consecutive User-agent lines share one group
+  assert.deepEqual(groups[1].agents, ['googlebot', 'bingbot']);
+});
+
+test('the longest matching rule wins and Allow wins a tie', () => {
+  const rules = createRobotsRules(ROBOTS, 'SEO-Auditor');
+  assert.deepEqual(rules.check('https://x/private/page'), { allowed: false, rule: 'Disallow: /private' });
+  assert.deepEqual(rules.check('https://x/private/open/page'), { allowed: true, rule: 'Allow: /private/open' });
+  assert.deepEqual(rules.check('https://x/'), { allowed: true, rule: null });
+  assert.equal(rules.crawlDelay, 2);
+
+  const tie = createRobotsRules('User-agent: tie\nDisallow: /a\nAllow: /a\n', 'tie');
+  assert.equal(tie.check('https://x/a').allowed, true);
+});
+
+test('wildcards and the $ anchor match paths with their query', () => {
+  const rules = createRobotsRules('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search?q=\n', 'bot');
+  assert.equal(rules.check('https://x/files/a.pdf').allowed, false);
+  assert.equal(rules.check('https://x/files/a.pdf?download=1').allowed, true);
+  assert.equal(rules.check('https://x/search?q=shoes').allowed, false);
+  assert.equal(rules.check('https://x/search').allowed, true);
+});
+
+test('the most specific user agent group applies, falling back to *', () => {
+  assert.equal(createRobotsRules(ROBOTS, 'Mozilla/5.0 (compatible; Googlebot/2.1)').check('https://x/no-bots').allowed, false);
+  assert.equal(createRobotsRules(ROBOTS, 'Mozilla/5.0 (compatible; Googlebot/2.1)').check('https://x/private').allowed, true);
+  assert.equal(createRobotsRules(ROBOTS, 'OtherBot').check('https://x/no-bots').allowed, true);
+  assert.equal(createRobotsRules('User-agent: Googlebot\nDisallow: /\n', 'OtherBot').check('https://x/').allowed, true);
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { parseSitemapXml, escapeXml, buildSitemapEntries, renderUrlset, writeSitemapFiles } from "../lib/sitemap.js";
+import { normalizeUrl } from "../lib/url.js";
+
+function page(url, overrides = {}) {
+  return { url, statusCode: 200, isDocument: false, ...overrides };
+}
+
+test('urlsets are parsed with namespaces, CDATA and entities', () => {
+  const xml = `<?xml version="1.0"?>
+<ns:urlset xmlns:ns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <ns:url><ns:loc> https://x/?a=1&amp;b=2 </ns:loc><ns:lastmod>2024-01-01</ns:lastmod></ns:url>
+  <ns:url><ns:loc><![CDATA[https://x/b]]></ns:loc></ns:url>
+  <ns:url><ns:lastmod>2024-01-01</ns:lastmod></ns:url>
+</ns:urlset>`;
+  assert.deepEqual(parseSitemapXml(xml), {
+    type: 'urlset',
+    entries: [{ loc: 'https://x/?a=1&b=2', lastmod: '2024-01-01' }, { loc: 'https://x/b', lastmod: null }]
+  });
+});
+
+test('sitemap indexes are recognised', () => {
+  const xml = '<sitemapindex><sitemap><loc>https://x/sitemap-1.xml</loc></sitemap></sitemapindex>';
+  assert.deepEqual(parseSitemapXml(xml), { type: 'index', entries: [{ loc: 'https://x/sitemap-1.xml', lastmod: null }] });
+});
+
+test('only indexable pages are listed, once, with the first matching rule', () => {
+  const entries = buildSitemapEntries([
+    page('https://x/', { lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }),
+    page('https://x/#top'),
+    page('https://x/blog/a', { lastModified: 'not a date' }),
+    page('https://x/gone', { statusCode: 404 }),
+    page('https://x/hidden', { metaRobots: 'noindex' }),
+    page('https://x/copy', { canonical: 'https://x/blog/a' }),
+    page('https://x/doc.pdf', { isDocument: true })
+  ], { rules: [{ pattern: '/blog/*', changefreq: 'weekly', priority: 0.5 }, { pattern: '/blog/a', priority: 1 }], normalize: normalizeUrl });
+
+  assert.deepEqual(entries, [
+    { loc: 'https://x/', lastmod: '2024-01-01T00:00:00.000Z' },
+    { loc: 'https://x/blog/a', changefreq: 'weekly', priority: '0.5' }
+  ]);
+});
+
+test('urlsets escape their URLs', () => {
+  assert.equal(escapeXml(`<a href="x">&'`), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;');
+  assert.ok(renderUrlset([{ loc: 'https://x/?a=1&b=2' }]).includes('<loc>https://x/?a=1&amp;b=2</loc>'));
+});
+
+test('large sitemaps are split behind an index and stale parts removed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'));
+  const entries = count => Array.from({ length: count }, (_, i) => ({ loc: `https://x/${i}` }));
+  try {
+    assert.deepEqual(writeSitemapFiles(entries(5), dir, { baseUrl: 'https://x/seo', maxUrls: 2 }), ['sitemap.xml', 'sitemap-1.xml', 'sitemap-2.xml', 'sitemap-3.xml']);
+    const index = parseSitemapXml(fs.readFileSync(path.join(dir, 'sitemap.xml'), 'utf8'));
+    assert.equal(index.type, 'index');
+    assert.deepEqual(index.entries.map(entry => entry.loc), ['https://x/seo/sitemap-1.xml', 'https://x/seo/sitemap-2.xml', 'https://x/seo/sitemap-3.xml']);
+    assert.equal(parseSitemapXml(fs.readFileSync(path.join(dir, 'sitemap-3.xml'), 'utf8')).entries.length, 1);
+
+    assert.deepEqual(writeSitemapFiles(entries(2), dir, { baseUrl: 'https://x/', maxUrls: 2 }), ['sitemap.xml']);
+    assert.deepEqual(fs.readdirSync(dir), ['sitemap.xml']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
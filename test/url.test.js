@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createUrlNormalizer, normalizeUrl, resolveAlias } from "../lib/url.js";
+
+test('the default policy drops fragments, trailing slashes, index files and tracking parameters', () => {
+  assert.equal(normalizeUrl('https://x/docs/'), 'https://x/docs');
+  assert.equal(normalizeUrl('https://x/docs/index.html#top'), 'https://x/docs');
+  assert.equal(normalizeUrl('https://x/?utm_source=mail&b=2&a=1&gclid=1'), 'https://x?a=1&b=2');
+  assert.equal(normalizeUrl('https://x/Page?JSESSIONID=abc'), 'https://x/Page');
+});
+
+test('query strip mode keeps only the listed parameters', () => {
+  const normalize = createUrlNormalizer({ query: 'strip', keepParams: ['page'] });
+  assert.equal(normalize('https://x/list?sort=asc&page=2'), 'https://x/list?page=2');
+  assert.equal(normalize('https://x/list?sort=asc'), 'https://x/list');
+});
+
+test('path case, parameter order and index files follow the policy', () => {
+  const normalize = createUrlNormalizer({ lowercasePath: true, sortParams: false, collapseIndex: false });
+  assert.equal(normalize('https://x/Docs/Index.html?b=2&a=1'), 'https://x/docs/index.html?b=2&a=1');
+});
+
+test('strip parameters support wildcards', () => {
+  const normalize = createUrlNormalizer({ stripParams: ['ref_*'] });
+  assert.equal(normalize('https://x/?ref_src=a&utm_source=b'), 'https://x?utm_source=b');
+});
+
+test('aliased origins are rewritten to their target', () => {
+  const aliases = { 'http://www.x.com': 'https://x.com' };
+  assert.equal(resolveAlias('http://www.x.com/a?b=1', aliases), 'https://x.com/a?b=1');
+  assert.equal(resolveAlias('http://other.com/a', aliases), 'http://other.com/a');
+  assert.equal(createUrlNormalizer({ aliases })('http://www.x.com/a/'), 'https://x.com/a');
+});
+
+test('URLs that do not parse are returned as they are', () => {
+  assert.equal(normalizeUrl('not a url'), 'not a url');
+});
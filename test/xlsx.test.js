@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+
+import { toXlsx } from "../lib/xlsx.js";
+
+// Files of the zip archive by name, read from the local file headers
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+test('one sheet per entry with a header row', () => {
+  const files = unzip(toXlsx([
+    { name: 'Pages: all', rows: [{ url: 'https://x/', count: 3 }], columns: ['url', 'count'] },
+    { name: 'Errors', rows: [], columns: ['message'] }
+  ]));
+
+  assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet2.xml'));
+  assert.match(files['xl/workbook.xml'], /<sheet name="Pages  all" sheetId="1" r:id="rId1"\/><sheet name="Errors" sheetId="2"/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">url<\/t><\/is><\/c>/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="B2"><v>3<\/v><\/c>/);
+});
+
+test('cell text is escaped, neutralized and stripped of invalid characters', () => {
+  const sheet = unzip(toXlsx([{ name: 'Pages', rows: [{ a: '=HYPERLINK("x")', b: '<b>&\u0007' }], columns: ['a', 'b'] }]))['xl/worksheets/sheet1.xml'];
+  assert.ok(sheet.includes('<t xml:space="preserve">&apos;=HYPERLINK(&quot;x&quot;)</t>'));
+  assert.ok(sheet.includes('<t xml:space="preserve">&lt;b&gt;&amp;</t>'));
+});